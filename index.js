@@ -0,0 +1,10 @@
+/**
+ * conversation-memory-skill - Programmatic API
+ *
+ * Re-exports the memory store shared by the skill scripts.
+ *
+ *   const { MemoryStore } = require('conversation-memory-skill');
+ *   const store = new MemoryStore({ memoriesDir: '/path/to/.claude/data/conversation-memory/memories' });
+ */
+
+module.exports = require('./skills/conversation-memory/scripts/memory_store');
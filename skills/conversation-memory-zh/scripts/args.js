@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * args.js - Command line argument parsing
+ *
+ * Shared flag parser for the memory CLI so every subcommand accepts the same
+ * syntax:
+ *
+ *   --flag                 Boolean option
+ *   --no-flag              Boolean option set to false
+ *   --key value            String option
+ *   --key=value            String option
+ *   -k                     Alias declared in the option spec
+ *   --                     Everything after is positional
+ */
+
+/**
+ * Error for invalid command line usage (exit code 2)
+ * key/vars select the translated message (see i18n.js)
+ */
+class UsageError extends Error {
+  constructor(message, key = null, vars = {}) {
+    super(message);
+    this.name = 'UsageError';
+    this.code = 'USAGE';
+    this.key = key;
+    this.vars = vars;
+  }
+}
+
+/**
+ * Parse arguments against an option spec
+ * @param {string[]} argv - Arguments (without node and script path)
+ * @param {Object<string, {type: 'boolean'|'string', alias?: string, default?: *}>} spec
+ * @returns {{options: Object, positionals: string[]}}
+ * @throws {UsageError} On unknown option or missing value
+ */
+function parseArgs(argv, spec = {}) {
+  const options = {};
+  const positionals = [];
+  const aliases = {};
+
+  for (const [name, def] of Object.entries(spec)) {
+    if (def.alias) {
+      aliases[def.alias] = name;
+    }
+    if (def.default !== undefined) {
+      options[name] = def.default;
+    }
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    let name;
+    let value;
+    if (arg.startsWith('--')) {
+      const eq = arg.indexOf('=');
+      name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+      value = eq === -1 ? undefined : arg.slice(eq + 1);
+    } else {
+      name = aliases[arg.slice(1)];
+      if (!name) {
+        throw new UsageError(`Unknown option: ${arg}`, 'usage.unknownOption', { option: arg });
+      }
+    }
+
+    const def = spec[name];
+    if (!def && name.startsWith('no-') && spec[name.slice(3)] && spec[name.slice(3)].type === 'boolean') {
+      options[name.slice(3)] = false;
+      continue;
+    }
+    if (!def) {
+      throw new UsageError(`Unknown option: --${name}`, 'usage.unknownOption', { option: `--${name}` });
+    }
+
+    if (def.type === 'boolean') {
+      if (value !== undefined) {
+        throw new UsageError(`Option --${name} does not take a value`, 'usage.noValue', { option: `--${name}` });
+      }
+      options[name] = true;
+      continue;
+    }
+
+    if (value === undefined) {
+      value = argv[i + 1];
+      if (value === undefined || (value.startsWith('-') && value !== '-')) {
+        throw new UsageError(`Option --${name} requires a value`, 'usage.requiresValue', { option: `--${name}` });
+      }
+      i++;
+    }
+    options[name] = value;
+  }
+
+  return { options, positionals };
+}
+
+module.exports = { UsageError, parseArgs };
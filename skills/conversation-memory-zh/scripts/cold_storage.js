@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+
+/**
+ * cold_storage.js - Compressed bundles of long-archived memories
+ *
+ * Memories archived for more than coldStorageAfterDays are packed, one batch
+ * per bundle, into a gzip-compressed tar file in memories/cold/:
+ *
+ *   memories/cold/
+ *   ├── manifest.json                  # Memories of each bundle, described
+ *   └── cold-20261019-120000.tar.gz    # mem-.../summary.md, mem-.../conversation.md, ...
+ *
+ *   {"bundles": {"cold-20261019-120000.tar.gz": {
+ *     "created": "2026-10-19T12:00:00.000Z",
+ *     "memories": {"mem-20260105-100000": {
+ *       "size": 5120, "mtime": 1767607200000,
+ *       "files": {"summary.md": {"mtime": 1767607200000, "size": 1520}, ...},
+ *       "summary": "---\nversion: 1\n...", "access": {...}, "embedding": {...}
+ *     }}
+ *   }}}
+ *
+ * Each memory is described by the bytes of its files before packing, the
+ * modification times and sizes of its files, its summary.md and its
+ * access.json and embedding.json records (null when it had none). Listing,
+ * searching and indexing read the manifest, and only the files of search
+ * results, or of the memories shown or recalled, are read from a bundle, in
+ * memory. Their uses are recorded in the manifest's access record, which
+ * goes back to access.json when the memory is activated: a memory is only
+ * written out of its bundle then, back into active/.
+ *
+ * Bundles hold the POSIX ustar subset needed for files and directories,
+ * written and read with zlib, so no dependency is needed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// Bundle list in the cold directory
+const MANIFEST_FILE = 'manifest.json';
+
+// Bundle file name suffix
+const BUNDLE_EXTENSION = '.tar.gz';
+
+// tar block size
+const BLOCK = 512;
+
+/**
+ * Octal header field, NUL-terminated
+ */
+function octal(value, length) {
+  return value.toString(8).padStart(length - 1, '0') + '\0';
+}
+
+/**
+ * ustar header of a file or directory
+ */
+function tarHeader(name, size, mtime, directory) {
+  if (Buffer.byteLength(name) > 100) {
+    throw new Error(`Path too long for a bundle: ${name}`);
+  }
+  const header = Buffer.alloc(BLOCK);
+  header.write(name, 0, 100, 'utf8');
+  header.write(octal(directory ? 0o755 : 0o644, 8), 100, 8, 'latin1');
+  header.write(octal(0, 8), 108, 8, 'latin1');
+  header.write(octal(0, 8), 116, 8, 'latin1');
+  header.write(octal(size, 12), 124, 12, 'latin1');
+  header.write(octal(Math.floor(mtime.getTime() / 1000), 12), 136, 12, 'latin1');
+  header.write(' '.repeat(8), 148, 8, 'latin1');
+  header.write(directory ? '5' : '0', 156, 1, 'latin1');
+  header.write('ustar\u000000', 257, 8, 'latin1');
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'latin1');
+  return header;
+}
+
+/**
+ * Text of a NUL-terminated header field
+ */
+function field(header, start, length) {
+  const bytes = header.subarray(start, start + length);
+  const end = bytes.indexOf(0);
+  return bytes.subarray(0, end === -1 ? length : end).toString('utf8');
+}
+
+/**
+ * Build a tar archive
+ * @param {Array<{name: string, data?: Buffer, mtime: Date, directory?: boolean}>} entries
+ * @returns {Buffer}
+ */
+function createTar(entries) {
+  const blocks = [];
+  for (const entry of entries) {
+    const data = entry.directory ? Buffer.alloc(0) : entry.data;
+    blocks.push(tarHeader(entry.name, data.length, entry.mtime, entry.directory));
+    blocks.push(data, Buffer.alloc((BLOCK - (data.length % BLOCK)) % BLOCK));
+  }
+  blocks.push(Buffer.alloc(BLOCK * 2));
+  return Buffer.concat(blocks);
+}
+
+/**
+ * Read the files and directories of a tar archive (other entry types are skipped)
+ * @param {Buffer} buffer
+ * @returns {Array<{name: string, data?: Buffer, mtime: Date, directory?: boolean}>}
+ * @throws {Error} When it is not a ustar archive
+ */
+function parseTar(buffer) {
+  const entries = [];
+  let offset = 0;
+  while (offset + BLOCK <= buffer.length) {
+    const header = buffer.subarray(offset, offset + BLOCK);
+    if (header.every(byte => byte === 0)) {
+      break;
+    }
+    if (!field(header, 257, 6).startsWith('ustar')) {
+      throw new Error('Not a ustar archive');
+    }
+    const prefix = field(header, 345, 155);
+    const name = prefix ? `${prefix}/${field(header, 0, 100)}` : field(header, 0, 100);
+    const size = parseInt(field(header, 124, 12).trim() || '0', 8);
+    const mtime = new Date(parseInt(field(header, 136, 12).trim() || '0', 8) * 1000);
+    const type = String.fromCharCode(header[156]);
+    offset += BLOCK;
+    if (type === '5') {
+      entries.push({ name, mtime, directory: true });
+    } else if (type === '0' || type === '\0') {
+      entries.push({ name, data: Buffer.from(buffer.subarray(offset, offset + size)), mtime });
+    }
+    offset += Math.ceil(size / BLOCK) * BLOCK;
+  }
+  return entries;
+}
+
+/**
+ * Entries of a memory directory for a bundle, paths starting with its id
+ * @returns {Array<{name: string, data?: Buffer, mtime: Date, directory?: boolean}>}
+ */
+function collectFiles(memoryPath, id) {
+  const walk = (dir, prefix) => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const file = path.join(dir, entry.name);
+    const name = `${prefix}/${entry.name}`;
+    if (entry.isDirectory()) {
+      return [{ name: `${name}/`, mtime: fs.statSync(file).mtime, directory: true }, ...walk(file, name)];
+    }
+    if (!entry.isFile()) {
+      return [];
+    }
+    // mtimeMs keeps the precision of the file system for the manifest (tar keeps seconds)
+    const stat = fs.statSync(file);
+    return [{ name, data: fs.readFileSync(file), mtime: stat.mtime, mtimeMs: stat.mtimeMs }];
+  });
+  const stat = fs.statSync(memoryPath);
+  return [{ name: `${id}/`, mtime: stat.mtime, mtimeMs: stat.mtimeMs, directory: true }, ...walk(memoryPath, id)];
+}
+
+/**
+ * Bytes of the files among bundle entries
+ */
+function entriesSize(entries) {
+  return entries.reduce((sum, entry) => sum + (entry.data ? entry.data.length : 0), 0);
+}
+
+/**
+ * Manifest record of a memory from its bundle entries
+ * @param {Object[]} entries - collectFiles() or readBundle() entries
+ * @param {string} id
+ * @returns {{size: number, mtime: number, files: Object, summary: string|null, access: Object|null, embedding: Object|null}}
+ *   files holds the mtime and size of the files at the top of the memory directory
+ */
+function describeMemory(entries, id) {
+  const own = entries.filter(entry => entry.name.split('/')[0] === id);
+  const time = entry => (entry.mtimeMs !== undefined ? entry.mtimeMs : entry.mtime.getTime());
+  const top = own.filter(entry => entry.data && entry.name.split('/').length === 2);
+  const text = file => {
+    const entry = top.find(item => item.name === `${id}/${file}`);
+    return entry ? entry.data.toString('utf8') : null;
+  };
+  const json = file => {
+    try {
+      return JSON.parse(text(file));
+    } catch (err) {
+      return null;
+    }
+  };
+  const directory = own.find(entry => entry.name === `${id}/`);
+  return {
+    size: entriesSize(own),
+    mtime: directory ? time(directory) : null,
+    files: Object.fromEntries(top.map(entry => [entry.name.slice(id.length + 1), { mtime: time(entry), size: entry.data.length }])),
+    summary: text('summary.md'),
+    access: json('access.json'),
+    embedding: json('embedding.json')
+  };
+}
+
+/**
+ * Write a bundle (through a temporary file)
+ * @returns {number} Compressed size in bytes
+ */
+function writeBundle(file, entries) {
+  const data = zlib.gzipSync(createTar(entries), { level: zlib.constants.Z_BEST_COMPRESSION });
+  const tempFile = `${file}.tmp-${process.pid}`;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(tempFile, data);
+  fs.renameSync(tempFile, file);
+  return data.length;
+}
+
+/**
+ * Entries of a bundle
+ */
+function readBundle(file) {
+  return parseTar(zlib.gunzipSync(fs.readFileSync(file)));
+}
+
+/**
+ * Write the files of one memory of a bundle into a directory, unless it exists
+ * Files and directories keep their modification time.
+ * @param {Object[]} entries - readBundle() entries
+ * @param {string} id - Memory id
+ * @param {string} dir - Its directory
+ * @returns {string} The directory
+ */
+function unpackMemory(entries, id, dir) {
+  if (fs.existsSync(dir)) {
+    return dir;
+  }
+  const tempDir = `${dir}.tmp-${process.pid}`;
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  fs.mkdirSync(tempDir, { recursive: true });
+  const own = entries
+    .filter(entry => entry.name.split('/')[0] === id)
+    .map(entry => ({ ...entry, target: path.join(tempDir, entry.name.slice(id.length + 1)) }))
+    .filter(entry => entry.target === tempDir || entry.target.startsWith(tempDir + path.sep));
+  for (const entry of own) {
+    if (entry.directory) {
+      fs.mkdirSync(entry.target, { recursive: true });
+    } else {
+      fs.mkdirSync(path.dirname(entry.target), { recursive: true });
+      fs.writeFileSync(entry.target, entry.data);
+      fs.utimesSync(entry.target, entry.mtime, entry.mtime);
+    }
+  }
+  // Directories last, deepest first: writing files changes their mtime
+  own.filter(entry => entry.directory)
+    .sort((a, b) => b.target.length - a.target.length)
+    .forEach(entry => fs.utimesSync(entry.target, entry.mtime, entry.mtime));
+
+  try {
+    fs.renameSync(tempDir, dir);
+  } catch (err) {
+    // Unpacked by another process meanwhile
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    if (!fs.existsSync(dir)) {
+      throw err;
+    }
+  }
+  return dir;
+}
+
+/**
+ * Rewrite a bundle without one memory's entries
+ * @returns {number} Compressed size of the new bundle in bytes
+ */
+function removeFromBundle(file, id) {
+  return writeBundle(file, readBundle(file).filter(entry => entry.name.split('/')[0] !== id));
+}
+
+/**
+ * Read manifest.json of a cold directory, {bundles: {}} when there is none
+ */
+function readManifest(coldDir) {
+  try {
+    const data = JSON.parse(fs.readFileSync(path.join(coldDir, MANIFEST_FILE), 'utf8'));
+    return data && data.bundles && typeof data.bundles === 'object' ? data : { bundles: {} };
+  } catch (err) {
+    return { bundles: {} };
+  }
+}
+
+/**
+ * Write manifest.json of a cold directory
+ */
+function writeManifest(coldDir, manifest) {
+  fs.mkdirSync(coldDir, { recursive: true });
+  fs.writeFileSync(path.join(coldDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Bundle holding a memory, null when it is not in cold storage
+ */
+function findBundle(manifest, id) {
+  return Object.keys(manifest.bundles).find(name => manifest.bundles[name].memories[id] !== undefined) || null;
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  BUNDLE_EXTENSION,
+  createTar,
+  parseTar,
+  collectFiles,
+  describeMemory,
+  entriesSize,
+  writeBundle,
+  readBundle,
+  unpackMemory,
+  removeFromBundle,
+  readManifest,
+  writeManifest,
+  findBundle
+};
@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+
+/**
+ * config.js - Settings file
+ *
+ * config.json in the data directory (next to memories/) overrides the
+ * built-in defaults, so limits survive skill upgrades. Only the settings
+ * that differ need to be there:
+ *
+ *   {
+ *     "maxActiveMemories": 30,
+ *     "archiveAfterDays": 30,
+ *     "search": {"mode": "hybrid", "limit": 20}
+ *   }
+ *
+ * Each setting has a dotted key (search.mode) and can also be set by an
+ * environment variable named after it (CONVERSATION_MEMORY_SEARCH_MODE),
+ * which wins over the file. Values are checked against CONFIG_SCHEMA: an
+ * unknown key or a value of the wrong type fails with INVALID_CONFIG naming
+ * the setting, nothing is applied halfway.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { supportedLocales } = require('./i18n');
+const { SEARCH_DEFAULTS, SEARCH_MODES } = require('./search');
+const { EMBEDDING_DEFAULTS, supportedProviders } = require('./embeddings');
+const { EVICTION_DEFAULTS, supportedStrategies } = require('./eviction');
+
+// Settings: type, allowed values or range, default
+const CONFIG_SCHEMA = {
+  maxActiveMemories: { type: 'integer', min: 1, default: 20 },
+  archiveAfterDays: { type: 'integer', min: 1, default: 14 },
+  // Days in archive/ before memory pack compresses a memory into cold storage
+  coldStorageAfterDays: { type: 'integer', min: 1, default: 90 },
+  // Which memories the active limit archives first (eviction.js); values are
+  // read on use, so strategies added with registerStrategy() are accepted
+  'archive.strategy': { type: 'string', get values() { return supportedStrategies(); }, default: EVICTION_DEFAULTS.strategy },
+  'archive.weights.age': { type: 'number', min: 0, default: EVICTION_DEFAULTS.weights.age },
+  'archive.weights.access': { type: 'number', min: 0, default: EVICTION_DEFAULTS.weights.access },
+  'archive.weights.importance': { type: 'number', min: 0, default: EVICTION_DEFAULTS.weights.importance },
+  'archive.weights.todos': { type: 'number', min: 0, default: EVICTION_DEFAULTS.weights.todos },
+  // Most keywords in the SKILL.md description
+  skillKeywords: { type: 'integer', min: 0, default: 15 },
+  // Keywords column of index.md is cut after this many characters
+  indexKeywordLength: { type: 'integer', min: 1, default: 30 },
+  // Output and template language, null for the skill variant's
+  locale: { type: 'string', values: supportedLocales(), nullable: true, default: null },
+  'search.mode': { type: 'string', values: SEARCH_MODES, default: SEARCH_DEFAULTS.mode },
+  'search.limit': { type: 'integer', min: 0, default: SEARCH_DEFAULTS.limit },
+  'search.snippets': { type: 'integer', min: 0, default: SEARCH_DEFAULTS.snippets },
+  'search.fuzzy': { type: 'boolean', default: SEARCH_DEFAULTS.fuzzy },
+  'search.semanticWeight': { type: 'number', min: 0, max: 1, default: SEARCH_DEFAULTS.semanticWeight },
+  'search.minSimilarity': { type: 'number', min: 0, max: 1, default: SEARCH_DEFAULTS.minSimilarity },
+  // Read on use, so providers added with registerProvider() are accepted
+  'embedding.provider': { type: 'string', get values() { return supportedProviders(); }, default: EMBEDDING_DEFAULTS.provider },
+  'embedding.dimensions': { type: 'integer', min: 1, default: EMBEDDING_DEFAULTS.dimensions },
+  'embedding.command': { type: 'string', nullable: true, default: EMBEDDING_DEFAULTS.command },
+  'embedding.timeout': { type: 'integer', min: 1, default: EMBEDDING_DEFAULTS.timeout }
+};
+
+// Prefix of the environment variables overriding settings
+const ENV_PREFIX = 'CONVERSATION_MEMORY_';
+
+/**
+ * Error for unknown settings and invalid values
+ * Codes: UNKNOWN_SETTING (details {key}), INVALID_CONFIG (details {key, value, reason, source}),
+ * INVALID_CONFIG_FILE (details {source, reason}) when config.json is not a JSON object
+ */
+class ConfigError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'ConfigError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Environment variable of a setting (search.mode -> CONVERSATION_MEMORY_SEARCH_MODE)
+ */
+function envName(key) {
+  return ENV_PREFIX + key.replace(/([a-z])([A-Z])/g, '$1_$2').replace(/\./g, '_').toUpperCase();
+}
+
+/**
+ * Schema entry of a setting
+ * @throws {ConfigError} UNKNOWN_SETTING
+ */
+function settingSchema(key) {
+  if (!Object.prototype.hasOwnProperty.call(CONFIG_SCHEMA, key)) {
+    throw new ConfigError('UNKNOWN_SETTING', `Unknown setting: ${key}`, { key });
+  }
+  return CONFIG_SCHEMA[key];
+}
+
+/**
+ * Check a value against its setting's schema
+ * @param {string} source - Where the value comes from (file path or variable), for the error
+ * @returns {*} The value
+ * @throws {ConfigError} INVALID_CONFIG
+ */
+function checkValue(key, value, source) {
+  const schema = settingSchema(key);
+  const fail = reason => {
+    throw new ConfigError('INVALID_CONFIG', `Invalid value ${JSON.stringify(value)} for ${key} (${source}): ${reason}`,
+      { key, value: JSON.stringify(value), reason, source });
+  };
+  if (value === null) {
+    return schema.nullable ? null : fail('must not be null');
+  }
+  if (schema.type === 'boolean' && typeof value !== 'boolean') {
+    fail('expected true or false');
+  }
+  if (schema.type === 'string' && typeof value !== 'string') {
+    fail('expected a string');
+  }
+  if (schema.type === 'integer' && !Number.isInteger(value)) {
+    fail('expected a whole number');
+  }
+  if (schema.type === 'number' && (typeof value !== 'number' || !Number.isFinite(value))) {
+    fail('expected a number');
+  }
+  if (schema.values && !schema.values.includes(value)) {
+    fail(`expected ${schema.values.join(', ')}`);
+  }
+  if (schema.min !== undefined && value < schema.min) {
+    fail(`expected at least ${schema.min}`);
+  }
+  if (schema.max !== undefined && value > schema.max) {
+    fail(`expected at most ${schema.max}`);
+  }
+  return value;
+}
+
+/**
+ * Read a setting from text (command line, environment variable)
+ * @throws {ConfigError} UNKNOWN_SETTING, INVALID_CONFIG
+ */
+function parseValue(key, text, source) {
+  const schema = settingSchema(key);
+  let value = text.trim();
+  if (value === 'null' && schema.nullable) {
+    value = null;
+  } else if (schema.type === 'boolean') {
+    const flags = { true: true, yes: true, on: true, 1: true, false: false, no: false, off: false, 0: false };
+    value = Object.prototype.hasOwnProperty.call(flags, value.toLowerCase()) ? flags[value.toLowerCase()] : value;
+  } else if ((schema.type === 'integer' || schema.type === 'number') && value !== '' && !isNaN(Number(value))) {
+    value = Number(value);
+  }
+  return checkValue(key, value, source);
+}
+
+/**
+ * Dotted keys and values of a nested settings object
+ * @returns {Array<[string, *]>}
+ */
+function flatten(data, prefix = '') {
+  return Object.entries(data).flatMap(([name, value]) => {
+    const key = prefix + name;
+    return value && typeof value === 'object' && !Array.isArray(value) && !CONFIG_SCHEMA[key]
+      ? flatten(value, `${key}.`)
+      : [[key, value]];
+  });
+}
+
+/**
+ * Set a dotted key in a nested object
+ */
+function setPath(data, key, value) {
+  const names = key.split('.');
+  let target = data;
+  for (const name of names.slice(0, -1)) {
+    if (!target[name] || typeof target[name] !== 'object') {
+      target[name] = {};
+    }
+    target = target[name];
+  }
+  target[names[names.length - 1]] = value;
+}
+
+/**
+ * Remove a dotted key from a nested object, and the objects left empty
+ */
+function deletePath(data, key) {
+  const [name, ...rest] = key.split('.');
+  if (!data[name] || typeof data[name] !== 'object' || rest.length === 0) {
+    delete data[name];
+    return;
+  }
+  deletePath(data[name], rest.join('.'));
+  if (Object.keys(data[name]).length === 0) {
+    delete data[name];
+  }
+}
+
+/**
+ * Parse the settings file without checking the settings, {} when it does not exist
+ * @throws {ConfigError} INVALID_CONFIG_FILE
+ */
+function parseConfigFile(file) {
+  if (!file || !fs.existsSync(file)) {
+    return {};
+  }
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new ConfigError('INVALID_CONFIG_FILE', `Invalid config file ${file}: ${err.message}`,
+      { source: file, reason: err.message });
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ConfigError('INVALID_CONFIG_FILE', `Invalid config file ${file}: expected an object`,
+      { source: file, reason: 'expected an object' });
+  }
+  return data;
+}
+
+/**
+ * Read the settings file as written, {} when it does not exist
+ * Every setting in it is checked.
+ * @throws {ConfigError} INVALID_CONFIG_FILE, INVALID_CONFIG
+ */
+function readConfigFile(file) {
+  const data = parseConfigFile(file);
+  for (const [key, value] of flatten(data)) {
+    if (!Object.prototype.hasOwnProperty.call(CONFIG_SCHEMA, key)) {
+      throw new ConfigError('INVALID_CONFIG', `Invalid value ${JSON.stringify(value)} for ${key} (${file}): unknown setting`,
+        { key, value: JSON.stringify(value), reason: 'unknown setting', source: file });
+    }
+    checkValue(key, value, file);
+  }
+  return data;
+}
+
+/**
+ * Effective settings: defaults, then the file, then environment variables
+ * @param {string} [file] - config.json, optional
+ * @param {Object} [env=process.env]
+ * @returns {{settings: Object, sources: Object<string, string>}} settings is nested
+ *   ({search: {mode}}), sources maps each dotted key to 'default', 'file' or the variable name
+ * @throws {ConfigError} INVALID_CONFIG_FILE, INVALID_CONFIG
+ */
+function loadConfig(file, env = process.env) {
+  const settings = {};
+  const sources = {};
+  for (const [key, schema] of Object.entries(CONFIG_SCHEMA)) {
+    setPath(settings, key, schema.default);
+    sources[key] = 'default';
+  }
+  for (const [key, value] of flatten(readConfigFile(file))) {
+    setPath(settings, key, value);
+    sources[key] = 'file';
+  }
+  for (const key of Object.keys(CONFIG_SCHEMA)) {
+    const name = envName(key);
+    if (env[name] !== undefined && env[name] !== '') {
+      setPath(settings, key, parseValue(key, env[name], name));
+      sources[key] = name;
+    }
+  }
+  return { settings, sources };
+}
+
+/**
+ * Value of a dotted key in loadConfig() settings
+ */
+function getSetting(settings, key) {
+  settingSchema(key);
+  return key.split('.').reduce((data, name) => data[name], settings);
+}
+
+/**
+ * Write one setting to the file, or remove it (back to its default) when value is undefined
+ * Other settings are not checked, so an invalid one can be replaced.
+ * @param {string} file - config.json
+ * @param {string} key - Dotted key
+ * @param {string} [text] - Value as text (see parseValue())
+ * @returns {*} The value written, undefined when removed
+ * @throws {ConfigError} UNKNOWN_SETTING, INVALID_CONFIG_FILE, INVALID_CONFIG (value)
+ */
+function writeSetting(file, key, text) {
+  const data = parseConfigFile(file);
+  const value = text === undefined ? undefined : parseValue(key, text, 'memory config set');
+  if (value === undefined) {
+    settingSchema(key);
+    deletePath(data, key);
+  } else {
+    setPath(data, key, value);
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n', 'utf8');
+  return value;
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  ConfigError,
+  envName,
+  parseValue,
+  readConfigFile,
+  loadConfig,
+  getSetting,
+  writeSetting
+};
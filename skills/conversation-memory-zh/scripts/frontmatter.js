@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+/**
+ * frontmatter.js - summary.md metadata block
+ *
+ * Reads and writes the YAML frontmatter at the top of summary.md:
+ *
+ *   ---
+ *   version: 1
+ *   id: mem-20260111-143000
+ *   title: Memory System Design
+ *   keywords: [skills, memory, recall]
+ *   created: 2026-01-11T06:30:00.000Z
+ *   updated: 2026-01-11T06:30:00.000Z
+ *   language: en
+ *   status: active
+ *   source: manual
+ *   ---
+ *
+ * Only the YAML subset used by this block is supported (scalars, quoted
+ * strings, flow lists and block lists) so the skill stays dependency-free.
+ * Unknown keys are preserved on rewrite.
+ */
+
+// Current frontmatter version
+const FRONTMATTER_VERSION = 1;
+
+// Field order used when writing
+const FIELD_ORDER = ['version', 'id', 'type', 'title', 'keywords', 'created', 'updated', 'archived', 'language', 'status', 'pinned', 'importance', 'source', 'session', 'author', 'branch'];
+
+const FRONTMATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Parse a scalar value
+ */
+function parseScalar(raw) {
+  const value = raw.trim();
+
+  if (value === '' || value === '~' || value === 'null') {
+    return null;
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (/^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      return value.slice(1, -1);
+    }
+  }
+  if (value.startsWith('\'') && value.endsWith('\'') && value.length > 1) {
+    return value.slice(1, -1).replace(/''/g, '\'');
+  }
+  return value;
+}
+
+/**
+ * Split flow list content on commas outside quotes
+ */
+function splitFlowList(inner) {
+  const items = [];
+  let current = '';
+  let quote = null;
+
+  for (let i = 0; i < inner.length; i++) {
+    const ch = inner[i];
+    if (quote) {
+      current += ch;
+      if (ch === '\\' && quote === '"' && i + 1 < inner.length) {
+        current += inner[++i];
+      } else if (ch === quote) {
+        quote = null;
+      }
+    } else if (ch === '"' || ch === '\'') {
+      quote = ch;
+      current += ch;
+    } else if (ch === ',') {
+      items.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  items.push(current);
+
+  return items.map(parseScalar).filter(item => item !== null && item !== '');
+}
+
+/**
+ * Parse a value (flow list or scalar)
+ */
+function parseValue(raw) {
+  const value = raw.trim();
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return splitFlowList(value.slice(1, -1));
+  }
+  return parseScalar(value);
+}
+
+/**
+ * Parse frontmatter YAML text into an object
+ */
+function parseYaml(text) {
+  const data = {};
+  let listKey = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith('#')) {
+      continue;
+    }
+
+    const item = line.match(/^\s+-\s*(.*)$/) || (listKey && line.match(/^-\s*(.*)$/));
+    if (item && listKey) {
+      data[listKey].push(parseScalar(item[1]));
+      continue;
+    }
+
+    const pair = line.match(/^([A-Za-z_][\w-]*)\s*:(.*)$/);
+    if (!pair) {
+      continue;
+    }
+    const [, key, rest] = pair;
+    if (rest.trim() === '') {
+      data[key] = [];
+      listKey = key;
+    } else {
+      data[key] = parseValue(rest);
+      listKey = null;
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Format a scalar for YAML output, quoting when needed
+ */
+function formatScalar(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  const str = String(value);
+  const needsQuote = str === '' ||
+    /^[\s\-?:,[\]{}#&*!|>'"%@`]/.test(str) ||
+    /: |:$| #|[,[\]{}]/.test(str) ||
+    /\s$/.test(str) ||
+    /^(true|false|null|~|-?\d+(\.\d+)?)$/.test(str);
+
+  return needsQuote ? JSON.stringify(str) : str;
+}
+
+/**
+ * Serialize object to frontmatter YAML text (without --- fences)
+ */
+function stringifyYaml(data) {
+  const keys = [
+    ...FIELD_ORDER.filter(k => k in data),
+    ...Object.keys(data).filter(k => !FIELD_ORDER.includes(k))
+  ];
+
+  return keys
+    .filter(key => data[key] !== undefined)
+    .map(key => {
+      const value = data[key];
+      if (Array.isArray(value)) {
+        return `${key}: [${value.map(formatScalar).join(', ')}]`;
+      }
+      return `${key}: ${formatScalar(value)}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Split content into frontmatter data and body
+ * @param {string} content - File content
+ * @returns {{data: Object|null, body: string}} data is null when there is no frontmatter
+ */
+function parseFrontmatter(content) {
+  const match = content.match(FRONTMATTER_PATTERN);
+  if (!match) {
+    return { data: null, body: content };
+  }
+  return { data: parseYaml(match[1]), body: content.slice(match[0].length) };
+}
+
+/**
+ * Build file content from frontmatter data and body
+ */
+function stringifyFrontmatter(data, body) {
+  return `---\n${stringifyYaml(data)}\n---\n\n${body.replace(/^\s*\n/, '')}`;
+}
+
+/**
+ * Merge fields into content's frontmatter (creating it when missing)
+ * @param {string} content - File content
+ * @param {Object} patch - Fields to set
+ * @returns {string} New content
+ */
+function updateFrontmatter(content, patch) {
+  const { data, body } = parseFrontmatter(content);
+  return stringifyFrontmatter({ ...(data || {}), ...patch }, body);
+}
+
+module.exports = {
+  FRONTMATTER_VERSION,
+  parseFrontmatter,
+  stringifyFrontmatter,
+  updateFrontmatter,
+  parseYaml,
+  stringifyYaml
+};
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * fuzzy.js - Close spellings of search terms
+ *
+ * A term matches words within a small edit distance (insertions, deletions,
+ * substitutions and swaps of two neighbouring letters), so typos such as
+ * "postgress" or "kubernets" still find "postgres" and "kubernetes".
+ * Short words are left exact: one edit turns most of them into other words.
+ * CJK terms and numbers are always exact.
+ */
+
+const { isCjkTerm } = require('./tokenizer');
+
+// Edits allowed for a word of at least this many characters
+const FUZZY_DISTANCES = [
+  { minLength: 9, distance: 2 },
+  { minLength: 5, distance: 1 }
+];
+
+/**
+ * Edits allowed for a term, 0 when it must match exactly
+ */
+function maxDistance(term) {
+  if (isCjkTerm(term) || /\d/.test(term)) {
+    return 0;
+  }
+  const rule = FUZZY_DISTANCES.find(item => term.length >= item.minLength);
+  return rule ? rule.distance : 0;
+}
+
+/**
+ * Edit distance of two words (optimal string alignment), stops counting
+ * past max
+ * @returns {number} Distance, max + 1 when it is larger than max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+  let before = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, before[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    before = previous;
+    previous = current;
+  }
+  return Math.min(previous[b.length], max + 1);
+}
+
+/**
+ * Words close to a term
+ * @param {string} term - Search term (tokenizer.js)
+ * @param {Iterable<string>} vocabulary - Known terms, e.g. the search index's
+ * @returns {Array<{term: string, distance: number}>} Closest first, the term itself left out
+ */
+function closeTerms(term, vocabulary) {
+  const max = maxDistance(term);
+  if (max === 0) {
+    return [];
+  }
+  const result = [];
+  for (const word of vocabulary) {
+    if (word === term || isCjkTerm(word) || /\d/.test(word)) {
+      continue;
+    }
+    const distance = editDistance(term, word, max);
+    if (distance <= max) {
+      result.push({ term: word, distance });
+    }
+  }
+  return result.sort((a, b) => a.distance - b.distance || a.term.localeCompare(b.term));
+}
+
+module.exports = {
+  maxDistance,
+  editDistance,
+  closeTerms
+};
@@ -0,0 +1,724 @@
+/**
+ * English locale pack
+ *
+ * messages  - CLI output, {name} placeholders
+ * headings  - Patterns recognizing memories written in this language
+ * index     - memories/index.md text
+ * skill     - "Active memory keywords" line in SKILL.md description
+ * templates - Built-in summary.md / conversation.md, used when no template
+ *             file is found (see templates.js); keep in sync with references/
+ * compose   - Headings of memories written from JSON input (memory_input.js)
+ */
+
+module.exports = {
+  code: 'en',
+  name: 'English',
+
+  messages: {
+    'unknownTopic': 'Unknown Topic',
+    'none': '(none)',
+
+    'help.usage': 'Usage: {usage}',
+    'help.commands': 'Commands:',
+    'help.options': 'Options:',
+    'help.more': 'Run "memory <command> --help" for command options.',
+
+    'opt.json': 'Output JSON',
+    'opt.help': 'Show help',
+    'opt.locale': 'Output and template language (en, zh)',
+    'opt.status': 'active | archive | all (default: all)',
+    'opt.conversation': 'Show raw conversation instead of summary',
+    'opt.dryRun': 'Preview without changing anything',
+    'opt.force': 'Archive the oldest memory even if no rule applies',
+    'opt.type': 'Memory type: general, decision, bug, how-to, meeting, research (default: general)',
+    'opt.typeFilter': 'Only memories of this type (default: all)',
+    'opt.init': 'Copy the templates in use to the data directory for editing',
+    'opt.fromJson': 'Write the memory from a JSON file (- reads stdin) instead of templates',
+    'opt.minTurns': 'Skip sessions with fewer user turns (default: 3)',
+    'opt.optOut': 'Comma-separated markers that skip the session when a user message contains one (default: #no-memory,[no-memory])',
+    'opt.dedup': 'Save again even if the session was already saved with no new turns',
+    'opt.budget': 'Most context recall may add, in --unit (default: 4000)',
+    'opt.unit': 'Budget unit: chars or tokens (estimated) (default: chars)',
+    'opt.limit': 'Most memories recall may add (default: 3)',
+    'opt.bundleLimit': 'Most memories in the bundle (default: 5)',
+    'opt.searchLimit': 'Most results to show, 0 for all (default: 10)',
+    'opt.snippets': 'Most matching lines shown per result (default: 3)',
+    'opt.fuzzy': 'Match words exactly, also those no memory contains (no close spellings)',
+    'opt.sectionKeyword': 'Only items mentioning this word, or all items of memories with it in their title or keywords',
+    'opt.since': 'Only memories created on or after this date (YYYY, YYYY-MM or YYYY-MM-DD)',
+    'opt.until': 'Only memories created on or before this date (YYYY, YYYY-MM or YYYY-MM-DD)',
+    'opt.todoState': 'open | done | cancelled | all (default: open)',
+    'opt.mode': 'lexical (terms, BM25), semantic (vector similarity) or hybrid (both) (default: lexical)',
+    'opt.rebuild': 'Rebuild the search index from scratch instead of updating changed memories',
+    'opt.transcript': 'Render conversation.md from a Claude Code session transcript (latest: the project\'s newest)',
+
+    'cmd.save.summary': 'Create a new memory',
+    'cmd.save.description': 'Create a new memory (mem-YYYYMMDD-HHMMSS by default) with summary.md and conversation.md templates, then reindex. --type picks a type-specific summary template; --from-json writes a complete memory from structured input instead, --transcript fills conversation.md from a session transcript',
+    'cmd.import.summary': 'Import a session transcript into a memory',
+    'cmd.import.description': 'Replace a memory\'s conversation.md with a Claude Code session transcript (.jsonl, or latest for the project\'s newest): user and assistant turns with their timestamps, tool calls and attachments',
+    'cmd.hook.summary': 'Recall or save memories from Claude Code hooks',
+    'cmd.hook.description': 'Entry point for the hooks in .claude/settings.json, reads the hook payload on stdin. UserPromptSubmit: adds the active memories matching the prompt as context, within --budget, and logs them to recall-log.jsonl. SessionEnd and PreCompact: saves the transcript as a memory with a generated summary, then reindex; short sessions, sessions with an opt-out marker and sessions already saved with no new turns are skipped',
+    'cmd.show.summary': 'Show a memory\'s summary or raw conversation',
+    'cmd.show.description': 'Show a memory\'s summary.md, or conversation.md with --conversation',
+    'cmd.list.summary': 'List memories',
+    'cmd.list.description': 'List memories, newest first',
+    'cmd.search.summary': 'Search memories',
+    'cmd.recall.summary': 'Recall the memories matching a query as one context bundle',
+    'cmd.recall.description': 'Search all memories (query syntax as in search) and assemble the best ones into one markdown bundle within --budget: index rows first, then summaries, then the conversation lines around the matches, each layer added while it fits',
+    'cmd.search.description': 'Search memory titles, keywords, summaries and raw conversations, best matches first, with the matching lines. The query can filter by field, date and status: keyword:auth after:2026-01-01 -topic:draft "exact phrase"',
+    'cmd.decisions.summary': 'List the key decisions of every memory',
+    'cmd.decisions.description': 'List the Key Decisions section items of every summary (English or Chinese headings), newest memory first, with their memory id, date and line',
+    'cmd.conclusions.summary': 'List the important conclusions of every memory',
+    'cmd.conclusions.description': 'List the Important Conclusions section items of every summary (English or Chinese headings), newest memory first, with their memory id, date and line',
+    'cmd.todos.summary': 'List open TODOs of every memory, or mark them done or cancelled',
+    'cmd.todos.description': 'List the open TODOs and Action Items of every summary (English or Chinese headings), active and archived, newest memory first, with their memory, age and line. "todos done <name> <line>..." (or cancel, reopen) rewrites the checkbox of those lines in place and updates the open TODO count in index.md',
+    'cmd.files.summary': 'List the related files of every memory',
+    'cmd.files.description': 'List the Related Files section items of every summary (English or Chinese headings), newest memory first, with their memory id, date and line',
+    'cmd.activate.summary': 'Move an archived memory back to active',
+    'cmd.activate.description': 'Move an archived memory back to active/ and reindex',
+    'cmd.archive.summary': 'Archive memories by rules, or one specific memory',
+    'cmd.archive.description': 'Archive one memory, or apply the archive rules (age and active limit) when no name is given',
+    'cmd.pack.summary': 'Compress long-archived memories into cold storage',
+    'cmd.pack.description': 'Pack memories archived for more than coldStorageAfterDays days into one gzip bundle in memories/cold/ and remove their directories; list, search, show and activate still read them, unpacking on demand',
+    'cmd.pin.summary': 'Keep a memory active',
+    'cmd.pin.description': 'Pin a memory: the archive rules and --force skip it, index.md lists it first and its keywords are always in the SKILL.md description',
+    'cmd.unpin.summary': 'Let the archive rules apply to a memory again',
+    'cmd.unpin.description': 'Unpin a memory so it is archived by age and the active limit like the others, then reindex',
+    'cmd.importance.summary': 'Set how important a memory is (0-5)',
+    'cmd.importance.description': 'Set the importance field of a memory, from 0 (unset) to 5; the weighted archive strategy keeps important memories active longer',
+    'cmd.reindex.summary': 'Rebuild index.md and SKILL.md keywords',
+    'cmd.reindex.description': 'Rebuild memories/index.md and the keywords in SKILL.md description, and update the search index with changed memories',
+    'cmd.stats.summary': 'Show memory statistics',
+    'cmd.stats.description': 'Show active/archive counts and the age of each active memory',
+    'cmd.migrate.summary': 'Add frontmatter to regex-era summaries',
+    'cmd.migrate.description': 'Convert summary.md files without a frontmatter block (active and archive) by reading their headings; the original content is kept below the new block, then reindex',
+    'cmd.templates.summary': 'Show or customize memory templates',
+    'cmd.templates.description': 'Show which summary.md and conversation.md templates save uses; --init copies them to the data directory, where they override the bundled ones and survive skill upgrades',
+    'cmd.config.summary': 'Show or change settings',
+    'cmd.config.description': 'Show the settings with where each value comes from (default, config.json or an environment variable), or change one in config.json in the data directory: config set maxActiveMemories 30, config unset search.mode',
+
+    'error.prefix': 'Error [{code}]: {message}',
+    'error.seeHelp': 'Run "memory --help" for usage.',
+    'error.MEMORY_NOT_FOUND': 'Memory {id} not found',
+    'error.TODO_NOT_FOUND': 'No TODO on line {line} of {id}',
+    'error.UNKNOWN_SETTING': 'Unknown setting: {key} (run "memory config" for the list)',
+    'error.INVALID_CONFIG': 'Invalid value {value} for {key} ({source}): {reason}',
+    'error.INVALID_CONFIG_FILE': 'Invalid config file {source}: {reason}',
+    'error.MEMORY_PINNED': 'Memory {id} is pinned (run "memory unpin {id}" first)',
+    'error.MEMORY_COLD': 'Memory {id} is in cold storage (run "memory activate {id}" first)',
+    'error.UNKNOWN_STRATEGY': 'Unknown archive strategy: {strategy} (expected {supported})',
+    'error.NEEDS_MIGRATION': 'Memory {id} has no frontmatter (run "memory migrate" first)',
+    'error.MEMORY_EXISTS': 'Memory {id} already exists',
+    'error.INVALID_NAME': 'Invalid memory name: {id}',
+    'error.INVALID_TYPE': 'Invalid memory type: {type}',
+    'error.INVALID_INPUT': 'Invalid input: {field} {reason}',
+    'error.INPUT_NOT_FOUND': 'Input file not found: {path}',
+    'error.UNSUPPORTED_EVENT': 'Unsupported hook event: {event} (expected UserPromptSubmit, SessionEnd or PreCompact)',
+    'error.TRANSCRIPT_NOT_FOUND': 'Transcript not found: {path}',
+    'error.UNKNOWN_PROVIDER': 'Unknown embedding provider: {provider} (expected {supported})',
+    'error.INVALID_QUERY': 'Invalid query: {reason} ({token})',
+    'error.EMBEDDING_FAILED': 'Embedding failed ({provider}): {reason}',
+    'usage.unknownCommand': 'Unknown command: {command}',
+    'usage.unknownOption': 'Unknown option: {option}',
+    'usage.noValue': 'Option {option} does not take a value',
+    'usage.requiresValue': 'Option {option} requires a value',
+    'usage.invalidStatus': 'Invalid status: {value} (expected active, archive or all)',
+    'usage.invalidType': 'Invalid type: {value} (expected {supported})',
+    'usage.invalidLocale': 'Unsupported locale: {value} (expected {supported})',
+    'usage.invalidNumber': 'Invalid number for {option}: {value}',
+    'usage.invalidUnit': 'Invalid unit: {value} (expected {supported})',
+    'usage.invalidMode': 'Invalid mode: {value} (expected {supported})',
+    'usage.invalidDate': 'Invalid date for {option}: {value} (expected YYYY, YYYY-MM or YYYY-MM-DD)',
+    'usage.invalidState': 'Invalid state: {value} (expected open, done, cancelled or all)',
+    'usage.command': 'Usage: {usage}',
+
+    'memory.status.active': 'active',
+    'memory.status.archive': 'archive',
+    'memory.topic': '   Topic: {topic}',
+    'memory.pinned': '   Pinned',
+    'memory.cold': '   Cold storage (compressed)',
+    'memory.importance': '   Importance: {importance}',
+    'memory.modified': '   Modified: {time}',
+    'memory.keywords': '   Keywords: {keywords}',
+
+    'reindex.done': '✓ Index updated: {count} active memories, {keywords} keywords',
+    'reindex.noSkillFile': '  (SKILL.md not found, description keywords not updated)',
+    'reindex.search': '✓ Search index updated: {added} added, {updated} updated, {removed} removed ({count} memories, {terms} terms)',
+    'reindex.searchRebuilt': '✓ Search index rebuilt: {count} memories, {terms} terms',
+    'reindex.embeddingFailed': '⚠️ Memory vectors not updated: {reason}',
+    'reindex.legacy': '⚠️ {count} memories have no frontmatter, run: memory migrate',
+
+    'save.created': '✓ Memory created: {id}',
+    'save.path': '  Path: {path}',
+    'save.edit': 'Edit the following files to complete the memory:',
+    'save.editSummary': '  1. {path} - summary',
+    'save.editConversation': '  2. {path} - raw conversation',
+    'save.nonStandardName': 'Memory name "{id}" does not match standard format (mem-YYYYMMDD-HHMMSS)',
+    'save.overLimit': 'Active memories ({count}) exceed limit ({limit}), run: memory archive',
+
+    'import.done': '✓ Transcript imported into {id}: {turns} turns',
+    'import.from': '  From: {path}',
+    'import.to': '  To: {path}',
+    'import.empty': 'No conversation turns found in {path}',
+
+    'hook.saved': '✓ Session saved as {id} ({turns} turns)',
+    'hook.updated': '✓ Session memory {id} updated ({turns} turns)',
+    'hook.skipped.minTurns': 'Not saved: {turns} turns, fewer than {minTurns}',
+    'hook.skipped.optOut': 'Not saved: the conversation opted out of memory',
+    'hook.skipped.duplicate': 'Not saved: no new turns since the last save ({id})',
+
+    'recall.header': 'Relevant memories (conversation-memory):',
+    'recall.keywords': 'Keywords: {keywords}',
+    'recall.files': 'Files: {path}/ (summary.md, conversation.md)',
+    'recall.conversation': 'Conversation: {path}',
+    'recall.bundle.title': '# Recalled Memories: {query}',
+    'recall.bundle.index': 'Index',
+    'recall.bundle.summaries': 'Summaries',
+    'recall.bundle.excerpts': 'Conversation Excerpts',
+    'recall.bundle.excerpt': '{id} - {file}:{from}-{to}',
+    'recall.bundle.tooSmall': '{found} memories found, but a budget of {budget} {unit} is too small for any of them',
+
+    'show.header': '[{status}] {id} - {file}',
+    'show.missing': '({file} not found)',
+
+    'list.empty': 'No memories found',
+    'list.header': 'Memories ({count}):',
+
+    'search.empty': 'No memories found matching "{query}"',
+    'search.header': 'Search results ({count}):',
+    'search.score': '(score {score})',
+    'search.scoreSemantic': '(score {score}, similarity {similarity})',
+    'search.matched': '   Matched: {terms} - layer {layers}',
+    'search.via.synonym': '{term} (synonym of {from})',
+    'search.via.translation': '{term} (translation of {from})',
+    'search.via.fuzzy': '{term} (close to {from})',
+    'sections.header.decisions': 'Key Decisions ({count} in {memories} memories):',
+    'sections.header.conclusions': 'Important Conclusions ({count} in {memories} memories):',
+    'sections.header.todos': 'TODOs ({count} in {memories} memories):',
+    'sections.header.files': 'Related Files ({count} in {memories} memories):',
+    'sections.empty.decisions': 'No decisions found',
+    'sections.empty.conclusions': 'No conclusions found',
+    'sections.empty.todos': 'No TODOs found',
+    'sections.empty.files': 'No related files found',
+    'sections.header.todos.open': 'Open TODOs ({count} in {memories} memories):',
+    'sections.empty.todos.open': 'No open TODOs',
+    'todos.age': '({days} days)',
+    'todos.done': '✓ Done: {text} ({id}:{line})',
+    'todos.cancelled': '✓ Cancelled: {text} ({id}:{line})',
+    'todos.open': '✓ Reopened: {text} ({id}:{line})',
+
+    'activate.already': 'Memory {id} is already active',
+    'activate.done': '✓ Memory activated: {id}',
+    'activate.from': '  From: {path}',
+    'activate.to': '  To: {path}',
+
+    'pin.done': '✓ Memory pinned: {id}',
+    'pin.already': 'Memory {id} is already pinned',
+    'unpin.done': '✓ Memory unpinned: {id}',
+    'unpin.already': 'Memory {id} is not pinned',
+    'importance.done': '✓ Importance of {id}: {importance}',
+    'importance.cleared': '✓ Importance of {id} cleared',
+
+    'pack.empty': 'No memories archived for more than {days} days to pack',
+    'pack.header': 'Packing {count} memories archived for more than {days} days:',
+    'pack.dryRunHeader': '[dry run] Packing {count} memories archived for more than {days} days:',
+    'pack.archived': '   Archived: {time} ({days} days ago), {size}',
+    'pack.done': '✓ Packed into memories/cold/{bundle}: {size} -> {packedSize}',
+    'pack.dryRunDone': 'Dry run, nothing was packed ({size} in total). Run without --dry-run to pack.',
+
+    'archive.empty': 'No memories to archive',
+    'archive.header': 'Archiving {count} memories:',
+    'archive.dryRunHeader': '[dry run] Archiving {count} memories:',
+    'archive.reason': '   Reason: {reason}',
+    'archive.moved': '   ✓ Moved to: {path}',
+    'archive.dryRunDone': 'Dry run, nothing was archived. Run without --dry-run to archive.',
+    'archive.reason.expired': 'not used for more than {days} days',
+    'archive.reason.limit': 'active memories exceed limit of {limit}',
+    'archive.reason.manual': 'requested',
+    'archive.reason.force': 'forced',
+    'archive.score': '   Score: {score}',
+    'archive.rankingHeader': 'Eviction order ({strategy}, lowest score archived first when over the limit):',
+    'archive.part.age': 'age',
+    'archive.part.access': 'access',
+    'archive.part.importance': 'importance',
+    'archive.part.todos': 'todos',
+
+    'stats.title': '=== Memory Statistics ===',
+    'stats.active': 'Active memories: {count} (limit: {limit})',
+    'stats.archived': 'Archived memories: {count}',
+    'stats.cold': 'In cold storage: {count} memories in {bundles} bundles, {size} packed into {packedSize} ({saved} saved, {percent}%)',
+    'stats.threshold': 'Archive threshold: {days} days without use (recall, search, show)',
+    'stats.types': 'Active by type: {types}',
+    'stats.needsMigration': 'Without frontmatter: {count} (run: memory migrate)',
+    'stats.activeHeader': '--- Active Memories ---',
+    'stats.due': '⚠️ due for archive',
+    'stats.accessed': '   Last used: {time} ({days} days ago), {count} accesses',
+    'stats.accessedOnce': '   Last used: {time} ({days} days ago), 1 access',
+    'stats.notAccessed': '   Not accessed since saved: {time} ({days} days ago)',
+
+    'migrate.none': 'All summaries already have frontmatter',
+    'migrate.header': 'Migrating {count} summaries:',
+    'migrate.dryRunHeader': '[dry run] Migrating {count} summaries:',
+    'migrate.title': '   Title: {title}',
+    'migrate.keywords': '   Keywords: {keywords}',
+    'migrate.created': '   Created: {time}',
+    'migrate.noSummary': '⚠️ {id} has no summary.md, skipped',
+    'migrate.dryRunDone': 'Dry run, nothing was written. Run without --dry-run to migrate.',
+
+    'templates.header': 'Templates:',
+    'templates.source.override': 'project override',
+    'templates.source.reference': 'bundled reference',
+    'templates.source.builtin': 'built-in',
+    'templates.created': '✓ Template copied: {path}',
+    'templates.hint': 'Put summary.md, conversation.md or <type>.md (or <locale>/summary.md) in {dir} to override. Variables: {{id}}, {{date}}, {{time}}, {{created}}, {{type}}, {{language}}, {{author}}, {{branch}}',
+    'config.header': 'Settings ({file}):',
+    'config.source.default': 'default',
+    'config.source.file': 'config.json',
+    'config.hint': 'Change with "memory config set <key> <value>", or an environment variable CONVERSATION_MEMORY_<KEY> (e.g. CONVERSATION_MEMORY_SEARCH_MODE).',
+    'config.set': '✓ {key} = {value} ({file})',
+    'config.unset': '✓ {key} back to {value} ({file})',
+    'config.envOverride': '⚠️ {variable} is set and overrides this setting'
+  },
+
+  headings: {
+    title: /^# Conversation Memory:\s*(.+)$/m,
+    keywords: /\*\*Keywords\*\*:\s*(.+)$/m,
+    time: /\*\*Time\*\*:\s*(.+)$/m,
+    // Summary sections read across memories (sections.js), first heading is the standard one
+    sections: {
+      decisions: ['Key Decisions', 'Decisions', 'Decision'],
+      conclusions: ['Important Conclusions', 'Conclusions'],
+      todos: ['TODOs', 'Action Items'],
+      files: ['Related Files']
+    }
+  },
+
+  index: {
+    title: 'Active Memory Index',
+    intro: 'This file is automatically updated by scripts, recording summary info of all active memories.',
+    tableHeading: 'Index Table',
+    columns: ['Memory ID', 'Type', 'Topic', 'Keywords', 'Date'],
+    empty: '(No active memories)',
+    typesHeading: 'By Type',
+    todosHeading: 'Open TODOs',
+    todos: '{count} open TODOs in {memories} memories (active and archived), list them with `node scripts/memory.js todos`:',
+    noTodos: '(No open TODOs)',
+    keywordsHeading: 'Keywords Summary',
+    noKeywords: '(No valid keywords yet)',
+    usageHeading: 'Usage',
+    usage: [
+      'Find relevant memory from the index table (narrow down with the Type column or the By Type list)',
+      'Read `active/{memory-id}/summary.md` for details',
+      'For raw conversation, read `active/{memory-id}/conversation.md`'
+    ]
+  },
+
+  skill: {
+    pattern: /Active memory keywords:\s*.+/,
+    line: 'Active memory keywords: {keywords}',
+    empty: '(no active memories)'
+  },
+
+  templates: {
+    keywordPlaceholders: ['{keyword1}', '{keyword2}', '{keyword3}'],
+    titlePlaceholder: '{Topic Title}',
+
+    summary: `---
+version: 1
+id: {{id}}
+type: general
+title: "{Topic Title}"
+keywords: ["{keyword1}", "{keyword2}", "{keyword3}"]
+created: {{created}}
+updated: {{created}}
+language: {{language}}
+status: active
+source: manual
+author: {{author}}
+branch: {{branch}}
+---
+
+# Conversation Memory: {Topic Title}
+
+## Metadata
+
+- **Duration**: ~{N} minutes
+- **Turns**: {N} turns
+
+## Topic Summary
+
+{1-2 paragraphs summarizing the topic and background of this conversation}
+
+## Key Decisions
+
+1. {Decision 1}
+2. {Decision 2}
+3. ...
+
+## Important Conclusions
+
+- {Conclusion 1}
+- {Conclusion 2}
+- ...
+
+## TODOs
+
+- [ ] {Todo 1}
+- [ ] {Todo 2}
+- ...
+
+(Delete this section if no TODOs)
+
+## Related Files
+
+- \`{file_path_1}\` - {brief description}
+- \`{file_path_2}\` - {brief description}
+- ...
+
+(Delete this section if no related files)
+
+## Tracing
+
+For full raw conversation, see [conversation.md](conversation.md)
+`,
+
+    conversation: `# Raw Conversation Log
+
+## Conversation Info
+
+- **Start Time**: {{time}}
+- **End Time**: {YYYY-MM-DD HH:MM:SS}
+- **Turns**: {N} turns
+
+---
+
+## Conversation Content
+
+### User [{HH:MM:SS}]
+
+{User's first message}
+
+---
+
+### Claude [{HH:MM:SS}]
+
+{Claude's first reply}
+
+---
+
+### User [{HH:MM:SS}]
+
+{User's second message}
+
+---
+
+### Claude [{HH:MM:SS}]
+
+{Claude's second reply}
+
+---
+
+(Continue recording all conversation turns...)
+`,
+
+    // Summary templates per memory type (see templates.js)
+    decision: `---
+version: 1
+id: {{id}}
+type: decision
+title: "{Topic Title}"
+keywords: ["{keyword1}", "{keyword2}", "{keyword3}"]
+created: {{created}}
+updated: {{created}}
+language: {{language}}
+status: active
+source: manual
+author: {{author}}
+branch: {{branch}}
+---
+
+# Conversation Memory: {Topic Title}
+
+## Metadata
+
+- **Duration**: ~{N} minutes
+- **Turns**: {N} turns
+
+## Status
+
+{Proposed | Accepted | Superseded by mem-...}
+
+## Context
+
+{What problem or constraint forced a decision}
+
+## Options Considered
+
+1. **{Option A}** - {pros / cons}
+2. **{Option B}** - {pros / cons}
+
+## Decision
+
+{The option chosen and why}
+
+## Consequences
+
+- {What becomes easier or harder}
+- {Follow-up work}
+
+## Related Files
+
+- \`{file_path_1}\` - {brief description}
+- ...
+
+## Tracing
+
+For full raw conversation, see [conversation.md](conversation.md)
+`,
+
+    bug: `---
+version: 1
+id: {{id}}
+type: bug
+title: "{Topic Title}"
+keywords: ["{keyword1}", "{keyword2}", "{keyword3}"]
+created: {{created}}
+updated: {{created}}
+language: {{language}}
+status: active
+source: manual
+author: {{author}}
+branch: {{branch}}
+---
+
+# Conversation Memory: {Topic Title}
+
+## Metadata
+
+- **Duration**: ~{N} minutes
+- **Turns**: {N} turns
+
+## Symptoms
+
+{What went wrong - error messages, wrong output, affected users}
+
+## Reproduction
+
+1. {Step 1}
+2. {Step 2}
+3. {Observed vs expected result}
+
+## Root Cause
+
+{Why it happened}
+
+## Fix
+
+{What was changed to fix it}
+
+## Verification
+
+- {How the fix was confirmed (tests, manual checks)}
+
+## Related Files
+
+- \`{file_path_1}\` - {brief description}
+- ...
+
+## Tracing
+
+For full raw conversation, see [conversation.md](conversation.md)
+`,
+
+    'how-to': `---
+version: 1
+id: {{id}}
+type: how-to
+title: "{Topic Title}"
+keywords: ["{keyword1}", "{keyword2}", "{keyword3}"]
+created: {{created}}
+updated: {{created}}
+language: {{language}}
+status: active
+source: manual
+author: {{author}}
+branch: {{branch}}
+---
+
+# Conversation Memory: {Topic Title}
+
+## Metadata
+
+- **Duration**: ~{N} minutes
+- **Turns**: {N} turns
+
+## Goal
+
+{What this procedure achieves}
+
+## Prerequisites
+
+- {Tools, access, configuration needed}
+
+## Steps
+
+1. {Step 1}
+2. {Step 2}
+3. ...
+
+## Verification
+
+{How to tell it worked}
+
+## Pitfalls
+
+- {Mistakes made along the way and how to avoid them}
+
+## Related Files
+
+- \`{file_path_1}\` - {brief description}
+- ...
+
+## Tracing
+
+For full raw conversation, see [conversation.md](conversation.md)
+`,
+
+    meeting: `---
+version: 1
+id: {{id}}
+type: meeting
+title: "{Topic Title}"
+keywords: ["{keyword1}", "{keyword2}", "{keyword3}"]
+created: {{created}}
+updated: {{created}}
+language: {{language}}
+status: active
+source: manual
+author: {{author}}
+branch: {{branch}}
+---
+
+# Conversation Memory: {Topic Title}
+
+## Metadata
+
+- **Duration**: ~{N} minutes
+- **Turns**: {N} turns
+
+## Attendees
+
+- {Name / role}
+
+## Agenda
+
+1. {Topic 1}
+2. {Topic 2}
+
+## Discussion
+
+{Key points raised for each agenda item}
+
+## Decisions
+
+1. {Decision 1}
+
+## Action Items
+
+- [ ] {Action} - {owner}, {due date}
+
+## Related Files
+
+- \`{file_path_1}\` - {brief description}
+- ...
+
+## Tracing
+
+For full raw conversation, see [conversation.md](conversation.md)
+`,
+
+    research: `---
+version: 1
+id: {{id}}
+type: research
+title: "{Topic Title}"
+keywords: ["{keyword1}", "{keyword2}", "{keyword3}"]
+created: {{created}}
+updated: {{created}}
+language: {{language}}
+status: active
+source: manual
+author: {{author}}
+branch: {{branch}}
+---
+
+# Conversation Memory: {Topic Title}
+
+## Metadata
+
+- **Duration**: ~{N} minutes
+- **Turns**: {N} turns
+
+## Question
+
+{What we wanted to find out}
+
+## Sources
+
+- {Documentation, articles, code or experiments consulted}
+
+## Findings
+
+- {Finding 1}
+- {Finding 2}
+
+## Conclusions
+
+{Answer to the question and how confident we are}
+
+## Open Questions
+
+- [ ] {What is still unknown}
+
+## Related Files
+
+- \`{file_path_1}\` - {brief description}
+- ...
+
+## Tracing
+
+For full raw conversation, see [conversation.md](conversation.md)
+`
+  },
+
+  compose: {
+    summary: {
+      title: 'Conversation Memory: {title}',
+      metadata: 'Metadata',
+      duration: '**Duration**: ~{minutes} minutes',
+      turns: '**Turns**: {count} turns',
+      topicSummary: 'Topic Summary',
+      decisions: 'Key Decisions',
+      conclusions: 'Important Conclusions',
+      todos: 'TODOs',
+      files: 'Related Files',
+      tracing: 'Tracing',
+      tracingText: 'For full raw conversation, see [conversation.md](conversation.md)',
+      requests: 'User Requests',
+      untitled: 'Session {session}',
+      autoSaved: 'Saved automatically by the {event} hook. Review the title, keywords and type, and summarize the decisions and conclusions.'
+    },
+    conversation: {
+      title: 'Raw Conversation Log',
+      info: 'Conversation Info',
+      startTime: '**Start Time**: {time}',
+      endTime: '**End Time**: {time}',
+      turns: '**Turns**: {count} turns',
+      content: 'Conversation Content',
+      user: 'User',
+      assistant: 'Claude',
+      attachment: 'Attachment: {name}',
+      tool: 'Tool call: {name}'
+    }
+  }
+};
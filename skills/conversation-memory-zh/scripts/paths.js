@@ -1,17 +1,20 @@
 #!/usr/bin/env node
 
 /**
- * paths.js - 路径解析工具模块
+ * paths.js - Path resolution utility module
  * 
- * 提供统一的路径解析功能，将数据目录从技能目录分离到 .claude/data/ 下
+ * Provides unified path resolution, separating data directory from skill directory to .claude/data/
  * 
- * 目录结构：
+ * Directory structure:
  *   workdir/
  *   ├── .claude/
- *   │   ├── skills/conversation-memory-zh/  # 技能代码
- *   │   │   └── scripts/                    # 脚本目录（本模块所在位置）
- *   │   └── data/conversation-memory-zh/    # 数据目录
- *   │       └── memories/                   # 记忆存储
+ *   │   ├── skills/conversation-memory/  # Skill code (or conversation-memory-zh)
+ *   │   │   ├── scripts/                 # Scripts directory (this module's location)
+ *   │   │   └── references/              # Bundled templates
+ *   │   └── data/conversation-memory/    # Data directory (named after the skill)
+ *   │       ├── config.json              # Settings (optional, see config.js)
+ *   │       ├── templates/               # Project template overrides (optional)
+ *   │       └── memories/                # Memory storage
  *   │           ├── index.md
  *   │           ├── active/
  *   │           └── archive/
@@ -19,14 +22,27 @@
 
 const fs = require('fs');
 const path = require('path');
+const { DEFAULT_LOCALE, isSupportedLocale } = require('./i18n');
+const { loadConfig } = require('./config');
 
-// 技能名称
-const SKILL_NAME = 'conversation-memory-zh';
+// Skill name, taken from the installed skill directory so every variant
+// (conversation-memory, conversation-memory-zh) runs the same code
+const SKILL_NAME = path.basename(path.resolve(__dirname, '..'));
 
 /**
- * 向上查找 .claude 目录
- * @param {string} startDir - 起始目录，默认为当前脚本目录
- * @returns {string|null} .claude 目录的路径，未找到返回 null
+ * Locale of the installed skill variant
+ * A "-<locale>" suffix on the skill name selects the language (conversation-memory-zh -> zh)
+ * @returns {string} Locale code
+ */
+function getSkillLocale() {
+  const suffix = SKILL_NAME.split('-').pop();
+  return isSupportedLocale(suffix) ? suffix : DEFAULT_LOCALE;
+}
+
+/**
+ * Find .claude directory by traversing up
+ * @param {string} startDir - Starting directory, defaults to current script directory
+ * @returns {string|null} Path to .claude directory, null if not found
  */
 function findClaudeRoot(startDir = __dirname) {
   let currentDir = path.resolve(startDir);
@@ -44,150 +60,210 @@ function findClaudeRoot(startDir = __dirname) {
 }
 
 /**
- * 获取工作目录根路径
- * @returns {string} 工作目录路径
- * @throws {Error} 如果找不到 .claude 目录
+ * .claude directory of an installed skill
+ * @param {string} scriptsDir - Scripts directory, defaults to this module's location
+ * @returns {string|null} The .claude directory when scriptsDir is .claude/skills/<name>/scripts, else null
+ */
+function skillClaudeRoot(scriptsDir = __dirname) {
+  const skillsDir = path.dirname(path.dirname(path.resolve(scriptsDir)));
+  const claudeDir = path.dirname(skillsDir);
+  return path.basename(skillsDir) === 'skills' && path.basename(claudeDir) === '.claude' ? claudeDir : null;
+}
+
+/**
+ * Resolve .claude directory
+ * A skill installed under .claude/skills/<name> uses that .claude directory;
+ * anything else (the `memory` command of the npm package) looks up from the
+ * current working directory, so a .claude above the package never wins
+ * @param {string} [scriptsDir] - Scripts directory, defaults to this module's location
+ * @param {string} [cwd] - Working directory, defaults to process.cwd()
+ * @returns {string|null} Path to .claude directory, null if not found
+ */
+function resolveClaudeRoot(scriptsDir = __dirname, cwd = process.cwd()) {
+  return skillClaudeRoot(scriptsDir) || findClaudeRoot(cwd);
+}
+
+/**
+ * Get workspace root path
+ * @returns {string} Workspace directory path
+ * @throws {Error} If .claude directory not found
  */
 function getWorkDir() {
-  const claudeRoot = findClaudeRoot();
+  const claudeRoot = resolveClaudeRoot();
   if (!claudeRoot) {
-    throw new Error('无法找到 .claude 目录，请确保在正确的工作目录中运行');
+    throw new Error('Cannot find .claude directory, ensure running in correct workspace');
   }
   return path.dirname(claudeRoot);
 }
 
 /**
- * 获取技能目录路径
- * @returns {string} 技能目录路径
+ * Get skill directory path
+ * @returns {string} Skill directory path
  */
 function getSkillDir() {
-  const claudeRoot = findClaudeRoot();
+  const claudeRoot = resolveClaudeRoot();
   if (!claudeRoot) {
-    throw new Error('无法找到 .claude 目录');
+    throw new Error('Cannot find .claude directory');
   }
   return path.join(claudeRoot, 'skills', SKILL_NAME);
 }
 
 /**
- * 获取数据目录路径
- * @returns {string} 数据目录路径 (.claude/data/conversation-memory-zh/)
+ * Get data directory path
+ * @returns {string} Data directory path (.claude/data/conversation-memory/)
  */
 function getDataDir() {
-  const claudeRoot = findClaudeRoot();
+  const claudeRoot = resolveClaudeRoot();
   if (!claudeRoot) {
-    throw new Error('无法找到 .claude 目录');
+    throw new Error('Cannot find .claude directory');
   }
   return path.join(claudeRoot, 'data', SKILL_NAME);
 }
 
 /**
- * 获取记忆目录路径
- * @returns {string} 记忆目录路径 (.claude/data/conversation-memory-zh/memories/)
+ * Get memories directory path
+ * @returns {string} Memories directory path (.claude/data/conversation-memory/memories/)
  */
 function getMemoriesDir() {
   return path.join(getDataDir(), 'memories');
 }
 
 /**
- * 获取活跃记忆目录路径
- * @returns {string} 活跃记忆目录路径
+ * Get active memories directory path
+ * @returns {string} Active memories directory path
  */
 function getActiveDir() {
   return path.join(getMemoriesDir(), 'active');
 }
 
 /**
- * 获取归档记忆目录路径
- * @returns {string} 归档记忆目录路径
+ * Get archive memories directory path
+ * @returns {string} Archive memories directory path
  */
 function getArchiveDir() {
   return path.join(getMemoriesDir(), 'archive');
 }
 
 /**
- * 获取索引文件路径
- * @returns {string} 索引文件路径
+ * Get index file path
+ * @returns {string} Index file path
  */
 function getIndexFile() {
   return path.join(getMemoriesDir(), 'index.md');
 }
 
 /**
- * 获取 SKILL.md 文件路径
- * @returns {string} SKILL.md 文件路径
+ * Get project template override directory
+ * @returns {string} Templates directory path (.claude/data/conversation-memory/templates/)
+ */
+function getTemplatesDir() {
+  return path.join(getDataDir(), 'templates');
+}
+
+/**
+ * Get bundled references directory (next to this script, so it works before deployment too)
+ * @returns {string} References directory path
+ */
+function getReferencesDir() {
+  return path.join(__dirname, '..', 'references');
+}
+
+/**
+ * Get settings file path
+ * @returns {string} Config file path (.claude/data/conversation-memory/config.json)
+ */
+function getConfigFile() {
+  return path.join(getDataDir(), 'config.json');
+}
+
+/**
+ * Get effective settings (config.js: defaults, config.json, environment variables)
+ * @returns {{settings: Object, sources: Object<string, string>}}
+ * @throws {ConfigError} If config.json or a variable holds an invalid setting
+ */
+function getSettings() {
+  return loadConfig(getConfigFile());
+}
+
+/**
+ * Default output and template language: the locale setting, else the skill variant's
+ * Falls back to the skill variant's when the settings cannot be read (the
+ * error is reported when the store is created)
+ * @returns {string} Locale code
+ */
+function getDefaultLocale() {
+  try {
+    return getSettings().settings.locale || getSkillLocale();
+  } catch (err) {
+    return getSkillLocale();
+  }
+}
+
+/**
+ * Get SKILL.md file path
+ * @returns {string} SKILL.md file path
  */
 function getSkillFile() {
   return path.join(getSkillDir(), 'SKILL.md');
 }
 
 /**
- * 确保数据目录存在
- * 创建完整的目录结构：memories/active/, memories/archive/
+ * Ensure data directory exists
+ * Creates complete directory structure: memories/active/, memories/archive/, and index.md
  */
 function ensureDataDir() {
-  const dirs = [
-    getMemoriesDir(),
-    getActiveDir(),
-    getArchiveDir()
-  ];
-  
-  for (const dir of dirs) {
+  for (const dir of [getMemoriesDir(), getActiveDir(), getArchiveDir()]) {
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true });
     }
   }
-  
-  // 确保 index.md 存在
-  const indexFile = getIndexFile();
-  if (!fs.existsSync(indexFile)) {
-    const initialContent = `# 活跃记忆索引
-
-> 此文件由脚本自动更新，记录所有活跃记忆的摘要信息。
-
-## 索引表
-
-<!-- INDEX_START -->
-| 记忆ID | 主题 | 关键词 | 时间 |
-|--------|------|--------|------|
-| （暂无活跃记忆） | - | - | - |
-<!-- INDEX_END -->
-
-## 关键词汇总
-
-<!-- KEYWORDS_START -->
-（暂无有效关键词）
-<!-- KEYWORDS_END -->
-
-## 使用说明
 
-1. 根据索引表找到相关记忆
-2. 读取对应记忆的 \`active/{记忆ID}/summary.md\` 了解详情
-3. 如需原始对话，读取 \`active/{记忆ID}/conversation.md\`
-`;
-    fs.writeFileSync(indexFile, initialContent, 'utf8');
+  // Ensure index.md exists (required lazily, memory_store depends on this module)
+  if (!fs.existsSync(getIndexFile())) {
+    const { MemoryStore } = require('./memory_store');
+    new MemoryStore().reindex();
   }
 }
 
 /**
- * 获取配置对象（兼容现有脚本的 CONFIG 结构）
- * @returns {Object} 配置对象
+ * Get config object (compatible with existing script CONFIG structure)
+ * Limits, locale, search and embedding settings come from config.json and
+ * environment variables (see config.js)
+ * @returns {Object} Config object
+ * @throws {ConfigError} If the settings are invalid
  */
 function getConfig() {
+  const { settings } = getSettings();
   return {
     skillDir: getSkillDir(),
     memoriesDir: getMemoriesDir(),
     skillFile: getSkillFile(),
     indexFile: getIndexFile(),
+    templatesDir: getTemplatesDir(),
+    referencesDir: getReferencesDir(),
+    workDir: getWorkDir(),
     activeDir: 'active',
     archiveDir: 'archive',
-    maxActiveMemories: 20,
-    archiveAfterDays: 14
+    configFile: getConfigFile(),
+    maxActiveMemories: settings.maxActiveMemories,
+    archiveAfterDays: settings.archiveAfterDays,
+    archive: settings.archive,
+    coldStorageAfterDays: settings.coldStorageAfterDays,
+    skillKeywords: settings.skillKeywords,
+    indexKeywordLength: settings.indexKeywordLength,
+    search: settings.search,
+    embedding: settings.embedding,
+    locale: settings.locale || getSkillLocale(),
+    // references/ is written in the skill variant's language, whatever locale is set
+    referencesLocale: getSkillLocale()
   };
 }
 
 module.exports = {
   SKILL_NAME,
+  getSkillLocale,
   findClaudeRoot,
+  resolveClaudeRoot,
   getWorkDir,
   getSkillDir,
   getDataDir,
@@ -195,7 +271,12 @@ module.exports = {
   getActiveDir,
   getArchiveDir,
   getIndexFile,
+  getTemplatesDir,
+  getReferencesDir,
   getSkillFile,
+  getConfigFile,
+  getSettings,
+  getDefaultLocale,
   ensureDataDir,
   getConfig
 };
@@ -0,0 +1,457 @@
+#!/usr/bin/env node
+
+/**
+ * search.js - Ranked full-text search over memories
+ *
+ * Every memory is searched in its three layers:
+ *
+ *   Layer 1: id, title and keywords         (what index.md shows)
+ *   Layer 2: summary.md body                (sections)
+ *   Layer 3: conversation.md                (raw conversation)
+ *
+ * Memories are ranked with BM25, computed per layer and weighted so a match
+ * in the title or keywords counts more than one deep in the conversation.
+ * Each result carries the matching lines as snippets (file, line number,
+ * section heading, matched terms in **bold**), and the layers that matched,
+ * so the reader can tell whether the summary answers the query or the
+ * conversation has to be opened.
+ *
+ * Term counts come from the persistent index (search_index.js); only the
+ * files of the results shown are read, for their snippets.
+ *
+ * The semantic and hybrid modes also compare the query's vector with each
+ * memory's (embeddings.js), so a memory can be found by related words it
+ * does not contain.
+ *
+ * Queries can filter by field, date and status, and combine clauses with
+ * AND, OR and NOT (query.js); the filters decide which memories are results,
+ * the words rank them.
+ *
+ * A query word also matches its synonyms (synonyms.js), its translations
+ * between English and Chinese (translations.js) and, unless fuzzy matching
+ * is off, indexed words within a small edit distance (fuzzy.js).
+ * Such matches count less than the word itself, and results say which
+ * word matched for which.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { defaultTokenizer, normalize } = require('./tokenizer');
+const { syncEmbeddings, similarities } = require('./embeddings');
+const { parseQuery, matchQuery } = require('./query');
+const { parseSections, isPlaceholder } = require('./sections');
+const { closeTerms } = require('./fuzzy');
+const { allLocales } = require('./i18n');
+
+// Search settings
+const SEARCH_DEFAULTS = {
+  limit: 10,
+  snippets: 3,
+  mode: 'lexical',
+  semanticWeight: 0.5,
+  minSimilarity: 0.1,
+  fuzzy: true
+};
+
+// lexical: BM25 only; semantic: vector similarity only (embeddings.js);
+// hybrid: both, BM25 scaled to 0-1 by the best match
+const SEARCH_MODES = ['lexical', 'semantic', 'hybrid'];
+
+// BM25 term frequency saturation (k1) and length normalization (b)
+const BM25 = { k1: 1.2, b: 0.75 };
+
+// Layers and the weight of a match in each
+const LAYERS = [1, 2, 3];
+const LAYER_WEIGHTS = [3, 1.5, 1];
+
+// Frontmatter fields shown in the index (layer 1)
+const INDEX_FIELDS = ['title', 'keywords'];
+
+// Weight of a match through a synonym, translation or close spelling, relative to the query word itself
+const EXPANSION_WEIGHTS = { synonym: 0.8, translation: 0.8, fuzzy: 0.5 };
+
+// Link to conversation.md that ends every summary, in each language
+const TRACING_LINES = new Set(allLocales().map(locale => locale.compose.summary.tracingText));
+
+// Longest snippet, longer lines are cut around the first match
+const MAX_SNIPPET = 160;
+
+/**
+ * Split a memory file into searchable lines
+ * Empty lines, rules, frontmatter fields other than INDEX_FIELDS, template
+ * placeholders left in and the conversation.md link are left out. Headings
+ * are the same in every memory made from a template, so they only give the
+ * section of the lines below them and are not searched.
+ * @param {string|undefined} content - File content, undefined when the file is missing
+ * @returns {Array<{layer: number, file: string, line: number, section: string|null, text: string}>}
+ */
+function readLines(content, file, layer) {
+  if (content === undefined) {
+    return [];
+  }
+  const lines = content.split('\n');
+  const frontmatterEnd = lines[0].trim() === '---' ? lines.indexOf('---', 1) : -1;
+  const result = [];
+  let section = null;
+
+  lines.forEach((raw, i) => {
+    const text = raw.trim();
+    if (!text || text === '---') {
+      return;
+    }
+    if (i <= frontmatterEnd) {
+      const field = text.match(/^(\w+):/);
+      if (field && INDEX_FIELDS.includes(field[1])) {
+        result.push({ layer: 1, file, line: i + 1, section: null, text });
+      }
+      return;
+    }
+    const heading = text.match(/^#{1,6}\s+(.*)$/);
+    if (heading) {
+      section = heading[1].trim();
+      return;
+    }
+    if (TRACING_LINES.has(text) || isPlaceholder(text.replace(/^(?:[-*+]|\d+[.)])\s+(?:\[[ xX~-]\]\s*)?/, ''))) {
+      return;
+    }
+    result.push({ layer, file, line: i + 1, section, text });
+  });
+  return result;
+}
+
+/**
+ * Terms and lines of a memory's layers
+ * @param {Object} memory - Memory record
+ * @param {Object} [contents] - File name -> content, files not given are read from the memory directory
+ * @param {Object} [tokenizer] - tokenizer.js createTokenizer() result
+ */
+function readDocument(memory, contents = {}, tokenizer = defaultTokenizer) {
+  const read = file => {
+    if (file in contents) {
+      return contents[file];
+    }
+    const filePath = path.join(memory.path, file);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : undefined;
+  };
+  const lines = [...readLines(read('summary.md'), 'summary.md', 2), ...readLines(read('conversation.md'), 'conversation.md', 3)];
+  const layerText = layer => lines.filter(line => line.layer === layer).map(line => line.text).join('\n');
+  return {
+    memory,
+    lines,
+    terms: {
+      1: tokenizer.tokenize([memory.id, memory.topic, ...memory.keywords].join('\n')),
+      2: tokenizer.tokenize(layerText(2)),
+      3: tokenizer.tokenize(layerText(3))
+    }
+  };
+}
+
+/**
+ * Count the terms of a document per layer
+ * @returns {{terms: Map<string, number[]>, lengths: number[]}} term -> count in layers 1, 2 and 3,
+ *   and the number of terms in each layer
+ */
+function countLayerTerms(doc) {
+  const terms = new Map();
+  const lengths = [];
+  LAYERS.forEach((layer, i) => {
+    lengths.push(doc.terms[layer].length);
+    for (const term of doc.terms[layer]) {
+      if (!terms.has(term)) {
+        terms.set(term, LAYERS.map(() => 0));
+      }
+      terms.get(term)[i]++;
+    }
+  });
+  return { terms, lengths };
+}
+
+/**
+ * Highlight query terms in a line, cut to MAX_SNIPPET around the first match
+ */
+function highlight(text, queryTerms, tokenizer) {
+  // Adjacent and overlapping matches (e.g. CJK bigrams) are highlighted as one
+  const spans = [];
+  for (const span of tokenizer.tokenSpans(text).filter(span => queryTerms.has(span.term))) {
+    const last = spans[spans.length - 1];
+    if (last && span.start <= last.end) {
+      last.end = Math.max(last.end, span.end);
+    } else {
+      spans.push({ ...span });
+    }
+  }
+  let start = 0;
+  let end = text.length;
+  if (text.length > MAX_SNIPPET && spans.length > 0) {
+    start = Math.max(0, Math.min(spans[0].start - 40, text.length - MAX_SNIPPET));
+    end = start + MAX_SNIPPET;
+  }
+
+  let result = '';
+  let pos = start;
+  for (const span of spans) {
+    if (span.start < start || span.end > end) {
+      continue;
+    }
+    result += text.slice(pos, span.start) + `**${text.slice(span.start, span.end)}**`;
+    pos = span.end;
+  }
+  result += text.slice(pos, end);
+  return (start > 0 ? '...' : '') + result + (end < text.length ? '...' : '');
+}
+
+/**
+ * Best matching lines of a memory, most query terms first, then lower layers
+ */
+function findSnippets(doc, queryTerms, max, tokenizer) {
+  return doc.lines
+    .map((line, order) => ({ line, order, hits: new Set(tokenizer.tokenize(line.text).filter(term => queryTerms.has(term))).size }))
+    .filter(item => item.hits > 0)
+    .sort((a, b) => b.hits - a.hits || a.line.layer - b.line.layer || a.order - b.order)
+    .slice(0, max)
+    .map(({ line }) => ({ ...line, text: highlight(line.text, queryTerms, tokenizer) }));
+}
+
+/**
+ * What each query word can match: itself, its synonyms, translations and close spellings
+ * @returns {Array<{text: string, terms: string[], alternatives: Array<{text: string, terms: string[], kind: string|null, weight: number}>}>}
+ *   One entry per query term, plus one per query word of several terms with
+ *   synonyms or translations; an alternative of kind null is the query word itself
+ */
+function expandQuery(store, index, queryTerms, fuzzy) {
+  const units = new Map([...queryTerms].map(term => [term, {
+    text: term,
+    terms: [term],
+    alternatives: [{ text: term, terms: [term], kind: null, weight: 1 }]
+  }]));
+  const synonymous = new Set();
+  for (const [kind, groups] of [['synonym', store.synonyms], ['translation', store.translations]]) {
+    for (const word of groups.expand(queryTerms)) {
+      // Words the query has itself are matched as its own words
+      const alternatives = word.alternatives
+        .filter(alternative => !alternative.terms.every(term => queryTerms.has(term)))
+        .map(alternative => ({ ...alternative, kind, weight: EXPANSION_WEIGHTS[kind] }));
+      word.terms.forEach(term => synonymous.add(term));
+      const key = word.terms.length === 1 ? word.terms[0] : word.text;
+      if (!units.has(key)) {
+        units.set(key, { text: word.text, terms: word.terms, alternatives: [] });
+      }
+      units.get(key).alternatives.push(...alternatives);
+    }
+  }
+  // Close spellings are for words no memory contains and that have no synonyms
+  if (fuzzy) {
+    for (const term of queryTerms) {
+      if (!synonymous.has(term) && Object.keys(index.postings(term)).length === 0) {
+        for (const close of closeTerms(term, index.vocabulary)) {
+          units.get(term).alternatives.push({ text: close.term, terms: [close.term], kind: 'fuzzy', weight: EXPANSION_WEIGHTS.fuzzy });
+        }
+      }
+    }
+  }
+  return [...units.values()];
+}
+
+/**
+ * BM25 scores of memories matching the expanded query
+ * Each query word counts once per memory, with its best matching alternative;
+ * an alternative of several terms needs all of them and scores their average
+ * @returns {Map<string, {score: number, matched: string[], layers: Set<number>, expansions: Object[], covered: Set<string>, terms: Set<string>}>}
+ *   matched: query words found; expansions: {term, from, kind} for words
+ *   found through a synonym or close spelling; covered: query terms of the
+ *   words found; terms: memory terms that matched
+ */
+function lexicalScores(index, units, ids) {
+  const avgLength = LAYERS.map((layer, i) =>
+    ids.reduce((sum, id) => sum + index.memories[id].lengths[i], 0) / ids.length || 1);
+  const idf = term => {
+    const postings = index.postings(term);
+    const found = ids.filter(id => postings[id]).length;
+    return Math.log(1 + (ids.length - found + 0.5) / (found + 0.5));
+  };
+  const scores = new Map();
+
+  for (const unit of units) {
+    const best = new Map();
+    for (const alternative of unit.alternatives) {
+      const postings = alternative.terms.map(term => index.postings(term));
+      const found = ids.filter(id => postings.every(p => p[id]));
+      const weights = alternative.terms.map(idf);
+      for (const id of found) {
+        const lengths = index.memories[id].lengths;
+        const layers = new Set();
+        let score = 0;
+        alternative.terms.forEach((term, t) => {
+          LAYERS.forEach((layer, i) => {
+            const tf = postings[t][id][i];
+            if (tf > 0) {
+              const norm = BM25.k1 * (1 - BM25.b + BM25.b * lengths[i] / avgLength[i]);
+              score += weights[t] * LAYER_WEIGHTS[i] * tf * (BM25.k1 + 1) / (tf + norm);
+              layers.add(layer);
+            }
+          });
+        });
+        score *= alternative.weight / alternative.terms.length;
+        if (!best.has(id) || score > best.get(id).score) {
+          best.set(id, { score, layers, alternative });
+        }
+      }
+    }
+
+    for (const [id, { score, layers, alternative }] of best) {
+      const result = scores.get(id) || { score: 0, matched: [], layers: new Set(), expansions: [], covered: new Set(), terms: new Set() };
+      result.score += score;
+      unit.terms.forEach(term => result.covered.add(term));
+      layers.forEach(layer => result.layers.add(layer));
+      alternative.terms.forEach(term => result.terms.add(term));
+      result.matched.push(unit.text);
+      if (alternative.kind) {
+        result.expansions.push({ term: alternative.text, from: unit.text, kind: alternative.kind });
+      }
+      scores.set(id, result);
+    }
+  }
+  return scores;
+}
+
+/**
+ * Similarity of the query to each memory's vector (vectors are brought up to date first)
+ * @returns {Map<string, number>}
+ */
+function semanticScores(store, query, ids) {
+  const provider = store.embeddingProvider;
+  const { vectors } = syncEmbeddings(store, provider);
+  const candidates = new Map(ids.filter(id => vectors.has(id)).map(id => [id, vectors.get(id)]));
+  return similarities(provider, provider.embed([query])[0], candidates);
+}
+
+/**
+ * File contents of a memory for readDocument(), read through the store so
+ * memories in cold storage are read from their bundle
+ */
+function readContents(store, memory) {
+  const contents = {};
+  for (const file of ['summary.md', 'conversation.md']) {
+    const content = store.readFile(memory, file);
+    if (content !== null) {
+      contents[file] = content;
+    }
+  }
+  return contents;
+}
+
+/**
+ * Lazy views of an indexed memory for matching query clauses (see matchQuery)
+ */
+function queryContext(store, index, id, tokenizer) {
+  const entry = index.memories[id];
+  // Through the store: memories in cold storage are read from their bundle
+  const location = { id, ...store.locate(id) };
+  const read = file => store.readFile(location, file) || '';
+  let memory = null;
+  let sections = null;
+  let text = null;
+  return {
+    status: entry.status,
+    type: entry.type,
+    memory: () => memory || (memory = store.readMemory(id, entry.status, location.path, location.bundle)),
+    sections: () => sections || (sections = parseSections(read('summary.md'))),
+    text: () => text !== null ? text : (text = normalize(`${read('summary.md')}\n${read('conversation.md')}`).replace(/\s+/g, ' ')),
+    contains: value => {
+      const terms = tokenizer.tokenize(value);
+      return terms.length > 0 && terms.every(term => index.postings(term)[id]);
+    }
+  };
+}
+
+/**
+ * Rank memories for a query
+ * @param {MemoryStore} store
+ * @param {SearchIndex} index - Index in sync with the store (search_index.js)
+ * @param {string|Object} query - Query text or parseQuery() result
+ * @param {Object} [options]
+ * @param {'active'|'archive'|'all'} [options.status='all']
+ * @param {string} [options.type] - Only memories of this type ('all' or omitted for every type)
+ * @param {number} [options.limit=10] - Most results, 0 for all
+ * @param {number} [options.snippets=3] - Most snippets per result
+ * @param {string} [options.mode='lexical'] - SEARCH_MODES
+ * @param {number} [options.semanticWeight=0.5] - Share of similarity in hybrid scores
+ * @param {number} [options.minSimilarity=0.1] - Weaker similarities do not make a result
+ * @param {boolean} [options.fuzzy=true] - Match close spellings of words found in no memory
+ * @returns {Object[]} Memory records with score, matched (query terms found),
+ *   expansions ({term, from, kind} for synonyms and close spellings found),
+ *   layers (layer numbers that matched) and snippets, best first; semantic
+ *   and hybrid results also have similarity and lexicalScore. A query of
+ *   filters only returns every memory that passes them, newest first.
+ * @throws {QueryError} INVALID_QUERY
+ */
+function searchMemories(store, index, query, options = {}) {
+  const { limit, snippets, mode, semanticWeight, minSimilarity, fuzzy, status = 'all', type = 'all' } = { ...SEARCH_DEFAULTS, ...options };
+  const tokenizer = store.tokenizer;
+  const parsed = typeof query === 'string' ? parseQuery(query) : query;
+  const queryTerms = new Set(tokenizer.tokenize(parsed.text));
+  // Words that are not conditions: a result has to match one of them
+  const rankTerms = new Set(tokenizer.tokenize(parsed.terms.join(' ')));
+  if (parsed.groups.length === 0 && rankTerms.size === 0) {
+    return [];
+  }
+  const ids = Object.keys(index.memories).filter(id => {
+    const entry = index.memories[id];
+    return (status === 'all' || entry.status === status) && (type === 'all' || entry.type === type) &&
+      (parsed.groups.length === 0 || matchQuery(parsed, queryContext(store, index, id, tokenizer)));
+  });
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const lexical = mode === 'semantic' || queryTerms.size === 0 ? new Map()
+    : lexicalScores(index, expandQuery(store, index, queryTerms, fuzzy), ids);
+  const semantic = mode === 'lexical' || queryTerms.size === 0 ? new Map() : semanticScores(store, parsed.text, ids);
+  const maxLexical = Math.max(0, ...[...lexical.values()].map(result => result.score)) || 1;
+  const candidates = rankTerms.size === 0 ? new Set(ids) : new Set([
+    ...[...lexical].filter(([, match]) => [...match.covered].some(term => rankTerms.has(term))).map(([id]) => id),
+    ...[...semantic].filter(([, similarity]) => similarity >= minSimilarity).map(([id]) => id)
+  ]);
+
+  const ranked = [...candidates].map(id => {
+    const match = lexical.get(id) || { score: 0, matched: [], layers: new Set(), expansions: [], terms: new Set() };
+    const similarity = Math.max(0, semantic.get(id) || 0);
+    let score = match.score;
+    if (mode === 'semantic') {
+      score = similarity;
+    } else if (mode === 'hybrid') {
+      score = (1 - semanticWeight) * match.score / maxLexical + semanticWeight * similarity;
+    }
+    return { id, score, match, similarity };
+  });
+
+  // Ids are timestamps, newer memories first on equal scores
+  ranked.sort((a, b) => b.score - a.score || b.id.localeCompare(a.id));
+  const round = value => Math.round(value * 1000) / 1000;
+  return (limit > 0 ? ranked.slice(0, limit) : ranked).map(({ id, score, match, similarity }) => {
+    const entry = index.memories[id];
+    const location = store.locate(id);
+    const memory = store.readMemory(id, entry.status, location.path, location.bundle);
+    const result = {
+      ...memory,
+      score: round(score),
+      matched: match.matched,
+      expansions: match.expansions,
+      layers: LAYERS.filter(layer => match.layers.has(layer)),
+      snippets: findSnippets(readDocument(memory, readContents(store, memory), tokenizer), new Set([...queryTerms, ...match.terms]), snippets, tokenizer)
+    };
+    if (mode !== 'lexical') {
+      result.similarity = round(similarity);
+      result.lexicalScore = round(match.score);
+    }
+    return result;
+  });
+}
+
+module.exports = {
+  SEARCH_DEFAULTS,
+  SEARCH_MODES,
+  readDocument,
+  countLayerTerms,
+  searchMemories
+};
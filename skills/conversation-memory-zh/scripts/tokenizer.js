@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+/**
+ * tokenizer.js - Split text into search terms
+ *
+ * Text is normalized first: NFKC folds full-width letters, digits and
+ * punctuation to their half-width forms (Ｒｅｄｉｓ -> redis, ， -> ,) and
+ * everything is lowercased. Then:
+ *
+ * - Latin, Cyrillic, Hangul... words are runs of letters and digits
+ *   ("api_v2", "don't" and "follow-up" stay whole)
+ * - Chinese and Japanese have no spaces between words, so a run of CJK
+ *   characters gives its overlapping character bigrams (缓存方案 -> 缓存,
+ *   存方, 方案); a single character is a term of its own
+ * - Mixed-script text is split where the script changes (API接口 -> api, 接口)
+ * - Words of the user dictionary are terms too, wherever they appear, so
+ *   names like "vue3组件" or "node.js" can be found whole
+ *
+ * The user dictionary is a text file with one word per line, lines starting
+ * with # are comments.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// CJK ideograph or kana
+const CJK = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}';
+const CJK_PATTERN = new RegExp(`[${CJK}]`, 'u');
+
+// Letters, marks and digits outside CJK
+const WORD_CHAR = `(?:(?![${CJK}])[\\p{L}\\p{M}\\p{N}])`;
+
+const TOKEN_PATTERN = new RegExp(`[${CJK}]+|${WORD_CHAR}+(?:[_'-]${WORD_CHAR}+)*`, 'gu');
+
+/**
+ * Normalize text for matching: NFKC (full-width -> half-width) and lowercase
+ * @param {string} text
+ * @returns {string}
+ */
+function normalize(text) {
+  return text.normalize('NFKC').toLowerCase();
+}
+
+/**
+ * Normalize text one character at a time, keeping where each character came from
+ * @returns {{text: string, offsets: number[]}} offsets[i] is the position in the
+ *   original text of normalized position i (one extra entry for the end)
+ */
+function normalizeWithOffsets(text) {
+  let result = '';
+  const offsets = [];
+  let pos = 0;
+  for (const char of text) {
+    const normalized = normalize(char);
+    for (let i = 0; i < normalized.length; i++) {
+      offsets.push(pos);
+    }
+    result += normalized;
+    pos += char.length;
+  }
+  offsets.push(pos);
+  return { text: result, offsets };
+}
+
+/**
+ * Whether a term is made of CJK characters (a bigram, single character or dictionary word)
+ */
+function isCjkTerm(term) {
+  return CJK_PATTERN.test(term[0]);
+}
+
+/**
+ * Whether a character is a letter or digit (used for dictionary word boundaries)
+ */
+function isWordChar(char) {
+  return Boolean(char) && /[\p{L}\p{N}]/u.test(char) && !CJK_PATTERN.test(char);
+}
+
+/**
+ * Read a user dictionary file
+ * @param {string} file
+ * @returns {string[]} Words, [] when the file does not exist
+ */
+function loadDictionary(file) {
+  if (!file || !fs.existsSync(file)) {
+    return [];
+  }
+  return fs.readFileSync(file, 'utf8').split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Create a tokenizer
+ * @param {string[]} [words] - User dictionary words
+ * @returns {{tokenize: Function, tokenSpans: Function, words: string[], signature: string}}
+ *   signature changes with the dictionary (indexes built with another one are stale)
+ */
+function createTokenizer(words = []) {
+  const dictionary = [...new Set(words.map(normalize).filter(Boolean))].sort();
+
+  /**
+   * Dictionary words found in normalized text
+   */
+  function dictionarySpans(text) {
+    const spans = [];
+    for (const word of dictionary) {
+      for (let start = text.indexOf(word); start !== -1; start = text.indexOf(word, start + 1)) {
+        const end = start + word.length;
+        // A latin edge must not cut a word ("java" is not found in "javascript")
+        const cutsStart = isWordChar(word[0]) && isWordChar(text[start - 1]);
+        const cutsEnd = isWordChar(word[word.length - 1]) && isWordChar(text[end]);
+        if (!cutsStart && !cutsEnd) {
+          spans.push({ term: word, start, end });
+        }
+      }
+    }
+    return spans;
+  }
+
+  /**
+   * Terms of a text with their position in the original text
+   * @param {string} text
+   * @returns {Array<{term: string, start: number, end: number}>} In order of position
+   */
+  function tokenSpans(text) {
+    const { text: normalized, offsets } = normalizeWithOffsets(text);
+    const spans = [];
+
+    for (const match of normalized.matchAll(TOKEN_PATTERN)) {
+      const run = match[0];
+      if (!CJK_PATTERN.test(run[0])) {
+        spans.push({ term: run, start: match.index, end: match.index + run.length });
+        continue;
+      }
+      const chars = [...run];
+      if (chars.length === 1) {
+        spans.push({ term: run, start: match.index, end: match.index + run.length });
+        continue;
+      }
+      let pos = match.index;
+      for (let i = 0; i < chars.length - 1; i++) {
+        const term = chars[i] + chars[i + 1];
+        spans.push({ term, start: pos, end: pos + term.length });
+        pos += chars[i].length;
+      }
+    }
+    if (dictionary.length > 0) {
+      spans.push(...dictionarySpans(normalized).filter(span =>
+        !spans.some(other => other.term === span.term && other.start === span.start)));
+    }
+
+    return spans
+      .sort((a, b) => a.start - b.start || b.end - a.end)
+      .map(span => ({ term: span.term, start: offsets[span.start], end: offsets[span.end] }));
+  }
+
+  /**
+   * Terms of a text
+   * @param {string} text
+   * @returns {string[]}
+   */
+  function tokenize(text) {
+    return tokenSpans(text).map(span => span.term);
+  }
+
+  return {
+    tokenize,
+    tokenSpans,
+    words: dictionary,
+    signature: dictionary.length > 0 ? crypto.createHash('sha1').update(dictionary.join('\n')).digest('hex') : ''
+  };
+}
+
+// Tokenizer without a user dictionary
+const defaultTokenizer = createTokenizer();
+
+module.exports = {
+  normalize,
+  isCjkTerm,
+  loadDictionary,
+  createTokenizer,
+  defaultTokenizer,
+  tokenSpans: defaultTokenizer.tokenSpans,
+  tokenize: defaultTokenizer.tokenize
+};
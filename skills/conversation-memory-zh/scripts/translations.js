@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+/**
+ * translations.js - English / Chinese term mapping
+ *
+ * Memories are saved in either language, so a search or prompt in one
+ * language should find memories written in the other: "cache performance"
+ * finds a memory keyed "缓存, 性能". Each group holds a term and its
+ * translations, and is matched like a synonym group (synonyms.js), except
+ * that a word only stands for the words of the other language: search
+ * expands query words with their translations and recall matches keywords
+ * through them.
+ *
+ * A built-in list covers common software terms. translations.txt in the
+ * data directory adds more, in the synonyms.txt format:
+ *
+ *   # term, translations...
+ *   rate limit, 限流, 限速
+ *   feature flag, 功能开关
+ */
+
+const { loadSynonyms } = require('./synonyms');
+
+// Built-in groups: English first, then Chinese
+const BUILTIN_TRANSLATIONS = [
+  ['cache', 'caching', '缓存'],
+  ['performance', '性能'],
+  ['database', '数据库'],
+  ['index', '索引'],
+  ['query', '查询'],
+  ['search', '搜索', '检索'],
+  ['memory', '记忆', '内存'],
+  ['authentication', 'auth', '认证', '身份验证'],
+  ['authorization', '授权'],
+  ['login', '登录'],
+  ['password', '密码'],
+  ['token', '令牌'],
+  ['permission', '权限'],
+  ['security', '安全'],
+  ['encryption', '加密'],
+  ['user', '用户'],
+  ['session', '会话'],
+  ['configuration', 'config', '配置'],
+  ['deployment', 'deploy', '部署'],
+  ['release', '发布'],
+  ['version', '版本'],
+  ['upgrade', '升级'],
+  ['migration', 'migrate', '迁移'],
+  ['rollback', '回滚'],
+  ['build', '构建'],
+  ['compile', '编译'],
+  ['dependency', 'dependencies', '依赖'],
+  ['test', 'testing', '测试'],
+  ['unit test', '单元测试'],
+  ['integration test', '集成测试'],
+  ['bug', '缺陷', '故障'],
+  ['error', '错误', '报错'],
+  ['exception', '异常'],
+  ['crash', '崩溃'],
+  ['timeout', '超时'],
+  ['memory leak', '内存泄漏'],
+  ['debug', 'debugging', '调试'],
+  ['log', 'logging', '日志'],
+  ['monitoring', '监控'],
+  ['alert', '告警'],
+  ['metrics', '指标'],
+  ['latency', '延迟'],
+  ['throughput', '吞吐量'],
+  ['concurrency', '并发'],
+  ['thread', '线程'],
+  ['process', '进程'],
+  ['queue', '队列'],
+  ['message queue', '消息队列'],
+  ['asynchronous', 'async', '异步'],
+  ['synchronous', 'sync', '同步'],
+  ['server', '服务器'],
+  ['client', '客户端'],
+  ['frontend', '前端'],
+  ['backend', '后端'],
+  ['service', '服务'],
+  ['microservice', 'microservices', '微服务'],
+  ['gateway', '网关'],
+  ['load balancing', 'load balancer', '负载均衡'],
+  ['network', '网络'],
+  ['request', '请求'],
+  ['response', '响应'],
+  ['interface', '接口'],
+  ['architecture', '架构'],
+  ['design', '设计'],
+  ['refactor', 'refactoring', '重构'],
+  ['optimization', 'optimize', '优化'],
+  ['component', '组件'],
+  ['module', '模块'],
+  ['plugin', '插件'],
+  ['framework', '框架'],
+  ['template', '模板'],
+  ['document', 'documentation', 'docs', '文档'],
+  ['comment', '注释'],
+  ['code review', '代码审查', '代码评审'],
+  ['requirement', 'requirements', '需求'],
+  ['feature', '功能', '特性'],
+  ['storage', '存储'],
+  ['file', '文件'],
+  ['directory', 'folder', '目录'],
+  ['backup', '备份'],
+  ['transaction', '事务'],
+  ['container', '容器'],
+  ['image', '镜像'],
+  ['cluster', '集群'],
+  ['node', '节点'],
+  ['scheduler', 'scheduling', '调度'],
+  ['task', '任务'],
+  ['workflow', '工作流'],
+  ['pipeline', '流水线'],
+  ['branch', '分支'],
+  ['merge', '合并'],
+  ['commit', '提交'],
+  ['repository', 'repo', '仓库'],
+  ['environment', '环境'],
+  ['production', '生产环境'],
+  ['script', '脚本'],
+  ['command', '命令'],
+  ['parameter', 'argument', '参数'],
+  ['variable', '变量'],
+  ['function', '函数'],
+  ['object', '对象'],
+  ['array', '数组'],
+  ['string', '字符串'],
+  ['type', '类型'],
+  ['data', '数据'],
+  ['model', '模型'],
+  ['algorithm', '算法'],
+  ['recall', '召回'],
+  ['summary', '摘要', '总结'],
+  ['keyword', 'keywords', '关键词'],
+  ['decision', '决策', '决定'],
+  ['conclusion', '结论'],
+  ['meeting', '会议'],
+  ['plan', '计划'],
+  ['research', '调研'],
+  ['archive', '归档'],
+  ['hook', '钩子'],
+  ['translation', '翻译'],
+  ['internationalization', 'i18n', '国际化']
+];
+
+/**
+ * Built-in groups plus the groups of a user file
+ * @param {string} [file] - translations.txt, optional
+ * @returns {string[][]}
+ */
+function loadTranslations(file) {
+  return [...BUILTIN_TRANSLATIONS, ...loadSynonyms(file)];
+}
+
+module.exports = {
+  BUILTIN_TRANSLATIONS,
+  loadTranslations
+};
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * access.js - When memories were last used
+ *
+ * A memory directory's mtime only changes when files are added to or removed
+ * from it, so a memory that recall injects every day looks as old as one
+ * nobody opened since it was saved. Each use (recall, search hits, show,
+ * activate) is recorded in access.json in the memory directory, so it moves
+ * with the memory between active/ and archive/ (memories in cold storage keep
+ * the same record in their manifest entry, see cold_storage.js):
+ *
+ *   {"accessed": "2026-03-15T10:00:00.000Z", "count": 12}
+ *
+ * Archiving and stats go by the last use: the last access, or the creation
+ * time for memories not accessed since they were saved.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Access record in each memory directory
+const ACCESS_FILE = 'access.json';
+
+/**
+ * Access record from the data of an access.json file
+ * @param {Object|null} data
+ * @returns {{accessed: Date|null, count: number}} {accessed: null, count: 0} when it is not one
+ */
+function parseAccess(data) {
+  if (!data || typeof data !== 'object') {
+    return { accessed: null, count: 0 };
+  }
+  const accessed = data.accessed ? new Date(data.accessed) : null;
+  return {
+    accessed: accessed && !isNaN(accessed.getTime()) ? accessed : null,
+    count: Number.isInteger(data.count) && data.count > 0 ? data.count : 0
+  };
+}
+
+/**
+ * Access record of a memory, {accessed: null, count: 0} when it has none
+ * @param {string} memoryPath - Memory directory
+ * @returns {{accessed: Date|null, count: number}}
+ */
+function readAccess(memoryPath) {
+  try {
+    return parseAccess(JSON.parse(fs.readFileSync(path.join(memoryPath, ACCESS_FILE), 'utf8')));
+  } catch (err) {
+    // Missing or unreadable: never accessed
+    return { accessed: null, count: 0 };
+  }
+}
+
+/**
+ * Record one use of a memory, leaving the directory's modification time as
+ * it was (list order and "modified" dates stay those of the files)
+ * @param {string} memoryPath - Memory directory
+ * @param {Date} [now]
+ * @returns {{accessed: Date, count: number}} The new record
+ */
+function recordAccess(memoryPath, now = new Date()) {
+  const record = { accessed: now, count: readAccess(memoryPath).count + 1 };
+  writeAccess(memoryPath, record);
+  return record;
+}
+
+/**
+ * Data of an access.json file for an access record
+ * @param {{accessed: Date, count: number}} record
+ */
+function accessData(record) {
+  return { accessed: record.accessed.toISOString(), count: record.count };
+}
+
+/**
+ * Write the access record of a memory, leaving the directory's modification time as it was
+ * @param {string} memoryPath - Memory directory
+ * @param {{accessed: Date, count: number}} record
+ */
+function writeAccess(memoryPath, record) {
+  const stat = fs.statSync(memoryPath);
+  fs.writeFileSync(path.join(memoryPath, ACCESS_FILE), JSON.stringify(accessData(record)) + '\n', 'utf8');
+  fs.utimesSync(memoryPath, stat.atime, stat.mtime);
+}
+
+module.exports = {
+  ACCESS_FILE,
+  parseAccess,
+  accessData,
+  readAccess,
+  recordAccess,
+  writeAccess
+};
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ACCESS_FILE, readAccess, recordAccess } = require('./access');
+const { MemoryStore } = require('./memory_store');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'access-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Two memories saved 30 days ago
+function createStore(t, options = {}) {
+  const store = new MemoryStore({ memoriesDir: path.join(tempDir(t), 'memories'), skillFile: null, locale: 'en', ...options });
+  const created = new Date(Date.now() - 30 * DAY).toISOString();
+  for (const [id, topic] of [['mem-20260111-143000', 'Redis cache'], ['mem-20260112-090000', 'Release checklist']]) {
+    store.createFromInput({ topic, keywords: [topic.split(' ')[0].toLowerCase()] }, { id });
+    store.updateMetadata(id, { created });
+  }
+  return store;
+}
+
+test('accesses are counted without touching the directory mtime', t => {
+  const dir = tempDir(t);
+  const old = new Date(2026, 0, 1);
+  fs.utimesSync(dir, old, old);
+  assert.deepEqual(readAccess(dir), { accessed: null, count: 0 });
+
+  recordAccess(dir, new Date('2026-03-01T10:00:00Z'));
+  const record = recordAccess(dir, new Date('2026-03-15T10:00:00Z'));
+
+  assert.equal(record.count, 2);
+  assert.deepEqual(readAccess(dir), { accessed: new Date('2026-03-15T10:00:00Z'), count: 2 });
+  assert.equal(fs.statSync(dir).mtime.getTime(), old.getTime());
+
+  fs.writeFileSync(path.join(dir, ACCESS_FILE), '{broken');
+  assert.deepEqual(readAccess(dir), { accessed: null, count: 0 });
+});
+
+test('search results are recorded unless tracking is off', t => {
+  const store = createStore(t);
+
+  store.search('redis', { track: false });
+  assert.equal(store.get('mem-20260111-143000').accessCount, 0);
+
+  store.search('redis');
+  store.search('redis');
+  const memory = store.get('mem-20260111-143000');
+  assert.equal(memory.accessCount, 2);
+  assert.ok(memory.daysSinceUsed < 1);
+  assert.equal(store.get('mem-20260112-090000').accessCount, 0);
+});
+
+test('archiving goes by the last use, not the directory mtime', t => {
+  const store = createStore(t);
+  store.search('redis');
+
+  assert.deepEqual(store.getArchiveCandidates().map(memory => [memory.id, memory.reason]),
+    [['mem-20260112-090000', 'expired']]);
+});
+
+test('the active limit archives the least recently used first', t => {
+  const store = createStore(t, { archiveAfterDays: 60, maxActiveMemories: 1 });
+  store.search('release');
+
+  assert.deepEqual(store.getArchiveCandidates().map(memory => memory.id), ['mem-20260111-143000']);
+});
+
+test('activating a memory records an access', t => {
+  const store = createStore(t);
+  store.archive('mem-20260111-143000');
+  store.activate('mem-20260111-143000');
+
+  assert.equal(store.get('mem-20260111-143000').accessCount, 1);
+  assert.deepEqual(store.getArchiveCandidates().map(memory => memory.id), ['mem-20260112-090000']);
+});
@@ -0,0 +1,195 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createTar,
+  parseTar,
+  collectFiles,
+  describeMemory,
+  writeBundle,
+  readBundle,
+  unpackMemory,
+  removeFromBundle,
+  readManifest,
+  writeManifest,
+  findBundle
+} = require('./cold_storage');
+const { MemoryStore } = require('./memory_store');
+const { recallBundle } = require('./recall');
+const { createTranslator } = require('./i18n');
+
+function workspace(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-cold-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Whole seconds: tar keeps no more
+const MTIME = new Date('2026-01-05T10:00:00.000Z');
+
+test('tar archives keep names, contents, times and directories', () => {
+  const entries = [
+    { name: 'mem-20260105-100000/', mtime: MTIME, directory: true },
+    { name: 'mem-20260105-100000/empty.md', data: Buffer.alloc(0), mtime: MTIME },
+    { name: 'mem-20260105-100000/summary.md', data: Buffer.from('# 缓存设计\n\nRedis'), mtime: MTIME },
+    { name: 'mem-20260105-100000/block.md', data: Buffer.alloc(512, 'a'), mtime: MTIME },
+    { name: 'mem-20260105-100000/conversation.md', data: Buffer.alloc(513, 'b'), mtime: new Date('2026-01-06T08:30:15.000Z') }
+  ];
+
+  const tar = createTar(entries);
+  assert.equal(tar.length % 512, 0);
+  assert.deepEqual(parseTar(tar), entries);
+});
+
+test('data that is not a tar archive is refused', () => {
+  assert.throws(() => parseTar(Buffer.alloc(1024, 'x')), /Not a ustar archive/);
+});
+
+test('bundles round-trip through gzip and lose memories one at a time', t => {
+  const dir = workspace(t);
+  const file = path.join(dir, 'cold', 'cold-20261019-120000.tar.gz');
+  const entries = ['mem-a', 'mem-b'].flatMap(id => [
+    { name: `${id}/`, mtime: MTIME, directory: true },
+    { name: `${id}/summary.md`, data: Buffer.from(`summary of ${id}\n`.repeat(100)), mtime: MTIME }
+  ]);
+
+  const packedSize = writeBundle(file, entries);
+  assert.equal(fs.statSync(file).size, packedSize);
+  assert.ok(packedSize < entries.reduce((sum, entry) => sum + (entry.data ? entry.data.length : 0), 0));
+  assert.deepEqual(readBundle(file), entries);
+
+  removeFromBundle(file, 'mem-a');
+  assert.deepEqual(readBundle(file).map(entry => entry.name), ['mem-b/', 'mem-b/summary.md']);
+});
+
+test('a packed memory is described and unpacked as it was', t => {
+  const dir = workspace(t);
+  const memoryPath = path.join(dir, 'archive', 'mem-20260105-100000');
+  fs.mkdirSync(path.join(memoryPath, 'notes'), { recursive: true });
+  fs.writeFileSync(path.join(memoryPath, 'summary.md'), '---\ntitle: Cache\n---\n# Cache\n');
+  fs.writeFileSync(path.join(memoryPath, 'access.json'), '{"accessed": "2026-01-06T00:00:00.000Z", "count": 2}\n');
+  fs.writeFileSync(path.join(memoryPath, 'notes', 'draft.md'), 'draft\n');
+  for (const file of ['summary.md', 'access.json', 'notes/draft.md', 'notes', '']) {
+    fs.utimesSync(path.join(memoryPath, file), MTIME, MTIME);
+  }
+
+  const record = describeMemory(collectFiles(memoryPath, 'mem-20260105-100000'), 'mem-20260105-100000');
+  const size = ['summary.md', 'access.json', 'notes/draft.md'].reduce((sum, name) => sum + fs.statSync(path.join(memoryPath, name)).size, 0);
+  assert.equal(record.size, size);
+  assert.equal(record.mtime, MTIME.getTime());
+  assert.deepEqual(Object.keys(record.files).sort(), ['access.json', 'summary.md']);
+  assert.equal(record.summary, '---\ntitle: Cache\n---\n# Cache\n');
+  assert.deepEqual(record.access, { accessed: '2026-01-06T00:00:00.000Z', count: 2 });
+  assert.equal(record.embedding, null);
+
+  const file = path.join(dir, 'bundle.tar.gz');
+  writeBundle(file, collectFiles(memoryPath, 'mem-20260105-100000'));
+  const target = path.join(dir, 'active', 'mem-20260105-100000');
+  fs.mkdirSync(path.dirname(target));
+  assert.equal(unpackMemory(readBundle(file), 'mem-20260105-100000', target), target);
+
+  assert.equal(fs.readFileSync(path.join(target, 'notes', 'draft.md'), 'utf8'), 'draft\n');
+  for (const name of ['summary.md', 'notes/draft.md', 'notes', '']) {
+    assert.equal(fs.statSync(path.join(target, name)).mtime.getTime(), MTIME.getTime(), name || 'memory directory');
+  }
+  assert.deepEqual(fs.readdirSync(path.dirname(target)), ['mem-20260105-100000']);
+});
+
+test('manifests list bundles and the memories they hold', t => {
+  const dir = workspace(t);
+  assert.deepEqual(readManifest(dir), { bundles: {} });
+
+  const manifest = { bundles: { 'cold-1.tar.gz': { created: MTIME.toISOString(), memories: { 'mem-a': { size: 10 } } } } };
+  writeManifest(dir, manifest);
+  assert.deepEqual(readManifest(dir), manifest);
+  assert.equal(findBundle(manifest, 'mem-a'), 'cold-1.tar.gz');
+  assert.equal(findBundle(manifest, 'mem-b'), null);
+});
+
+/**
+ * Store with one memory packed into cold storage
+ */
+function packedStore(t) {
+  const dir = workspace(t);
+  const store = new MemoryStore({ memoriesDir: path.join(dir, 'memories'), skillFile: null, locale: 'en' });
+  const memory = store.createFromInput({
+    topic: 'Cache design',
+    keywords: ['redis'],
+    decisions: ['Use Redis for sessions'],
+    turns: [{ role: 'user', content: 'How long should sessions live in the eviction queue?' }]
+  }, { id: 'mem-20260105-100000' });
+  store.archive(memory.id);
+  store.updateMetadata(memory.id, { archived: '2026-01-06T00:00:00.000Z' });
+  store.reindex();
+  assert.notEqual(store.pack().bundle, null);
+  return { dir, store };
+}
+
+/**
+ * Directories named after a memory anywhere under a directory
+ */
+function findCopies(dir, id) {
+  return fs.readdirSync(dir, { recursive: true }).filter(name => path.basename(name) === id);
+}
+
+test('memories in cold storage are listed, searched, shown and recalled without unpacking', t => {
+  const { dir, store } = packedStore(t);
+  const fresh = new MemoryStore({ memoriesDir: store.memoriesDir, skillFile: null, locale: 'en' });
+
+  const [memory] = fresh.list({ status: 'archive' });
+  assert.equal(memory.id, 'mem-20260105-100000');
+  assert.equal(memory.cold, true);
+  assert.equal(memory.topic, 'Cache design');
+  assert.deepEqual(fresh.sections('decisions').map(item => item.text), ['Use Redis for sessions']);
+  assert.match(fresh.readFile(memory, 'conversation.md'), /eviction queue/);
+
+  const [result] = fresh.search('eviction queue', { track: false });
+  assert.equal(result.id, 'mem-20260105-100000');
+  assert.ok(result.snippets.some(snippet => snippet.layer === 3));
+  fresh.reindex({ rebuildSearch: true });
+  assert.equal(fresh.search('eviction', { track: false }).length, 1);
+
+  const recalled = recallBundle(fresh, createTranslator('en'), 'eviction queue');
+  assert.deepEqual(recalled.memories.map(item => item.layers), [[1, 2, 3]]);
+  assert.match(recalled.bundle, /eviction queue/);
+
+  assert.deepEqual(findCopies(dir, 'mem-20260105-100000'), []);
+});
+
+test('memories in cold storage are read-only until activated', t => {
+  const { store } = packedStore(t);
+  assert.throws(() => store.pin('mem-20260105-100000'), { code: 'MEMORY_COLD' });
+
+  const { memory } = store.activate('mem-20260105-100000');
+  assert.equal(memory.cold, false);
+  assert.equal(memory.status, 'active');
+  assert.match(fs.readFileSync(path.join(memory.path, 'conversation.md'), 'utf8'), /eviction queue/);
+  assert.deepEqual(fs.readdirSync(store.coldDir), ['manifest.json']);
+  assert.equal(store.pin(memory.id).changed, true);
+});
+
+test('uses of memories in cold storage are recorded and kept on activation', t => {
+  const { store } = packedStore(t);
+  const id = 'mem-20260105-100000';
+  const before = store.get(id).accessCount;
+
+  store.search('eviction queue');
+  recallBundle(store, createTranslator('en'), 'eviction queue');
+  const memory = store.get(id);
+  assert.equal(memory.accessCount, before + 2);
+  assert.ok(memory.daysSinceUsed < 1);
+  assert.equal(store.coldRecord(id, memory.bundle).access.count, before + 2);
+
+  // Activating records one more use
+  assert.equal(store.activate(id).memory.accessCount, before + 3);
+});
+
+test('deleting a memory in cold storage drops it from its bundle', t => {
+  const { store } = packedStore(t);
+
+  assert.equal(store.delete('mem-20260105-100000').cold, true);
+  assert.equal(store.get('mem-20260105-100000'), null);
+  assert.deepEqual(store.coldStats(), { bundles: 0, memories: 0, size: 0, packedSize: 0, saved: 0 });
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError, envName, parseValue, loadConfig, getSetting, writeSetting } = require('./config');
+const { registerProvider } = require('./embeddings');
+const { registerStrategy } = require('./eviction');
+
+function configFile(t, data) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-config-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'config.json');
+  if (data !== undefined) {
+    fs.writeFileSync(file, JSON.stringify(data), 'utf8');
+  }
+  return file;
+}
+
+function assertInvalid(fn, key, reason) {
+  assert.throws(fn, err => {
+    assert.ok(err instanceof ConfigError);
+    assert.equal(err.code, 'INVALID_CONFIG');
+    assert.equal(err.details.key, key);
+    if (reason) {
+      assert.match(err.details.reason, reason);
+    }
+    return true;
+  });
+}
+
+test('defaults, then the file, then environment variables', t => {
+  const file = configFile(t, { maxActiveMemories: 30, search: { mode: 'hybrid', limit: 5 } });
+  const { settings, sources } = loadConfig(file, { CONVERSATION_MEMORY_SEARCH_LIMIT: '7' });
+
+  assert.equal(getSetting(settings, 'maxActiveMemories'), 30);
+  assert.equal(getSetting(settings, 'archiveAfterDays'), 14);
+  assert.equal(getSetting(settings, 'search.mode'), 'hybrid');
+  assert.equal(getSetting(settings, 'search.limit'), 7);
+  assert.deepEqual([sources.archiveAfterDays, sources['search.mode'], sources['search.limit']],
+    ['default', 'file', 'CONVERSATION_MEMORY_SEARCH_LIMIT']);
+});
+
+test('environment variables are named after the setting', () => {
+  assert.equal(envName('maxActiveMemories'), 'CONVERSATION_MEMORY_MAX_ACTIVE_MEMORIES');
+  assert.equal(envName('archive.weights.age'), 'CONVERSATION_MEMORY_ARCHIVE_WEIGHTS_AGE');
+});
+
+test('values of the wrong type or out of range name the setting', t => {
+  assertInvalid(() => loadConfig(configFile(t, { maxActiveMemories: '30' })), 'maxActiveMemories', /whole number/);
+  assertInvalid(() => loadConfig(configFile(t, { maxActiveMemories: 0 })), 'maxActiveMemories', /at least 1/);
+  assertInvalid(() => loadConfig(configFile(t, { search: { semanticWeight: 2 } })), 'search.semanticWeight', /at most 1/);
+  assertInvalid(() => loadConfig(configFile(t, { search: { mode: 'fast' } })), 'search.mode', /lexical/);
+  assertInvalid(() => loadConfig(configFile(t, { colour: 'red' })), 'colour', /unknown setting/);
+  assertInvalid(() => loadConfig(undefined, { CONVERSATION_MEMORY_SEARCH_FUZZY: 'maybe' }), 'search.fuzzy');
+});
+
+test('text values are parsed by type', () => {
+  assert.equal(parseValue('search.fuzzy', 'off', 'test'), false);
+  assert.equal(parseValue('search.semanticWeight', '0.25', 'test'), 0.25);
+  assert.equal(parseValue('locale', 'null', 'test'), null);
+  assert.throws(() => parseValue('nope', '1', 'test'), { code: 'UNKNOWN_SETTING' });
+});
+
+test('a config file that is not an object is rejected', t => {
+  assert.throws(() => loadConfig(configFile(t, [1, 2])), { code: 'INVALID_CONFIG_FILE' });
+});
+
+test('embedding.provider must be a known provider', t => {
+  assert.equal(parseValue('embedding.provider', 'command', 'test'), 'command');
+  assertInvalid(() => parseValue('embedding.provider', 'hashnig', 'test'), 'embedding.provider', /hashing, command/);
+  assertInvalid(() => loadConfig(configFile(t, { embedding: { provider: 'openai' } })), 'embedding.provider');
+
+  registerProvider('test-provider', () => ({ id: 'test', embed: texts => texts.map(() => [1]) }));
+  assert.equal(parseValue('embedding.provider', 'test-provider', 'test'), 'test-provider');
+});
+
+test('memory config set writes checked values and unset removes them', t => {
+  const file = configFile(t);
+  writeSetting(file, 'search.limit', '20');
+  assertInvalid(() => writeSetting(file, 'search.limit', 'many'), 'search.limit');
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { search: { limit: 20 } });
+
+  writeSetting(file, 'search.limit');
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), {});
+});
+
+test('archive.strategy must be a known strategy', t => {
+  assert.equal(parseValue('archive.strategy', 'weighted', 'test'), 'weighted');
+  assertInvalid(() => parseValue('archive.strategy', 'fifo', 'test'), 'archive.strategy', /lru, lfu, weighted/);
+  assertInvalid(() => loadConfig(configFile(t, { archive: { strategy: 'LRU' } })), 'archive.strategy');
+
+  registerStrategy('oldest', memory => ({ age: -memory.daysSinceUsed }));
+  assert.equal(parseValue('archive.strategy', 'oldest', 'test'), 'oldest');
+});
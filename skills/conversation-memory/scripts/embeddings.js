@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+
+/**
+ * embeddings.js - Vectors for semantic search
+ *
+ * A provider turns texts into vectors:
+ *
+ *   {
+ *     id: 'hashing-512',          // model and settings, vectors of another id are computed again
+ *     weighting: 'idf',           // 'idf' for sparse count vectors, null for model embeddings
+ *     embed(texts) { ... }        // -> one number[] per text
+ *   }
+ *
+ * Providers (all offline):
+ *
+ * - hashing (default): feature hashing of the search terms (tokenizer.js) and
+ *   character trigrams of latin words, so "caching" is close to "cache".
+ *   Dimensions are weighted by inverse document frequency when searching,
+ *   which makes it a hashed TF-IDF. No model, no download.
+ * - command: runs a local command, e.g. a script around a sentence embedding
+ *   model. It gets {"texts": [...]} on stdin and prints {"vectors": [[...], ...]}.
+ *
+ * Other providers can be added with registerProvider(name, factory).
+ *
+ * A memory's vector embeds its title, keywords and summary body, and is kept
+ * in embedding.json in the memory directory, so it moves with the memory
+ * between active/ and archive/.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const { parseFrontmatter } = require('./frontmatter');
+const { isCjkTerm } = require('./tokenizer');
+
+// Embedding settings
+const EMBEDDING_DEFAULTS = {
+  provider: 'hashing',
+  dimensions: 512,
+  command: null,
+  timeout: 120000
+};
+
+// Vector file in each memory directory
+const EMBEDDING_FILE = 'embedding.json';
+
+// Weight of a character trigram relative to a whole term
+const TRIGRAM_WEIGHT = 0.5;
+
+/**
+ * Error raised by embedding providers
+ * Codes: UNKNOWN_PROVIDER (details {provider}), EMBEDDING_FAILED (details {provider, reason})
+ */
+class EmbeddingError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'EmbeddingError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Scale a vector to unit length (zero vectors are kept)
+ */
+function normalizeVector(vector) {
+  const length = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return length > 0 ? vector.map(v => v / length) : vector;
+}
+
+/**
+ * Hashing vectorizer: terms and trigrams hashed into a fixed number of
+ * dimensions, 1 + log(count) each, with a hash-based sign so collisions
+ * cancel out instead of adding up
+ */
+function createHashingProvider(settings, tokenizer) {
+  const dimensions = settings.dimensions;
+
+  function embedText(text) {
+    const features = new Map();
+    const add = (feature, weight) => {
+      const current = features.get(feature) || { count: 0, weight };
+      current.count++;
+      features.set(feature, current);
+    };
+    for (const term of tokenizer.tokenize(text)) {
+      add(term, 1);
+      if (!isCjkTerm(term) && term.length >= 4) {
+        const padded = `<${term}>`;
+        for (let i = 0; i + 3 <= padded.length; i++) {
+          add(`#${padded.slice(i, i + 3)}`, TRIGRAM_WEIGHT);
+        }
+      }
+    }
+
+    const vector = new Array(dimensions).fill(0);
+    for (const [feature, { count, weight }] of features) {
+      const hash = fnv1a(feature);
+      const sign = hash & 0x80000000 ? -1 : 1;
+      vector[hash % dimensions] += sign * weight * (1 + Math.log(count));
+    }
+    return normalizeVector(vector);
+  }
+
+  return {
+    id: `hashing-${dimensions}${tokenizer.signature ? `-${tokenizer.signature.slice(0, 8)}` : ''}`,
+    weighting: 'idf',
+    embed: texts => texts.map(embedText)
+  };
+}
+
+/**
+ * Command provider: a local program computes the vectors
+ */
+function createCommandProvider(settings) {
+  const fail = reason => new EmbeddingError('EMBEDDING_FAILED', `Embedding failed (command): ${reason}`,
+    { provider: 'command', reason });
+  if (!settings.command) {
+    throw fail('no command configured');
+  }
+
+  return {
+    id: `command-${crypto.createHash('sha1').update(settings.command).digest('hex').slice(0, 12)}`,
+    weighting: null,
+    embed(texts) {
+      let output;
+      try {
+        output = execSync(settings.command, {
+          input: JSON.stringify({ texts }),
+          encoding: 'utf8',
+          timeout: settings.timeout,
+          maxBuffer: 256 * 1024 * 1024,
+          stdio: ['pipe', 'pipe', 'pipe']
+        });
+      } catch (err) {
+        throw fail((err.stderr || err.message || '').toString().trim().split('\n')[0]);
+      }
+      let vectors;
+      try {
+        const data = JSON.parse(output);
+        vectors = Array.isArray(data) ? data : data.vectors;
+      } catch (err) {
+        throw fail('output is not JSON');
+      }
+      if (!Array.isArray(vectors) || vectors.length !== texts.length ||
+        vectors.some(vector => !Array.isArray(vector) || vector.some(v => typeof v !== 'number'))) {
+        throw fail(`expected ${texts.length} vectors of numbers`);
+      }
+      return vectors.map(normalizeVector);
+    }
+  };
+}
+
+// Provider name -> factory(settings, tokenizer)
+const PROVIDERS = {
+  hashing: createHashingProvider,
+  command: createCommandProvider
+};
+
+/**
+ * Add an embedding provider
+ * @param {string} name
+ * @param {Function} factory - (settings, tokenizer) => {id, weighting, embed(texts)}
+ */
+function registerProvider(name, factory) {
+  PROVIDERS[name] = factory;
+}
+
+/**
+ * Names of the available providers
+ */
+function supportedProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+/**
+ * Create the provider named in settings
+ * @param {Object} [settings] - See EMBEDDING_DEFAULTS
+ * @param {Object} tokenizer - tokenizer.js createTokenizer() result
+ * @throws {EmbeddingError} UNKNOWN_PROVIDER
+ */
+function createProvider(settings, tokenizer) {
+  const merged = { ...EMBEDDING_DEFAULTS, ...settings };
+  const factory = Object.prototype.hasOwnProperty.call(PROVIDERS, merged.provider) ? PROVIDERS[merged.provider] : null;
+  if (!factory) {
+    throw new EmbeddingError('UNKNOWN_PROVIDER', `Unknown embedding provider: ${merged.provider}`,
+      { provider: merged.provider, supported: supportedProviders().join(', ') });
+  }
+  return factory(merged, tokenizer);
+}
+
+/**
+ * Text embedded for a memory: title, keywords and summary body
+ */
+function embeddingText(summary) {
+  const { data, body } = parseFrontmatter(summary);
+  const meta = data || {};
+  const keywords = Array.isArray(meta.keywords) ? meta.keywords.join(', ') : '';
+  return [meta.title, keywords, body].filter(Boolean).join('\n');
+}
+
+/**
+ * Read a memory's stored vector, null when missing or unreadable
+ * Memories in cold storage keep theirs in the cold storage manifest.
+ * @param {MemoryStore} store
+ * @param {Object} memory - store.scan() entry
+ */
+function readEmbedding(store, memory) {
+  if (memory.bundle) {
+    return store.coldRecord(memory.id, memory.bundle).embedding || null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(path.join(memory.path, EMBEDDING_FILE), 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Write a memory's vector, leaving the directory's modification time as it
+ * was (it is the memory's "last modified" for listing and archiving)
+ */
+function writeEmbedding(store, memory, embedding) {
+  if (memory.bundle) {
+    store.updateColdRecord(memory.id, memory.bundle, { embedding });
+    return;
+  }
+  const stat = fs.statSync(memory.path);
+  fs.writeFileSync(path.join(memory.path, EMBEDDING_FILE), JSON.stringify(embedding) + '\n', 'utf8');
+  fs.utimesSync(memory.path, stat.atime, stat.mtime);
+}
+
+/**
+ * Bring every memory's vector up to date
+ * Memories whose summary.md kept its mtime and size are not read; changed
+ * summaries are embedded again when their text changed. All texts are
+ * embedded in one provider call.
+ * @param {MemoryStore} store
+ * @param {Object} provider
+ * @returns {{vectors: Map<string, number[]>, updated: number}}
+ */
+function syncEmbeddings(store, provider) {
+  const vectors = new Map();
+  const pending = [];
+
+  for (const memory of store.scan()) {
+    const { id } = memory;
+    const source = store.statFile(memory, 'summary.md');
+    if (!source) {
+      continue;
+    }
+    const stored = readEmbedding(store, memory);
+    const current = stored && stored.provider === provider.id && Array.isArray(stored.vector);
+    if (current && stored.source && stored.source.mtime === source.mtime && stored.source.size === source.size) {
+      vectors.set(id, stored.vector);
+      continue;
+    }
+
+    const text = embeddingText(store.readFile(memory, 'summary.md'));
+    const hash = crypto.createHash('sha1').update(text).digest('hex');
+    if (current && stored.hash === hash) {
+      writeEmbedding(store, memory, { ...stored, source });
+      vectors.set(id, stored.vector);
+      continue;
+    }
+    pending.push({ id, memory, text, hash, source });
+  }
+
+  if (pending.length > 0) {
+    const embedded = provider.embed(pending.map(item => item.text));
+    pending.forEach((item, i) => {
+      const vector = embedded[i].map(v => Math.round(v * 1e6) / 1e6);
+      writeEmbedding(store, item.memory, { provider: provider.id, source: item.source, hash: item.hash, vector });
+      vectors.set(item.id, vector);
+    });
+  }
+  return { vectors, updated: pending.length };
+}
+
+/**
+ * Cosine similarity of a query to memory vectors
+ * With 'idf' weighting, dimensions shared by many of the memories count less
+ * @param {Object} provider
+ * @param {number[]} query - Query vector
+ * @param {Map<string, number[]>} vectors - Memory vectors to compare
+ * @returns {Map<string, number>} id -> similarity (-1 to 1)
+ */
+function similarities(provider, query, vectors) {
+  let weights = null;
+  if (provider.weighting === 'idf' && vectors.size > 0) {
+    const df = new Array(query.length).fill(0);
+    for (const vector of vectors.values()) {
+      vector.forEach((v, i) => {
+        if (v !== 0) {
+          df[i]++;
+        }
+      });
+    }
+    weights = df.map(count => Math.log(1 + vectors.size / (1 + count)));
+  }
+  const weigh = vector => normalizeVector(weights ? vector.map((v, i) => v * weights[i]) : vector);
+
+  const q = weigh(query);
+  const result = new Map();
+  for (const [id, vector] of vectors) {
+    if (vector.length !== q.length) {
+      continue;
+    }
+    const v = weigh(vector);
+    result.set(id, v.reduce((sum, x, i) => sum + x * q[i], 0));
+  }
+  return result;
+}
+
+module.exports = {
+  EMBEDDING_DEFAULTS,
+  EMBEDDING_FILE,
+  EmbeddingError,
+  registerProvider,
+  supportedProviders,
+  createProvider,
+  syncEmbeddings,
+  similarities
+};
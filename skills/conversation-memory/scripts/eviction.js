@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * eviction.js - Which active memories the limit archives first
+ *
+ * When there are more active memories than maxActiveMemories, archive rule 2
+ * (and --force) ranks the unpinned ones with a strategy and archives the
+ * lowest scores first. A strategy scores a memory as named parts, which add
+ * up to the score, so dry runs can show why a memory goes:
+ *
+ * - lru (default): least recently used first, {age: -days since last use}
+ * - lfu: least often used first, {access: access count} (access.js)
+ * - weighted: each part times its weight (archive.weights.* settings)
+ *     age         -days since last use
+ *     access      log2(1 + access count), the tenth use counts less than the first
+ *     importance  importance field of the frontmatter, 0-5 (memory importance)
+ *     todos       open TODOs of the memory
+ *
+ * Equal scores go least recently used first. Other strategies can be added
+ * with registerStrategy(name, strategy).
+ */
+
+// Eviction settings: strategy name and the weights of the weighted strategy
+const EVICTION_DEFAULTS = {
+  strategy: 'lru',
+  weights: {
+    age: 1,
+    access: 2,
+    importance: 5,
+    todos: 3
+  }
+};
+
+// Highest importance level
+const MAX_IMPORTANCE = 5;
+
+const STRATEGIES = {
+  lru: memory => ({ age: -memory.daysSinceUsed }),
+  lfu: memory => ({ access: memory.accessCount }),
+  weighted: (memory, weights) => ({
+    age: -weights.age * memory.daysSinceUsed,
+    access: weights.access * Math.log2(1 + memory.accessCount),
+    importance: weights.importance * memory.importance,
+    todos: weights.todos * memory.openTodos
+  })
+};
+
+/**
+ * Add an eviction strategy
+ * @param {string} name
+ * @param {Function} strategy - (memory, weights) => {part: number}, higher scores stay;
+ *   memory is a MemoryStore record with openTodos
+ */
+function registerStrategy(name, strategy) {
+  STRATEGIES[name] = strategy;
+}
+
+/**
+ * Names of the available strategies
+ */
+function supportedStrategies() {
+  return Object.keys(STRATEGIES);
+}
+
+/**
+ * Rank memories for eviction, first to archive first
+ * @param {Object[]} memories - MemoryStore records with openTodos
+ * @param {Object} [settings] - See EVICTION_DEFAULTS
+ * @returns {Object[]|null} The records with score and scoreParts, null for an unknown strategy
+ */
+function rankForEviction(memories, settings = {}) {
+  const strategy = Object.prototype.hasOwnProperty.call(STRATEGIES, settings.strategy || EVICTION_DEFAULTS.strategy)
+    ? STRATEGIES[settings.strategy || EVICTION_DEFAULTS.strategy]
+    : null;
+  if (!strategy) {
+    return null;
+  }
+  const weights = { ...EVICTION_DEFAULTS.weights, ...settings.weights };
+  return memories
+    .map(memory => {
+      const scoreParts = strategy(memory, weights);
+      const score = Object.values(scoreParts).reduce((sum, value) => sum + value, 0);
+      return { ...memory, score, scoreParts };
+    })
+    .sort((a, b) => a.score - b.score || a.lastUsed - b.lastUsed);
+}
+
+module.exports = {
+  EVICTION_DEFAULTS,
+  MAX_IMPORTANCE,
+  registerStrategy,
+  supportedStrategies,
+  rankForEviction
+};
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseFrontmatter, stringifyFrontmatter, updateFrontmatter } = require('./frontmatter');
+const { MemoryStore, parseSummary } = require('./memory_store');
+
+const LEGACY_SUMMARY = `# Conversation Memory: Memory System Design
+
+**Time**: 2026-01-11 14:30
+**Keywords**: skills, memory, recall
+
+## Topic Summary
+
+Discussed the memory layout.
+`;
+
+function createStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'frontmatter-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new MemoryStore({ memoriesDir: path.join(dir, 'memories'), skillFile: null });
+}
+
+test('frontmatter survives a write and read round trip', () => {
+  const data = {
+    version: 1,
+    id: 'mem-20260111-143000',
+    title: 'Design: "quoted", with a colon',
+    keywords: ['skills', 'memory, recall', '中文'],
+    created: '2026-01-11T06:30:00.000Z',
+    status: 'active',
+    custom: true
+  };
+  const content = stringifyFrontmatter(data, '# Body\n');
+  const parsed = parseFrontmatter(content);
+
+  assert.deepEqual(parsed.data, data);
+  assert.equal(parsed.body.trim(), '# Body');
+  assert.equal(stringifyFrontmatter(parsed.data, parsed.body), content);
+});
+
+test('updates keep unknown keys and the body', () => {
+  const content = stringifyFrontmatter({ version: 1, title: 'Old', owner: 'ops' }, 'Body text\n');
+  const { data, body } = parseFrontmatter(updateFrontmatter(content, { title: 'New' }));
+
+  assert.deepEqual(data, { version: 1, title: 'New', owner: 'ops' });
+  assert.equal(body.trim(), 'Body text');
+});
+
+test('content without frontmatter has no data', () => {
+  assert.deepEqual(parseFrontmatter(LEGACY_SUMMARY), { data: null, body: LEGACY_SUMMARY });
+});
+
+test('legacy summaries are read from their headings', () => {
+  const summary = parseSummary(LEGACY_SUMMARY);
+
+  assert.equal(summary.format, 'legacy');
+  assert.equal(summary.topic, 'Memory System Design');
+  assert.deepEqual(summary.keywords, ['skills', 'memory', 'recall']);
+  assert.equal(summary.time, '2026-01-11');
+});
+
+test('migrate adds frontmatter to legacy summaries and keeps their body', t => {
+  const store = createStore(t);
+  const legacy = store.create('mem-20260111-143000');
+  const summaryPath = path.join(legacy.path, 'summary.md');
+  fs.writeFileSync(summaryPath, LEGACY_SUMMARY, 'utf8');
+  store.create('mem-20260112-090000');
+
+  const preview = store.migrate({ dryRun: true });
+  assert.deepEqual(preview.map(entry => [entry.id, entry.action]).sort(),
+    [['mem-20260111-143000', 'migrated'], ['mem-20260112-090000', 'skipped']]);
+  assert.equal(fs.readFileSync(summaryPath, 'utf8'), LEGACY_SUMMARY);
+
+  store.migrate();
+  const { data, body } = parseFrontmatter(fs.readFileSync(summaryPath, 'utf8'));
+  assert.equal(data.id, 'mem-20260111-143000');
+  assert.equal(data.title, 'Memory System Design');
+  assert.deepEqual(data.keywords, ['skills', 'memory', 'recall']);
+  assert.equal(data.language, 'en');
+  assert.equal(data.source, 'migrated');
+  assert.equal(body.trim(), LEGACY_SUMMARY.trim());
+  assert.equal(store.stats().needsMigration, 0);
+  assert.deepEqual(store.migrate().map(entry => entry.action), ['skipped', 'skipped']);
+});
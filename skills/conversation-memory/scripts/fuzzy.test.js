@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { maxDistance, editDistance, closeTerms } = require('./fuzzy');
+
+test('edit distance counts a swap of neighbouring letters as one edit', () => {
+  assert.equal(editDistance('redis', 'reids', 2), 1);
+  assert.equal(editDistance('postgres', 'postgress', 2), 1);
+  assert.equal(editDistance('kubernetes', 'kubernets', 2), 1);
+  assert.equal(editDistance('ca', 'abc', 3), 3);
+  assert.equal(editDistance('memory', 'memory', 1), 0);
+});
+
+test('edit distance stops past the maximum', () => {
+  assert.equal(editDistance('redis', 'postgres', 1), 2);
+  assert.equal(editDistance('a', 'abcdef', 2), 3);
+});
+
+test('short words, numbers and CJK terms are exact', () => {
+  assert.equal(maxDistance('jwt'), 0);
+  assert.equal(maxDistance('v8engine'), 0);
+  assert.equal(maxDistance('缓存'), 0);
+  assert.equal(maxDistance('redis'), 1);
+  assert.equal(maxDistance('kubernetes'), 2);
+});
+
+test('close terms come closest first, without the term itself', () => {
+  const vocabulary = ['kubernetes', 'kubernetes2', 'kubernete', 'kuberentes', 'kubectl', '缓存'];
+
+  assert.deepEqual(closeTerms('kubernetes', vocabulary), [
+    { term: 'kuberentes', distance: 1 },
+    { term: 'kubernete', distance: 1 }
+  ]);
+  assert.deepEqual(closeTerms('jwt', ['jwk', 'jwt']), []);
+});
@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+
+/**
+ * hooks.js - Automatic saving and recall from Claude Code hooks
+ *
+ * `memory hook` is registered in .claude/settings.json. Claude Code passes a
+ * JSON payload on stdin:
+ *
+ *   {"session_id": "...", "transcript_path": "...", "hook_event_name": "PreCompact", "trigger": "auto"}
+ *
+ * UserPromptSubmit (handleRecall): the prompt is scored against active
+ * memories (recall.js) and the best ones are returned as additional context,
+ * within a budget. Every injection is appended to recall-log.jsonl.
+ *
+ * SessionEnd and PreCompact (handleHook): the session transcript becomes a memory (source: hook) with a generated
+ * summary - topic from the first request, the user's requests and the files
+ * Claude changed - and the index is rebuilt. A session is skipped when:
+ *
+ * - It has fewer user turns than minTurns
+ * - A user message contains an opt-out marker (e.g. #no-memory)
+ * - Nothing was said since the last save of the same session (dedup); when
+ *   there is something new, that memory's conversation.md is refreshed
+ *   instead of saving a second memory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { format, getLocale } = require('./i18n');
+const { readTranscript } = require('./transcript');
+const { recall, appendRecallLog } = require('./recall');
+const { MemoryStoreError } = require('./memory_store');
+
+// Hook settings, overridden by memory hook options
+const HOOK_DEFAULTS = {
+  minTurns: 3,
+  dedup: true,
+  optOutMarkers: ['#no-memory', '[no-memory]']
+};
+
+// Tools whose file_path input is a file Claude changed
+const EDIT_TOOLS = ['Edit', 'MultiEdit', 'Write', 'NotebookEdit'];
+
+// Longest generated topic
+const MAX_TOPIC = 60;
+
+// Longest prompt excerpt kept in the recall log
+const MAX_LOGGED_PROMPT = 200;
+
+/**
+ * Last save of the hooks, kept next to memories/
+ */
+function getStateFile(store) {
+  return path.join(path.dirname(store.memoriesDir), 'hook-state.json');
+}
+
+/**
+ * Log of recalled memories, kept next to memories/
+ */
+function getRecallLogFile(store) {
+  return path.join(path.dirname(store.memoriesDir), 'recall-log.jsonl');
+}
+
+/**
+ * Read hook state, {} when missing or unreadable
+ */
+function readState(store) {
+  try {
+    return JSON.parse(fs.readFileSync(getStateFile(store), 'utf8'));
+  } catch (err) {
+    return {};
+  }
+}
+
+/**
+ * Write hook state
+ */
+function writeState(store, state) {
+  fs.writeFileSync(getStateFile(store), JSON.stringify(state, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * First line of a message, shortened to max characters
+ */
+function firstLine(text, max) {
+  const line = text.split('\n').map(s => s.trim()).find(Boolean) || '';
+  return line.length > max ? line.substring(0, max) + '...' : line;
+}
+
+/**
+ * Build memory_input.js input from a transcript
+ * @param {Object} transcript - Parsed transcript (transcript.js)
+ * @param {Object} payload - Hook payload
+ * @param {Object} locale - Locale pack
+ */
+function buildHookInput(transcript, payload, locale) {
+  const text = locale.compose.summary;
+  const requests = transcript.turns
+    .filter(turn => turn.role === 'user' && turn.content && !turn.content.startsWith('/'))
+    .map(turn => firstLine(turn.content, 200));
+
+  const cwd = payload.cwd || process.cwd();
+  const files = new Set();
+  for (const turn of transcript.turns) {
+    for (const tool of turn.tools || []) {
+      if (EDIT_TOOLS.includes(tool.name) && tool.input) {
+        files.add(path.isAbsolute(tool.input) ? path.relative(cwd, tool.input) : tool.input);
+      }
+    }
+  }
+
+  return {
+    topic: requests.length > 0 ? firstLine(requests[0], MAX_TOPIC) : format(text.untitled, { session: payload.session_id || '' }),
+    summary: format(text.autoSaved, { event: payload.hook_event_name || 'hook' }),
+    sections: requests.length > 0 ? { [text.requests]: requests } : {},
+    files: [...files]
+  };
+}
+
+/**
+ * Handle a SessionEnd / PreCompact hook payload
+ * @param {MemoryStore} store
+ * @param {Object} payload - Hook payload (session_id, transcript_path, hook_event_name...)
+ * @param {Object} [settings] - See HOOK_DEFAULTS
+ * @returns {{action: 'saved'|'updated'|'skipped', reason?: string, memory?: Object, turns: number}}
+ *   reason is 'minTurns', 'optOut' or 'duplicate' when skipped
+ */
+function handleHook(store, payload, settings = {}) {
+  const { minTurns, dedup, optOutMarkers } = { ...HOOK_DEFAULTS, ...settings };
+  if (!payload.transcript_path || !fs.existsSync(payload.transcript_path)) {
+    const file = payload.transcript_path || '';
+    throw new MemoryStoreError('TRANSCRIPT_NOT_FOUND', `Transcript not found: ${file}`, { path: file });
+  }
+  const transcript = readTranscript(payload.transcript_path);
+  const turns = transcript.turns.filter(turn => turn.role === 'user').length;
+  const sessionId = payload.session_id || transcript.sessionId;
+
+  if (turns < minTurns) {
+    return { action: 'skipped', reason: 'minTurns', turns };
+  }
+  const optedOut = transcript.turns.some(turn =>
+    turn.role === 'user' && optOutMarkers.some(marker => marker && turn.content.includes(marker)));
+  if (optedOut) {
+    return { action: 'skipped', reason: 'optOut', turns };
+  }
+
+  const last = readState(store).lastSave;
+  const previous = dedup && last && sessionId && last.session === sessionId ? store.get(last.memory) : null;
+  if (previous && turns <= last.turns) {
+    return { action: 'skipped', reason: 'duplicate', memory: previous, turns };
+  }
+
+  let memory;
+  if (previous) {
+    memory = store.importTranscript(previous.id, transcript);
+  } else {
+    memory = store.createFromInput(buildHookInput(transcript, payload, getLocale(store.locale)), {
+      transcript,
+      source: 'hook',
+      fields: { session: sessionId }
+    });
+  }
+
+  writeState(store, {
+    lastSave: {
+      session: sessionId,
+      memory: memory.id,
+      turns,
+      event: payload.hook_event_name || null,
+      time: new Date().toISOString()
+    }
+  });
+  return { action: previous ? 'updated' : 'saved', memory, turns };
+}
+
+/**
+ * Handle a UserPromptSubmit hook payload
+ * @param {MemoryStore} store
+ * @param {Function} t - Translator, language of the injected context
+ * @param {Object} payload - Hook payload (session_id, prompt...)
+ * @param {Object} [settings] - Budget options (see recall.js RECALL_DEFAULTS)
+ * @returns {{action: 'recalled'|'none', context: string, injected: Array, used: number, unit: string, budget: number}}
+ */
+function handleRecall(store, t, payload, settings = {}) {
+  const prompt = typeof payload.prompt === 'string' ? payload.prompt.trim() : '';
+  const result = prompt
+    ? recall(store, t, prompt, settings)
+    : { context: '', injected: [], used: 0, unit: settings.unit, budget: settings.budget };
+
+  if (result.injected.length > 0) {
+    appendRecallLog(getRecallLogFile(store), {
+      session: payload.session_id || null,
+      prompt: prompt.length > MAX_LOGGED_PROMPT ? prompt.substring(0, MAX_LOGGED_PROMPT) + '...' : prompt,
+      injected: result.injected,
+      used: result.used,
+      budget: result.budget,
+      unit: result.unit
+    });
+  }
+  return { action: result.injected.length > 0 ? 'recalled' : 'none', ...result };
+}
+
+module.exports = {
+  HOOK_DEFAULTS,
+  buildHookInput,
+  handleHook,
+  handleRecall,
+  getRecallLogFile
+};
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+/**
+ * i18n.js - Locale packs and message translation
+ *
+ * Every supported language is a pack under locales/ providing CLI messages,
+ * index.md text, templates and the heading patterns used to read memories
+ * written in that language. Parsing always tries every pack, so memories in
+ * any supported language are readable whichever skill variant is installed;
+ * the selected locale only decides what is written and printed.
+ */
+
+const LOCALES = {
+  en: require('./locales/en'),
+  zh: require('./locales/zh')
+};
+
+// Fallback for missing messages and unknown locale codes
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Supported locale codes
+ */
+function supportedLocales() {
+  return Object.keys(LOCALES);
+}
+
+/**
+ * Check locale code is supported
+ */
+function isSupportedLocale(code) {
+  return Object.prototype.hasOwnProperty.call(LOCALES, code);
+}
+
+/**
+ * Get locale pack, falling back to the default locale
+ */
+function getLocale(code) {
+  return LOCALES[isSupportedLocale(code) ? code : DEFAULT_LOCALE];
+}
+
+/**
+ * All locale packs (for parsing memories in any language)
+ */
+function allLocales() {
+  return Object.values(LOCALES);
+}
+
+/**
+ * Replace {name} placeholders
+ */
+function format(text, vars = {}) {
+  return text.replace(/\{(\w+)\}/g, (match, name) =>
+    vars[name] !== undefined ? String(vars[name]) : match);
+}
+
+/**
+ * Create translate function for a locale
+ * Missing keys fall back to the default locale, then to the key itself
+ * @returns {function(string, Object=): string}
+ */
+function createTranslator(code) {
+  const messages = getLocale(code).messages;
+  const fallback = LOCALES[DEFAULT_LOCALE].messages;
+
+  const t = (key, vars) => format(messages[key] || fallback[key] || key, vars);
+  t.locale = getLocale(code).code;
+  t.has = key => Boolean(messages[key] || fallback[key]);
+  return t;
+}
+
+/**
+ * Guess language of a text (CJK characters -> zh)
+ */
+function detectLanguage(text) {
+  return /[㐀-鿿]/.test(text || '') ? 'zh' : 'en';
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  supportedLocales,
+  isSupportedLocale,
+  getLocale,
+  allLocales,
+  createTranslator,
+  detectLanguage,
+  format
+};
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTranslator, getLocale, supportedLocales } = require('./i18n');
+const { MemoryStore, parseSummary } = require('./memory_store');
+
+function createStore(t, locale) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18n-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new MemoryStore({ memoriesDir: path.join(dir, 'memories'), skillFile: null, locale });
+}
+
+test('every locale pack has the messages of the default locale', () => {
+  const keys = Object.keys(getLocale('en').messages);
+  for (const code of supportedLocales()) {
+    const missing = keys.filter(key => !getLocale(code).messages[key]);
+    assert.deepEqual(missing, [], `${code} is missing messages`);
+  }
+});
+
+test('translations fall back to the default locale and fill placeholders', () => {
+  const t = createTranslator('xx');
+
+  assert.equal(t.locale, 'en');
+  assert.equal(t('no.such.key'), 'no.such.key');
+  assert.equal(t('{count} of {total}', { count: 2 }), '2 of {total}');
+  assert.equal(createTranslator('zh').locale, 'zh');
+});
+
+test('legacy summaries are read in every language whatever the locale', () => {
+  const zh = parseSummary('# 对话记忆：记忆系统设计\n\n**时间**：2026-01-11 14:30\n**关键词**：技能，记忆\n');
+  const en = parseSummary('# Conversation Memory: Memory System Design\n\n**Keywords**: skills, memory\n');
+
+  assert.equal(zh.topic, '记忆系统设计');
+  assert.deepEqual(zh.keywords, ['技能', '记忆']);
+  assert.equal(zh.meta.language, 'zh');
+  assert.equal(en.topic, 'Memory System Design');
+  assert.equal(en.meta.language, 'en');
+});
+
+test('the locale decides the language of new memories and index.md', t => {
+  const store = createStore(t, 'zh');
+  const memory = store.create('mem-20260111-143000');
+  store.reindex();
+
+  const summary = fs.readFileSync(path.join(memory.path, 'summary.md'), 'utf8');
+  assert.match(summary, /^language: zh$/m);
+  assert.equal(parseSummary(summary).meta.language, 'zh');
+  assert.match(fs.readFileSync(store.indexFile, 'utf8'), /[㐀-鿿]/);
+});
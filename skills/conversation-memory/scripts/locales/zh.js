@@ -0,0 +1,720 @@
+/**
+ * 中文语言包
+ *
+ * 结构与 en.js 相同，缺失的消息回退到英文
+ * templates 为内置模板，需与 conversation-memory-zh/references/ 保持一致
+ * compose 为根据 JSON 输入写入记忆时使用的标题（memory_input.js）
+ */
+
+module.exports = {
+  code: 'zh',
+  name: '中文',
+
+  messages: {
+    'unknownTopic': '未知主题',
+    'none': '（无）',
+
+    'help.usage': '用法：{usage}',
+    'help.commands': '命令：',
+    'help.options': '选项：',
+    'help.more': '运行 "memory <command> --help" 查看命令选项。',
+
+    'opt.json': '输出 JSON',
+    'opt.help': '显示帮助',
+    'opt.locale': '输出和模板语言（en、zh）',
+    'opt.status': 'active | archive | all（默认：all）',
+    'opt.conversation': '显示原始对话而非摘要',
+    'opt.dryRun': '仅预览，不做任何修改',
+    'opt.force': '即使没有规则命中，也归档最旧的记忆',
+    'opt.type': '记忆类型：general、decision、bug、how-to、meeting、research（默认：general）',
+    'opt.typeFilter': '只显示该类型的记忆（默认：all）',
+    'opt.init': '将当前使用的模板复制到数据目录以便修改',
+    'opt.fromJson': '从 JSON 文件（- 表示标准输入）写入完整记忆，而不是生成模板',
+    'opt.minTurns': '用户发言少于该轮数的会话不保存（默认：3）',
+    'opt.optOut': '以逗号分隔的标记，用户消息包含任一标记时不保存（默认：#no-memory,[no-memory]）',
+    'opt.dedup': '即使会话已保存且没有新对话也再次保存',
+    'opt.budget': '召回最多添加的上下文量，单位见 --unit（默认：4000）',
+    'opt.unit': '预算单位：chars 或 tokens（估算）（默认：chars）',
+    'opt.limit': '召回最多添加的记忆数（默认：3）',
+    'opt.bundleLimit': '上下文包中最多包含的记忆数（默认：5）',
+    'opt.searchLimit': '最多显示的结果数，0 表示全部（默认：10）',
+    'opt.snippets': '每个结果最多显示的匹配行数（默认：3）',
+    'opt.fuzzy': '精确匹配词语，即使没有记忆包含该词也不匹配拼写相近的词',
+    'opt.sectionKeyword': '只显示提到该词的条目，或标题、关键词中含该词的记忆的全部条目',
+    'opt.since': '只包含在该日期及之后创建的记忆（YYYY、YYYY-MM 或 YYYY-MM-DD）',
+    'opt.until': '只包含在该日期及之前创建的记忆（YYYY、YYYY-MM 或 YYYY-MM-DD）',
+    'opt.todoState': 'open | done | cancelled | all（默认：open）',
+    'opt.mode': 'lexical（按词，BM25）、semantic（向量相似度）或 hybrid（两者结合）（默认：lexical）',
+    'opt.rebuild': '从头重建搜索索引，而不是只更新有变化的记忆',
+    'opt.transcript': '根据 Claude Code 会话记录生成 conversation.md（latest 表示本项目最新的会话）',
+
+    'cmd.save.summary': '创建新记忆',
+    'cmd.save.description': '创建新记忆（默认名称 mem-YYYYMMDD-HHMMSS），生成 summary.md 和 conversation.md 模板，然后更新索引。--type 选择对应类型的摘要模板；--from-json 直接根据结构化输入写入完整记忆，--transcript 根据会话记录生成 conversation.md',
+    'cmd.import.summary': '将会话记录导入记忆',
+    'cmd.import.description': '用 Claude Code 会话记录（.jsonl，或 latest 表示本项目最新的会话）替换记忆的 conversation.md：包括带时间戳的用户和助手发言、工具调用和附件',
+    'cmd.hook.summary': '由 Claude Code 钩子召回或保存记忆',
+    'cmd.hook.description': '供 .claude/settings.json 中的钩子调用，从标准输入读取钩子数据。UserPromptSubmit：在 --budget 预算内将与提示相关的活跃记忆添加为上下文，并记录到 recall-log.jsonl。SessionEnd 和 PreCompact：将会话记录保存为记忆并自动生成摘要，然后更新索引；对话过短、包含退出标记、或已保存且没有新对话的会话会被跳过',
+    'cmd.show.summary': '显示记忆摘要或原始对话',
+    'cmd.show.description': '显示记忆的 summary.md，加 --conversation 显示 conversation.md',
+    'cmd.list.summary': '列出记忆',
+    'cmd.list.description': '列出记忆，最新的在前',
+    'cmd.search.summary': '搜索记忆',
+    'cmd.recall.summary': '将匹配查询的记忆汇总为一份上下文',
+    'cmd.recall.description': '搜索所有记忆（查询语法同 search），在 --budget 内把最相关的记忆汇总为一份 Markdown：先是索引行，然后是摘要，最后是匹配处附近的对话内容，每一层在预算允许时加入',
+    'cmd.search.description': '搜索记忆标题、关键词、摘要和原始对话，按相关度排序并显示匹配行。查询可按字段、日期和状态筛选：keyword:auth after:2026-01-01 -topic:draft "精确短语"',
+    'cmd.decisions.summary': '列出所有记忆的关键决策',
+    'cmd.decisions.description': '列出每个摘要中“关键决策”部分的条目（中文或英文标题），最新的记忆在前，并显示记忆 ID、日期和行号',
+    'cmd.conclusions.summary': '列出所有记忆的重要结论',
+    'cmd.conclusions.description': '列出每个摘要中“重要结论”部分的条目（中文或英文标题），最新的记忆在前，并显示记忆 ID、日期和行号',
+    'cmd.todos.summary': '列出所有记忆中未完成的待办事项，或将其标记为完成或取消',
+    'cmd.todos.description': '列出每个摘要（活跃和归档）中未完成的待办事项和行动项（中文或英文标题），最新的记忆在前，并显示所属记忆、时长和行号。"todos done <name> <line>..."（或 cancel、reopen）直接改写这些行的复选框，并更新 index.md 中的未完成待办数',
+    'cmd.files.summary': '列出所有记忆的相关文件',
+    'cmd.files.description': '列出每个摘要中“相关文件”部分的条目（中文或英文标题），最新的记忆在前，并显示记忆 ID、日期和行号',
+    'cmd.activate.summary': '将归档记忆移回活跃',
+    'cmd.activate.description': '将归档记忆移回 active/ 并更新索引',
+    'cmd.archive.summary': '按规则归档，或归档指定记忆',
+    'cmd.archive.description': '归档指定记忆；不指定名称时按归档规则（时间和数量限制）执行',
+    'cmd.pack.summary': '将归档已久的记忆压缩到冷存储',
+    'cmd.pack.description': '将归档超过 coldStorageAfterDays 天的记忆打包为 memories/cold/ 中的一个 gzip 文件并删除其目录；list、search、show 和 activate 仍可读取，按需解压',
+    'cmd.pin.summary': '固定记忆，使其保持活跃',
+    'cmd.pin.description': '固定记忆：归档规则和 --force 会跳过它，index.md 中排在最前，其关键词始终写入 SKILL.md 描述',
+    'cmd.unpin.summary': '取消固定，恢复归档规则',
+    'cmd.unpin.description': '取消固定记忆，使其与其他记忆一样按时间和数量限制归档，然后更新索引',
+    'cmd.importance.summary': '设置记忆的重要度（0-5）',
+    'cmd.importance.description': '设置记忆的 importance 字段，0（未设置）到 5；weighted 归档策略会让重要的记忆更久保持活跃',
+    'cmd.reindex.summary': '重建 index.md 和 SKILL.md 关键词',
+    'cmd.reindex.description': '重建 memories/index.md 和 SKILL.md description 中的关键词，并用有变化的记忆更新搜索索引',
+    'cmd.stats.summary': '显示记忆统计',
+    'cmd.stats.description': '显示活跃/归档数量以及每个活跃记忆的时间',
+    'cmd.migrate.summary': '为旧格式摘要添加前置元数据',
+    'cmd.migrate.description': '读取标题转换没有前置元数据的 summary.md（活跃和归档），原内容保留在新元数据之后，然后更新索引',
+    'cmd.templates.summary': '查看或自定义记忆模板',
+    'cmd.templates.description': '显示 save 使用的 summary.md 和 conversation.md 模板；--init 将其复制到数据目录，覆盖内置模板且不受技能升级影响',
+    'cmd.config.summary': '查看或修改设置',
+    'cmd.config.description': '显示所有设置及其来源（默认值、config.json 或环境变量），或修改数据目录中 config.json 的某项设置：config set maxActiveMemories 30、config unset search.mode',
+
+    'error.prefix': '错误 [{code}]：{message}',
+    'error.seeHelp': '运行 "memory --help" 查看用法。',
+    'error.MEMORY_NOT_FOUND': '未找到记忆 {id}',
+    'error.TODO_NOT_FOUND': '{id} 的第 {line} 行不是待办事项',
+    'error.UNKNOWN_SETTING': '未知的设置：{key}（运行 "memory config" 查看列表）',
+    'error.INVALID_CONFIG': '{key} 的值 {value} 无效（{source}）：{reason}',
+    'error.INVALID_CONFIG_FILE': '配置文件 {source} 无效：{reason}',
+    'error.MEMORY_PINNED': '记忆 {id} 已固定（请先运行 "memory unpin {id}"）',
+    'error.MEMORY_COLD': '记忆 {id} 在冷存储中（请先运行 "memory activate {id}"）',
+    'error.UNKNOWN_STRATEGY': '未知的归档策略：{strategy}（可选：{supported}）',
+    'error.NEEDS_MIGRATION': '记忆 {id} 没有 frontmatter（请先运行 "memory migrate"）',
+    'error.MEMORY_EXISTS': '记忆 {id} 已存在',
+    'error.INVALID_NAME': '无效的记忆名称：{id}',
+    'error.INVALID_TYPE': '无效的记忆类型：{type}',
+    'error.INVALID_INPUT': '输入无效：{field}（{reason}）',
+    'error.INPUT_NOT_FOUND': '未找到输入文件：{path}',
+    'error.UNSUPPORTED_EVENT': '不支持的钩子事件：{event}（可选：UserPromptSubmit、SessionEnd、PreCompact）',
+    'error.TRANSCRIPT_NOT_FOUND': '未找到会话记录：{path}',
+    'error.UNKNOWN_PROVIDER': '未知的向量提供者：{provider}（可选：{supported}）',
+    'error.INVALID_QUERY': '查询无效：{reason}（{token}）',
+    'error.EMBEDDING_FAILED': '向量计算失败（{provider}）：{reason}',
+    'usage.unknownCommand': '未知命令：{command}',
+    'usage.unknownOption': '未知选项：{option}',
+    'usage.noValue': '选项 {option} 不接受参数值',
+    'usage.requiresValue': '选项 {option} 需要参数值',
+    'usage.invalidStatus': '无效的状态：{value}（应为 active、archive 或 all）',
+    'usage.invalidType': '无效的类型：{value}（应为 {supported}）',
+    'usage.invalidLocale': '不支持的语言：{value}（应为 {supported}）',
+    'usage.invalidNumber': '{option} 的数值无效：{value}',
+    'usage.invalidUnit': '无效的单位：{value}（应为 {supported}）',
+    'usage.invalidMode': '无效的模式：{value}（应为 {supported}）',
+    'usage.invalidDate': '{option} 的日期无效：{value}（应为 YYYY、YYYY-MM 或 YYYY-MM-DD）',
+    'usage.invalidState': '无效的状态：{value}（应为 open、done、cancelled 或 all）',
+    'usage.command': '用法：{usage}',
+
+    'memory.status.active': '活跃',
+    'memory.status.archive': '归档',
+    'memory.topic': '   主题：{topic}',
+    'memory.pinned': '   已固定',
+    'memory.cold': '   冷存储（已压缩）',
+    'memory.importance': '   重要度：{importance}',
+    'memory.modified': '   修改时间：{time}',
+    'memory.keywords': '   关键词：{keywords}',
+
+    'reindex.done': '✓ 索引已更新：{count} 个活跃记忆，{keywords} 个关键词',
+    'reindex.noSkillFile': '  （找不到 SKILL.md，未更新 description 关键词）',
+    'reindex.search': '✓ 搜索索引已更新：新增 {added}，更新 {updated}，移除 {removed}（共 {count} 个记忆，{terms} 个词）',
+    'reindex.searchRebuilt': '✓ 搜索索引已重建：{count} 个记忆，{terms} 个词',
+    'reindex.embeddingFailed': '⚠️ 记忆向量未更新：{reason}',
+    'reindex.legacy': '⚠️ {count} 个记忆没有前置元数据，请运行：memory migrate',
+
+    'save.created': '✓ 记忆创建成功：{id}',
+    'save.path': '  路径：{path}',
+    'save.edit': '请编辑以下文件完成记忆保存：',
+    'save.editSummary': '  1. {path} - 填写摘要信息',
+    'save.editConversation': '  2. {path} - 填写原始对话',
+    'save.nonStandardName': '记忆名称 "{id}" 不符合标准格式 (mem-YYYYMMDD-HHMMSS)',
+    'save.overLimit': '活跃记忆数量 ({count}) 超过限制 ({limit})，建议执行：memory archive',
+
+    'import.done': '✓ 会话记录已导入 {id}：{turns} 轮对话',
+    'import.from': '  来源：{path}',
+    'import.to': '  写入：{path}',
+    'import.empty': '{path} 中没有找到对话内容',
+
+    'hook.saved': '✓ 会话已保存为 {id}（{turns} 轮对话）',
+    'hook.updated': '✓ 会话记忆 {id} 已更新（{turns} 轮对话）',
+    'hook.skipped.minTurns': '未保存：只有 {turns} 轮对话，少于 {minTurns} 轮',
+    'hook.skipped.optOut': '未保存：对话中要求不保存记忆',
+    'hook.skipped.duplicate': '未保存：上次保存（{id}）后没有新对话',
+
+    'recall.header': '相关记忆（conversation-memory）：',
+    'recall.keywords': '关键词：{keywords}',
+    'recall.files': '文件：{path}/（summary.md、conversation.md）',
+    'recall.conversation': '原始对话：{path}',
+    'recall.bundle.title': '# 召回的记忆：{query}',
+    'recall.bundle.index': '索引',
+    'recall.bundle.summaries': '摘要',
+    'recall.bundle.excerpts': '对话摘录',
+    'recall.bundle.excerpt': '{id} - {file}:{from}-{to}',
+    'recall.bundle.tooSmall': '找到 {found} 个记忆，但 {budget} {unit} 的预算不足以放入任何一个',
+
+    'show.header': '[{status}] {id} - {file}',
+    'show.missing': '（找不到 {file}）',
+
+    'list.empty': '没有找到记忆',
+    'list.header': '记忆列表 (共 {count} 个)：',
+
+    'search.empty': '未找到包含 "{query}" 的记忆',
+    'search.header': '搜索结果 (共 {count} 个)：',
+    'search.score': '（相关度 {score}）',
+    'search.scoreSemantic': '（相关度 {score}，相似度 {similarity}）',
+    'search.matched': '   匹配：{terms} - 第 {layers} 层',
+    'search.via.synonym': '{term}（{from} 的同义词）',
+    'search.via.translation': '{term}（{from} 的翻译）',
+    'search.via.fuzzy': '{term}（与 {from} 相近）',
+    'sections.header.decisions': '关键决策（{memories} 个记忆中共 {count} 条）：',
+    'sections.header.conclusions': '重要结论（{memories} 个记忆中共 {count} 条）：',
+    'sections.header.todos': '待办事项（{memories} 个记忆中共 {count} 条）：',
+    'sections.header.files': '相关文件（{memories} 个记忆中共 {count} 条）：',
+    'sections.empty.decisions': '没有找到决策',
+    'sections.empty.conclusions': '没有找到结论',
+    'sections.empty.todos': '没有找到待办事项',
+    'sections.empty.files': '没有找到相关文件',
+    'sections.header.todos.open': '未完成的待办事项（{memories} 个记忆中共 {count} 条）：',
+    'sections.empty.todos.open': '没有未完成的待办事项',
+    'todos.age': '（{days} 天）',
+    'todos.done': '✓ 已完成：{text}（{id}:{line}）',
+    'todos.cancelled': '✓ 已取消：{text}（{id}:{line}）',
+    'todos.open': '✓ 已重新打开：{text}（{id}:{line}）',
+
+    'activate.already': '记忆 {id} 已经是活跃状态',
+    'activate.done': '✓ 记忆已激活：{id}',
+    'activate.from': '  从：{path}',
+    'activate.to': '  到：{path}',
+
+    'pin.done': '✓ 记忆已固定：{id}',
+    'pin.already': '记忆 {id} 已经固定',
+    'unpin.done': '✓ 记忆已取消固定：{id}',
+    'unpin.already': '记忆 {id} 未固定',
+    'importance.done': '✓ {id} 的重要度：{importance}',
+    'importance.cleared': '✓ 已清除 {id} 的重要度',
+
+    'pack.empty': '没有归档超过 {days} 天的记忆需要打包',
+    'pack.header': '打包 {count} 个归档超过 {days} 天的记忆：',
+    'pack.dryRunHeader': '[预览] 打包 {count} 个归档超过 {days} 天的记忆：',
+    'pack.archived': '   归档时间：{time}（{days} 天前），{size}',
+    'pack.done': '✓ 已打包到 memories/cold/{bundle}：{size} -> {packedSize}',
+    'pack.dryRunDone': '这是预览模式，未实际打包（共 {size}）。去掉 --dry-run 以执行打包。',
+
+    'archive.empty': '没有需要归档的记忆',
+    'archive.header': '将归档 {count} 个记忆：',
+    'archive.dryRunHeader': '[预览] 将归档 {count} 个记忆：',
+    'archive.reason': '   原因：{reason}',
+    'archive.moved': '   ✓ 已移动到：{path}',
+    'archive.dryRunDone': '这是预览模式，未实际执行归档。去掉 --dry-run 以执行归档。',
+    'archive.reason.expired': '超过 {days} 天未使用',
+    'archive.reason.limit': '活跃记忆超过 {limit} 个限制',
+    'archive.reason.manual': '手动归档',
+    'archive.reason.force': '强制归档',
+    'archive.score': '   得分：{score}',
+    'archive.rankingHeader': '淘汰顺序（{strategy}，超出上限时得分最低的先归档）：',
+    'archive.part.age': '时间',
+    'archive.part.access': '访问',
+    'archive.part.importance': '重要度',
+    'archive.part.todos': '待办',
+
+    'stats.title': '=== 记忆统计信息 ===',
+    'stats.active': '活跃记忆：{count} 个（限制：{limit}）',
+    'stats.archived': '归档记忆：{count} 个',
+    'stats.cold': '冷存储：{count} 个记忆，{bundles} 个压缩包，{size} 压缩为 {packedSize}（节省 {saved}，{percent}%）',
+    'stats.threshold': '归档阈值：{days} 天未使用（召回、搜索、查看）',
+    'stats.types': '活跃记忆类型：{types}',
+    'stats.needsMigration': '没有前置元数据：{count} 个（请运行：memory migrate）',
+    'stats.activeHeader': '--- 活跃记忆 ---',
+    'stats.due': '⚠️ 即将归档',
+    'stats.accessed': '   最近使用：{time}（{days} 天前），共 {count} 次',
+    'stats.accessedOnce': '   最近使用：{time}（{days} 天前），共 1 次',
+    'stats.notAccessed': '   保存后未使用：{time}（{days} 天前）',
+
+    'migrate.none': '所有摘要都已有前置元数据',
+    'migrate.header': '将迁移 {count} 个摘要：',
+    'migrate.dryRunHeader': '[预览] 将迁移 {count} 个摘要：',
+    'migrate.title': '   标题：{title}',
+    'migrate.keywords': '   关键词：{keywords}',
+    'migrate.created': '   创建时间：{time}',
+    'migrate.noSummary': '⚠️ {id} 没有 summary.md，已跳过',
+    'migrate.dryRunDone': '这是预览模式，未写入任何文件。去掉 --dry-run 以执行迁移。',
+
+    'templates.header': '模板：',
+    'templates.source.override': '项目自定义',
+    'templates.source.reference': '技能自带',
+    'templates.source.builtin': '内置',
+    'templates.created': '✓ 模板已复制：{path}',
+    'templates.hint': '将 summary.md、conversation.md 或 <类型>.md（或 <语言>/summary.md）放入 {dir} 即可覆盖。可用变量：{{id}}、{{date}}、{{time}}、{{created}}、{{type}}、{{language}}、{{author}}、{{branch}}',
+    'config.header': '设置（{file}）：',
+    'config.source.default': '默认值',
+    'config.source.file': 'config.json',
+    'config.hint': '用 "memory config set <key> <value>" 修改，或设置环境变量 CONVERSATION_MEMORY_<KEY>（例如 CONVERSATION_MEMORY_SEARCH_MODE）。',
+    'config.set': '✓ {key} = {value}（{file}）',
+    'config.unset': '✓ {key} 已恢复为 {value}（{file}）',
+    'config.envOverride': '⚠️ 已设置环境变量 {variable}，它会覆盖此设置'
+  },
+
+  headings: {
+    title: /^# 对话记忆[：:]\s*(.+)$/m,
+    keywords: /\*\*关键词\*\*[：:]\s*(.+)$/m,
+    time: /\*\*时间\*\*[：:]\s*(.+)$/m,
+    // 跨记忆读取的摘要章节（sections.js），第一个标题为标准标题
+    sections: {
+      decisions: ['关键决策', '决策', '决定'],
+      conclusions: ['重要结论', '结论'],
+      todos: ['待办事项', '行动项'],
+      files: ['相关文件']
+    }
+  },
+
+  index: {
+    title: '活跃记忆索引',
+    intro: '此文件由脚本自动更新，记录所有活跃记忆的摘要信息。',
+    tableHeading: '索引表',
+    columns: ['记忆ID', '类型', '主题', '关键词', '时间'],
+    empty: '（暂无活跃记忆）',
+    typesHeading: '按类型',
+    todosHeading: '未完成的待办事项',
+    todos: '{memories} 个记忆（活跃和归档）中共有 {count} 条未完成的待办事项，用 `node scripts/memory.js todos` 列出：',
+    noTodos: '（暂无未完成的待办事项）',
+    keywordsHeading: '关键词汇总',
+    noKeywords: '（暂无有效关键词）',
+    usageHeading: '使用说明',
+    usage: [
+      '根据索引表找到相关记忆（可按“类型”列或“按类型”列表筛选）',
+      '读取对应记忆的 `active/{记忆ID}/summary.md` 了解详情',
+      '如需原始对话，读取 `active/{记忆ID}/conversation.md`'
+    ]
+  },
+
+  skill: {
+    pattern: /活跃记忆关键词：.+/,
+    line: '活跃记忆关键词：{keywords}',
+    empty: '（无活跃记忆）'
+  },
+
+  templates: {
+    keywordPlaceholders: ['{关键词1}', '{关键词2}', '{关键词3}'],
+    titlePlaceholder: '{主题标题}',
+
+    summary: `---
+version: 1
+id: {{id}}
+type: general
+title: "{主题标题}"
+keywords: ["{关键词1}", "{关键词2}", "{关键词3}"]
+created: {{created}}
+updated: {{created}}
+language: {{language}}
+status: active
+source: manual
+author: {{author}}
+branch: {{branch}}
+---
+
+# 对话记忆：{主题标题}
+
+## 元信息
+
+- **持续**：约 {N} 分钟
+- **对话轮次**：{N} 轮
+
+## 主题摘要
+
+{用 1-2 段话概括这次对话的主题和背景}
+
+## 关键决策
+
+1. {决策1}
+2. {决策2}
+3. ...
+
+## 重要结论
+
+- {结论1}
+- {结论2}
+- ...
+
+## 待办事项
+
+- [ ] {待办1}
+- [ ] {待办2}
+- ...
+
+（如无待办事项可删除此节）
+
+## 相关文件
+
+- \`{文件路径1}\` - {简要说明}
+- \`{文件路径2}\` - {简要说明}
+- ...
+
+（如无相关文件可删除此节）
+
+## 溯源
+
+如需查看完整原始对话，请参阅 [conversation.md](conversation.md)
+`,
+
+    conversation: `# 原始对话记录
+
+## 对话信息
+
+- **开始时间**：{{time}}
+- **结束时间**：{YYYY-MM-DD HH:MM:SS}
+- **对话轮次**：{N} 轮
+
+---
+
+## 对话内容
+
+### 用户 [{HH:MM:SS}]
+
+{用户的第一条消息}
+
+---
+
+### Claude [{HH:MM:SS}]
+
+{Claude 的第一条回复}
+
+---
+
+### 用户 [{HH:MM:SS}]
+
+{用户的第二条消息}
+
+---
+
+### Claude [{HH:MM:SS}]
+
+{Claude 的第二条回复}
+
+---
+
+（继续记录所有对话轮次...）
+`,
+
+    // 各记忆类型的摘要模板（见 templates.js）
+    decision: `---
+version: 1
+id: {{id}}
+type: decision
+title: "{主题标题}"
+keywords: ["{关键词1}", "{关键词2}", "{关键词3}"]
+created: {{created}}
+updated: {{created}}
+language: {{language}}
+status: active
+source: manual
+author: {{author}}
+branch: {{branch}}
+---
+
+# 对话记忆：{主题标题}
+
+## 元信息
+
+- **持续**：约 {N} 分钟
+- **对话轮次**：{N} 轮
+
+## 状态
+
+{提议中 | 已采纳 | 已被 mem-... 取代}
+
+## 背景
+
+{是什么问题或约束需要做出决策}
+
+## 备选方案
+
+1. **{方案A}** - {优点 / 缺点}
+2. **{方案B}** - {优点 / 缺点}
+
+## 决策
+
+{选择的方案及原因}
+
+## 影响
+
+- {哪些事情变得更容易或更困难}
+- {后续工作}
+
+## 相关文件
+
+- \`{文件路径1}\` - {简要说明}
+- ...
+
+## 溯源
+
+如需查看完整原始对话，请参阅 [conversation.md](conversation.md)
+`,
+
+    bug: `---
+version: 1
+id: {{id}}
+type: bug
+title: "{主题标题}"
+keywords: ["{关键词1}", "{关键词2}", "{关键词3}"]
+created: {{created}}
+updated: {{created}}
+language: {{language}}
+status: active
+source: manual
+author: {{author}}
+branch: {{branch}}
+---
+
+# 对话记忆：{主题标题}
+
+## 元信息
+
+- **持续**：约 {N} 分钟
+- **对话轮次**：{N} 轮
+
+## 现象
+
+{出现了什么问题：错误信息、错误输出、受影响的用户}
+
+## 复现步骤
+
+1. {步骤1}
+2. {步骤2}
+3. {实际结果与预期结果}
+
+## 根本原因
+
+{问题发生的原因}
+
+## 修复
+
+{为修复做了哪些修改}
+
+## 验证
+
+- {如何确认已修复（测试、手动检查）}
+
+## 相关文件
+
+- \`{文件路径1}\` - {简要说明}
+- ...
+
+## 溯源
+
+如需查看完整原始对话，请参阅 [conversation.md](conversation.md)
+`,
+
+    'how-to': `---
+version: 1
+id: {{id}}
+type: how-to
+title: "{主题标题}"
+keywords: ["{关键词1}", "{关键词2}", "{关键词3}"]
+created: {{created}}
+updated: {{created}}
+language: {{language}}
+status: active
+source: manual
+author: {{author}}
+branch: {{branch}}
+---
+
+# 对话记忆：{主题标题}
+
+## 元信息
+
+- **持续**：约 {N} 分钟
+- **对话轮次**：{N} 轮
+
+## 目标
+
+{此流程要达成什么}
+
+## 前提条件
+
+- {需要的工具、权限、配置}
+
+## 步骤
+
+1. {步骤1}
+2. {步骤2}
+3. ...
+
+## 验证
+
+{如何判断已经成功}
+
+## 注意事项
+
+- {过程中踩过的坑及避免方法}
+
+## 相关文件
+
+- \`{文件路径1}\` - {简要说明}
+- ...
+
+## 溯源
+
+如需查看完整原始对话，请参阅 [conversation.md](conversation.md)
+`,
+
+    meeting: `---
+version: 1
+id: {{id}}
+type: meeting
+title: "{主题标题}"
+keywords: ["{关键词1}", "{关键词2}", "{关键词3}"]
+created: {{created}}
+updated: {{created}}
+language: {{language}}
+status: active
+source: manual
+author: {{author}}
+branch: {{branch}}
+---
+
+# 对话记忆：{主题标题}
+
+## 元信息
+
+- **持续**：约 {N} 分钟
+- **对话轮次**：{N} 轮
+
+## 参与者
+
+- {姓名 / 角色}
+
+## 议程
+
+1. {议题1}
+2. {议题2}
+
+## 讨论要点
+
+{每个议题提出的关键观点}
+
+## 决定
+
+1. {决定1}
+
+## 行动项
+
+- [ ] {行动} - {负责人}，{截止日期}
+
+## 相关文件
+
+- \`{文件路径1}\` - {简要说明}
+- ...
+
+## 溯源
+
+如需查看完整原始对话，请参阅 [conversation.md](conversation.md)
+`,
+
+    research: `---
+version: 1
+id: {{id}}
+type: research
+title: "{主题标题}"
+keywords: ["{关键词1}", "{关键词2}", "{关键词3}"]
+created: {{created}}
+updated: {{created}}
+language: {{language}}
+status: active
+source: manual
+author: {{author}}
+branch: {{branch}}
+---
+
+# 对话记忆：{主题标题}
+
+## 元信息
+
+- **持续**：约 {N} 分钟
+- **对话轮次**：{N} 轮
+
+## 问题
+
+{想要弄清楚什么}
+
+## 资料来源
+
+- {查阅的文档、文章、代码或实验}
+
+## 发现
+
+- {发现1}
+- {发现2}
+
+## 结论
+
+{问题的答案及可信程度}
+
+## 待解决问题
+
+- [ ] {仍未弄清的内容}
+
+## 相关文件
+
+- \`{文件路径1}\` - {简要说明}
+- ...
+
+## 溯源
+
+如需查看完整原始对话，请参阅 [conversation.md](conversation.md)
+`
+  },
+
+  compose: {
+    summary: {
+      title: '对话记忆：{title}',
+      metadata: '元信息',
+      duration: '**持续**：约 {minutes} 分钟',
+      turns: '**对话轮次**：{count} 轮',
+      topicSummary: '主题摘要',
+      decisions: '关键决策',
+      conclusions: '重要结论',
+      todos: '待办事项',
+      files: '相关文件',
+      tracing: '溯源',
+      tracingText: '如需查看完整原始对话，请参阅 [conversation.md](conversation.md)',
+      requests: '用户请求',
+      untitled: '会话 {session}',
+      autoSaved: '由 {event} 钩子自动保存。请检查标题、关键词和类型，并补充关键决策和结论。'
+    },
+    conversation: {
+      title: '原始对话记录',
+      info: '对话信息',
+      startTime: '**开始时间**：{time}',
+      endTime: '**结束时间**：{time}',
+      turns: '**对话轮次**：{count} 轮',
+      content: '对话内容',
+      user: '用户',
+      assistant: 'Claude',
+      attachment: '附件：{name}',
+      tool: '工具调用：{name}'
+    }
+  }
+};
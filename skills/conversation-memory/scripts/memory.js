@@ -0,0 +1,1232 @@
+#!/usr/bin/env node
+
+/**
+ * memory.js - Conversation memory command line
+ *
+ * Usage:
+ *   memory <command> [options]
+ *   node scripts/memory.js <command> [options]
+ *
+ * Commands:
+ *   save [name]        Create a new memory (--type selects a template,
+ *                      --from-json writes it from structured input)
+ *   import <name> <transcript>
+ *                      Render a Claude Code session transcript as conversation.md
+ *   hook               Hook entry point: recall on UserPromptSubmit, save the
+ *                      session on SessionEnd / PreCompact
+ *   show <name>        Show a memory's summary (or raw conversation)
+ *   list               List memories
+ *   search <query>     Search memories, ranked, with matching lines
+ *   recall <query>     Best matches as one context bundle within a budget
+ *   decisions, conclusions, todos, files
+ *                      Items of that summary section across memories, with
+ *                      their memory and date (--keyword, --since, --until)
+ *   todos done|cancel|reopen <name> <line>...
+ *                      Rewrite the checkbox of TODOs in place
+ *   activate <name>    Move an archived memory back to active
+ *   archive [name]     Archive memories by rules, or one specific memory
+ *   pack               Compress long-archived memories into cold storage bundles
+ *   pin <name>, unpin <name>
+ *                      Keep a memory active whatever the archive rules say
+ *   importance <name> <0-5>
+ *                      How much the weighted archive strategy keeps a memory
+ *   reindex            Rebuild index.md and SKILL.md keywords, update the
+ *                      search index (--rebuild to index everything again)
+ *   stats              Show memory statistics
+ *   migrate            Add frontmatter to regex-era summary.md files
+ *   templates          Show which templates save uses, or copy them for editing
+ *   config [get [key] | set <key> <value> | unset <key>]
+ *                      Show or change the settings in config.json
+ *
+ * Every command accepts --json for machine-readable output, --locale and
+ * --help. Errors are written to stderr (as {"error": {...}} with --json) and
+ * exit with code 1, or 2 for invalid usage (1 for hook, where 2 would block
+ * the prompt or the session end).
+ *
+ * Output text comes from the locale packs (see i18n.js). The default locale
+ * is the installed skill variant's; --locale overrides it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  MemoryStore,
+  MemoryStoreError,
+  MEMORY_TYPES,
+  formatDateTime,
+  isStandardMemoryName
+} = require('./memory_store');
+const { UsageError, parseArgs } = require('./args');
+const { createTranslator, isSupportedLocale, supportedLocales } = require('./i18n');
+const { getDefaultLocale, getConfigFile } = require('./paths');
+const { CONFIG_SCHEMA, envName, loadConfig, getSetting, writeSetting } = require('./config');
+const { EVICTION_DEFAULTS } = require('./eviction');
+const { findLatestTranscript, readTranscript } = require('./transcript');
+const { HOOK_DEFAULTS, handleHook, handleRecall } = require('./hooks');
+const { BUDGET_UNITS, recallBundle } = require('./recall');
+const { SEARCH_MODES } = require('./search');
+const { parseDateRange } = require('./query');
+const { TODO_MARKS } = require('./sections');
+
+// todos subcommand -> TODO state it sets
+const TODO_ACTIONS = {
+  done: 'done',
+  cancel: 'cancelled',
+  reopen: 'open'
+};
+
+// Options accepted by every command (description is a message key)
+const GLOBAL_OPTIONS = {
+  json: { type: 'boolean', description: 'opt.json' },
+  locale: { type: 'string', value: 'code', description: 'opt.locale' },
+  help: { type: 'boolean', alias: 'h', description: 'opt.help' }
+};
+
+const STATUS_OPTION = {
+  type: 'string',
+  value: 'status',
+  description: 'opt.status'
+};
+
+const TYPE_FILTER_OPTION = {
+  type: 'string',
+  value: 'type',
+  description: 'opt.typeFilter'
+};
+
+/**
+ * Validate --status value
+ */
+function parseStatus(value = 'all') {
+  if (!['active', 'archive', 'all'].includes(value)) {
+    throw new UsageError(`Invalid status: ${value} (expected active, archive or all)`, 'usage.invalidStatus', { value });
+  }
+  return value;
+}
+
+/**
+ * Validate --mode value (search modes, see search.js)
+ */
+function parseMode(value) {
+  if (!SEARCH_MODES.includes(value)) {
+    const supported = SEARCH_MODES.join(', ');
+    throw new UsageError(`Invalid mode: ${value} (expected ${supported})`, 'usage.invalidMode', { value, supported });
+  }
+  return value;
+}
+
+/**
+ * Validate --type value
+ * @param {boolean} allowAll - Accept 'all' (filters)
+ */
+function parseType(value, allowAll) {
+  if (value === undefined) {
+    return allowAll ? 'all' : undefined;
+  }
+  if (!MEMORY_TYPES.includes(value) && !(allowAll && value === 'all')) {
+    const supported = MEMORY_TYPES.join(', ');
+    throw new UsageError(`Invalid type: ${value} (expected ${supported})`, 'usage.invalidType', { value, supported });
+  }
+  return value;
+}
+
+/**
+ * Usage error showing a command's usage line
+ */
+function commandUsageError(command) {
+  const usage = COMMANDS[command].usage;
+  return new UsageError(`Usage: ${usage}`, 'usage.command', { usage });
+}
+
+/**
+ * Require exactly one memory name positional
+ */
+function requireName(positionals, command) {
+  if (positionals.length !== 1) {
+    throw commandUsageError(command);
+  }
+  return positionals[0];
+}
+
+/**
+ * Truncate keyword list for display
+ */
+function formatKeywords(keywords, max = 50) {
+  const kw = keywords.join(', ');
+  return kw.length > max ? kw.substring(0, max) + '...' : kw;
+}
+
+/**
+ * Print one memory as a list entry
+ */
+function printMemory(t, mem, index) {
+  const type = mem.type !== 'general' ? ` [${mem.type}]` : '';
+  console.log(`${index + 1}. [${t(`memory.status.${mem.status}`)}]${type} ${mem.id}`);
+  console.log(t('memory.topic', { topic: mem.topic || t('unknownTopic') }));
+  if (mem.pinned) {
+    console.log(t('memory.pinned'));
+  }
+  if (mem.cold) {
+    console.log(t('memory.cold'));
+  }
+  if (mem.importance > 0) {
+    console.log(t('memory.importance', { importance: mem.importance }));
+  }
+  console.log(t('memory.modified', { time: formatDateTime(mem.mtime) }));
+  if (mem.keywords.length > 0) {
+    console.log(t('memory.keywords', { keywords: formatKeywords(mem.keywords) }));
+  }
+  console.log('');
+}
+
+/**
+ * Print a ranked search result with its snippets
+ */
+function printSearchResult(t, result, index) {
+  const type = result.type !== 'general' ? ` [${result.type}]` : '';
+  // Queries of filters only have nothing to score
+  let score = '';
+  if (result.similarity !== undefined) {
+    score = ` ${t('search.scoreSemantic', { score: result.score.toFixed(2), similarity: result.similarity.toFixed(2) })}`;
+  } else if (result.matched.length > 0) {
+    score = ` ${t('search.score', { score: result.score.toFixed(2) })}`;
+  }
+  console.log(`${index + 1}. [${t(`memory.status.${result.status}`)}]${type} ${result.id}${score}`);
+  console.log(t('memory.topic', { topic: result.topic || t('unknownTopic') }));
+  if (result.matched.length > 0) {
+    // Words found through a synonym or close spelling show what was found
+    const terms = result.matched.map(word => {
+      const expansion = result.expansions.find(item => item.from === word);
+      return expansion ? t(`search.via.${expansion.kind}`, expansion) : word;
+    });
+    console.log(t('search.matched', { terms: terms.join(', '), layers: result.layers.join(', ') }));
+  }
+  for (const snippet of result.snippets) {
+    const section = snippet.section ? ` (${snippet.section})` : '';
+    console.log(`     ${snippet.file}:${snippet.line}${section} ${snippet.text}`);
+  }
+  console.log('');
+}
+
+/**
+ * Print result of MemoryStore#reindex
+ */
+function printReindex(t, result) {
+  console.log(t('reindex.done', { count: result.count, keywords: result.keywords.length }));
+  if (!result.skillFileUpdated) {
+    console.log(t('reindex.noSkillFile'));
+  }
+  const search = result.search;
+  if (search.rebuilt || search.added + search.updated + search.removed > 0) {
+    console.log(t(search.rebuilt ? 'reindex.searchRebuilt' : 'reindex.search', search));
+  }
+  const failure = result.embeddings.error;
+  if (failure) {
+    const reason = t.has(`error.${failure.code}`) ? t(`error.${failure.code}`, failure.details) : failure.message;
+    console.warn(t('reindex.embeddingFailed', { reason }));
+  }
+  if (result.legacy > 0) {
+    console.warn(t('reindex.legacy', { count: result.legacy }));
+  }
+}
+
+/**
+ * Reindex and return a JSON-friendly summary
+ */
+function reindex(store, options = {}) {
+  const { memories, keywords, skillFileUpdated, search, embeddings } = store.reindex(options);
+  return {
+    count: memories.length,
+    ids: memories.map(m => m.id),
+    keywords,
+    skillFileUpdated,
+    legacy: memories.filter(m => m.format === 'legacy').length,
+    search,
+    embeddings
+  };
+}
+
+/**
+ * Read JSON memory input from a file, or stdin when source is '-'
+ */
+function readJsonInput(source) {
+  if (source !== '-' && !fs.existsSync(source)) {
+    throw new MemoryStoreError('INPUT_NOT_FOUND', `Input file not found: ${source}`, { path: source });
+  }
+  const text = fs.readFileSync(source === '-' ? 0 : source, 'utf8');
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    const field = source === '-' ? 'stdin' : source;
+    throw new MemoryStoreError('INVALID_INPUT', `Invalid input: ${field} ${err.message}`, { field, reason: err.message });
+  }
+}
+
+/**
+ * Parse a non-negative integer option
+ */
+function parseCount(value, option) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new UsageError(`Invalid number for ${option}: ${value}`, 'usage.invalidNumber', { option, value });
+  }
+  return n;
+}
+
+/**
+ * Parse a date option (YYYY, YYYY-MM or YYYY-MM-DD) into 'YYYY-MM-DD'
+ * @param {boolean} end - Last day of the period (--until) instead of the first
+ */
+function parseDate(value, option, end) {
+  try {
+    const range = parseDateRange(option, value);
+    return end ? range.to : range.from;
+  } catch (err) {
+    throw new UsageError(`Invalid date for ${option}: ${value} (expected YYYY, YYYY-MM or YYYY-MM-DD)`,
+      'usage.invalidDate', { option, value });
+  }
+}
+
+/**
+ * Print section items grouped by memory
+ * @param {string} [variant] - Message variant, e.g. 'open' for sections.header.todos.open
+ */
+function printSectionItems(t, kind, items, variant) {
+  const key = name => variant ? `sections.${name}.${kind}.${variant}` : `sections.${name}.${kind}`;
+  if (items.length === 0) {
+    console.log(t(key('empty')));
+    return;
+  }
+  const memories = new Set(items.map(item => item.id)).size;
+  console.log(t(key('header'), { count: items.length, memories }));
+  let current = null;
+  for (const item of items) {
+    if (item.id !== current) {
+      current = item.id;
+      // TODOs show how long they have been waiting
+      const date = kind === 'todos' ? `${item.date} ${t('todos.age', { days: item.age })}` : item.date;
+      console.log(`\n[${t(`memory.status.${item.status}`)}] ${item.id}  ${date}  ${item.topic || t('unknownTopic')}`);
+    }
+    let text = item.text;
+    if (kind === 'todos') {
+      text = `[${TODO_MARKS[item.state]}] ${text}`;
+    } else if (kind === 'files' && item.description) {
+      text = `${item.path} - ${item.description}`;
+    }
+    console.log(`  summary.md:${item.line}  ${text}`);
+  }
+}
+
+// Options of the section commands
+const SECTION_OPTIONS = {
+  keyword: { type: 'string', value: 'word', description: 'opt.sectionKeyword' },
+  since: { type: 'string', value: 'date', description: 'opt.since' },
+  until: { type: 'string', value: 'date', description: 'opt.until' },
+  status: STATUS_OPTION,
+  type: TYPE_FILTER_OPTION
+};
+
+/**
+ * Parse the section command options into MemoryStore#sections filters
+ */
+function parseSectionFilters(options) {
+  const filters = { status: parseStatus(options.status), type: parseType(options.type, true), keyword: options.keyword };
+  if (options.since !== undefined) {
+    filters.since = parseDate(options.since, '--since', false);
+  }
+  if (options.until !== undefined) {
+    filters.until = parseDate(options.until, '--until', true);
+  }
+  return filters;
+}
+
+/**
+ * Command listing one kind of summary section item across memories
+ */
+function sectionCommand(kind) {
+  return {
+    usage: `memory ${kind} [--keyword <word>] [--since <date>] [--until <date>] [--status <status>] [--type <type>]`,
+    options: SECTION_OPTIONS,
+    run(store, { options, positionals }) {
+      if (positionals.length > 0) {
+        throw commandUsageError(kind);
+      }
+      return { kind, items: store.sections(kind, parseSectionFilters(options)) };
+    },
+    print(t, { items }) {
+      printSectionItems(t, kind, items);
+    }
+  };
+}
+
+/**
+ * Parse --budget, --unit and --limit into recall settings
+ */
+function parseRecallOptions(options) {
+  const settings = {};
+  if (options.budget !== undefined) {
+    settings.budget = parseCount(options.budget, '--budget');
+  }
+  if (options.unit !== undefined) {
+    if (!BUDGET_UNITS.includes(options.unit)) {
+      const supported = BUDGET_UNITS.join(', ');
+      throw new UsageError(`Invalid unit: ${options.unit} (expected ${supported})`, 'usage.invalidUnit', { value: options.unit, supported });
+    }
+    settings.unit = options.unit;
+  }
+  if (options.limit !== undefined) {
+    settings.limit = parseCount(options.limit, '--limit');
+  }
+  return settings;
+}
+
+/**
+ * Read a Claude Code session transcript, 'latest' picks the project's newest one
+ */
+function loadTranscript(store, source) {
+  const file = source === 'latest' ? findLatestTranscript(store.workDir || process.cwd()) : source;
+  if (!file || !fs.existsSync(file)) {
+    throw new MemoryStoreError('TRANSCRIPT_NOT_FOUND', `Transcript not found: ${source}`, { path: source });
+  }
+  return { file, ...readTranscript(file) };
+}
+
+/**
+ * Archive reason description
+ */
+function describeReason(t, store, reason) {
+  const key = `archive.reason.${reason}`;
+  return t(t.has(key) ? key : 'archive.reason.force', {
+    days: store.archiveAfterDays,
+    limit: store.maxActiveMemories
+  });
+}
+
+/**
+ * Human-readable byte count (512 B, 4.2 KB, 1.3 MB)
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Score of a memory under the eviction strategy: total and parts ('age -3.0, access +2.0')
+ */
+function formatScore(t, score, parts) {
+  // Rounded first, so -0.01 shows as 0.0
+  const round = value => (Math.round(value * 10) / 10 || 0).toFixed(1);
+  const signed = value => `${round(value).startsWith('-') ? '' : '+'}${round(value)}`;
+  const labels = Object.entries(parts)
+    .map(([name, value]) => `${t.has(`archive.part.${name}`) ? t(`archive.part.${name}`) : name} ${signed(value)}`);
+  return `${round(score)} (${labels.join(', ')})`;
+}
+
+/**
+ * pin / unpin command: set the pinned flag and reindex (pinned memories are listed first)
+ */
+function pinCommand(pinned) {
+  const name = pinned ? 'pin' : 'unpin';
+  return {
+    usage: `memory ${name} <name>`,
+    options: {},
+    run(store, { positionals }) {
+      const result = store.setPinned(requireName(positionals, name), pinned);
+      return { ...result, index: result.changed ? reindex(store) : null };
+    },
+    print(t, { memory, changed, index }) {
+      console.log(t(`${name}.${changed ? 'done' : 'already'}`, { id: memory.id }));
+      if (index) {
+        console.log('');
+        printReindex(t, index);
+      }
+    }
+  };
+}
+
+/**
+ * Commands
+ *
+ * run(store, args, t, storeOptions) returns a JSON-serializable result and
+ * print(t, result) renders it. Commands with store: false get no store. Summary and description text lives in the locale packs under
+ * cmd.<name>.summary / cmd.<name>.description.
+ */
+const COMMANDS = {
+  save: {
+    usage: 'memory save [name] [--type <type>] [--from-json <file|->] [--transcript <file|latest>]',
+    options: {
+      type: { type: 'string', value: 'type', description: 'opt.type' },
+      'from-json': { type: 'string', value: 'file', description: 'opt.fromJson' },
+      transcript: { type: 'string', value: 'file', description: 'opt.transcript' }
+    },
+    run(store, { options, positionals }, t) {
+      if (positionals.length > 1) {
+        throw commandUsageError('save');
+      }
+      const transcript = options.transcript !== undefined ? loadTranscript(store, options.transcript) : null;
+      let memory;
+      if (options['from-json'] !== undefined) {
+        const data = readJsonInput(options['from-json']);
+        if (options.type !== undefined && data && typeof data === 'object') {
+          data.type = parseType(options.type, false);
+        }
+        memory = store.createFromInput(data, { id: positionals[0], locale: options.locale, transcript });
+      } else {
+        memory = store.create(positionals[0], { type: parseType(options.type, false), transcript });
+      }
+      const warnings = isStandardMemoryName(memory.id)
+        ? []
+        : [t('save.nonStandardName', { id: memory.id })];
+      const complete = memory.meta.source === 'json';
+      if (transcript && transcript.turns.length === 0) {
+        warnings.push(t('import.empty', { path: transcript.file }));
+      }
+      const index = reindex(store);
+      if (index.count > store.maxActiveMemories) {
+        warnings.push(t('save.overLimit', { count: index.count, limit: store.maxActiveMemories }));
+      }
+      return { memory, index, warnings, complete, transcript: transcript ? transcript.file : null };
+    },
+    print(t, { memory, index, warnings, complete, transcript }) {
+      console.log(t('save.created', { id: memory.id }));
+      console.log(t('save.path', { path: memory.path }));
+      console.log('');
+      if (!complete) {
+        console.log(t('save.edit'));
+        console.log(t('save.editSummary', { path: path.join(memory.path, 'summary.md') }));
+        if (!transcript) {
+          console.log(t('save.editConversation', { path: path.join(memory.path, 'conversation.md') }));
+        }
+        console.log('');
+      }
+      printReindex(t, index);
+      warnings.forEach(w => console.warn(`⚠️ ${w}`));
+    }
+  },
+
+  import: {
+    usage: 'memory import <name> <transcript|latest>',
+    options: {},
+    run(store, { positionals }, t) {
+      if (positionals.length !== 2) {
+        throw commandUsageError('import');
+      }
+      const [id, source] = positionals;
+      const transcript = loadTranscript(store, source);
+      const memory = store.importTranscript(id, transcript);
+      const warnings = transcript.turns.length === 0 ? [t('import.empty', { path: transcript.file })] : [];
+      return {
+        memory,
+        transcript: transcript.file,
+        sessionId: transcript.sessionId,
+        turns: transcript.turns.filter(turn => turn.role === 'user').length,
+        warnings
+      };
+    },
+    print(t, { memory, transcript, turns, warnings }) {
+      console.log(t('import.done', { id: memory.id, turns }));
+      console.log(t('import.from', { path: transcript }));
+      console.log(t('import.to', { path: path.join(memory.path, 'conversation.md') }));
+      warnings.forEach(w => console.warn(`⚠️ ${w}`));
+    }
+  },
+
+  hook: {
+    usage: 'memory hook [--min-turns <n>] [--opt-out <markers>] [--no-dedup] [--budget <n>] [--unit chars|tokens] [--limit <n>]',
+    options: {
+      'min-turns': { type: 'string', value: 'n', description: 'opt.minTurns' },
+      'opt-out': { type: 'string', value: 'markers', description: 'opt.optOut' },
+      dedup: { type: 'boolean', default: true, description: 'opt.dedup' },
+      budget: { type: 'string', value: 'n', description: 'opt.budget' },
+      unit: { type: 'string', value: 'unit', description: 'opt.unit' },
+      limit: { type: 'string', value: 'n', description: 'opt.limit' }
+    },
+    run(store, { options, positionals }, t) {
+      if (positionals.length > 0) {
+        throw commandUsageError('hook');
+      }
+      const payload = readJsonInput('-');
+      if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        const reason = 'must be a JSON object';
+        throw new MemoryStoreError('INVALID_INPUT', `Invalid input: stdin ${reason}`, { field: 'stdin', reason });
+      }
+      const event = payload.hook_event_name;
+
+      if (event === 'UserPromptSubmit') {
+        return { event, ...handleRecall(store, t, payload, parseRecallOptions(options)) };
+      }
+      if (event !== 'SessionEnd' && event !== 'PreCompact') {
+        throw new MemoryStoreError('UNSUPPORTED_EVENT', `Unsupported hook event: ${event}`, { event: String(event) });
+      }
+
+      const settings = { dedup: options.dedup };
+      if (options['min-turns'] !== undefined) {
+        settings.minTurns = parseCount(options['min-turns'], '--min-turns');
+      }
+      if (options['opt-out'] !== undefined) {
+        settings.optOutMarkers = options['opt-out'].split(',').map(s => s.trim()).filter(Boolean);
+      }
+      const result = handleHook(store, payload, settings);
+      return {
+        event,
+        ...result,
+        index: result.action === 'skipped' ? null : reindex(store),
+        minTurns: settings.minTurns !== undefined ? settings.minTurns : HOOK_DEFAULTS.minTurns
+      };
+    },
+    print(t, { event, action, reason, memory, turns, index, minTurns, context }) {
+      if (event === 'UserPromptSubmit') {
+        // Claude Code adds additionalContext to the prompt
+        if (context) {
+          console.log(JSON.stringify({ hookSpecificOutput: { hookEventName: event, additionalContext: context } }));
+        }
+        return;
+      }
+      if (action === 'skipped') {
+        console.log(t(`hook.skipped.${reason}`, { turns, minTurns, id: memory ? memory.id : '' }));
+        return;
+      }
+      console.log(t(`hook.${action}`, { id: memory.id, turns }));
+      printReindex(t, index);
+    }
+  },
+
+  show: {
+    usage: 'memory show <name> [--conversation]',
+    options: {
+      conversation: { type: 'boolean', alias: 'c', description: 'opt.conversation' }
+    },
+    run(store, { options, positionals }) {
+      const id = requireName(positionals, 'show');
+      const memory = store.get(id);
+      if (!memory) {
+        throw new MemoryStoreError('MEMORY_NOT_FOUND', `Memory ${id} not found`, { id });
+      }
+      const file = options.conversation ? 'conversation.md' : 'summary.md';
+      // Through the store: memories in cold storage are read from their bundle
+      const content = store.readFile(memory, file) || '';
+      store.recordAccess([memory]);
+      return { memory, file, content };
+    },
+    print(t, { memory, file, content }) {
+      console.log(t('show.header', { status: t(`memory.status.${memory.status}`), id: memory.id, file }) + '\n');
+      console.log(content || t('show.missing', { file }));
+    }
+  },
+
+  list: {
+    usage: 'memory list [--status <status>] [--type <type>]',
+    options: { status: STATUS_OPTION, type: TYPE_FILTER_OPTION },
+    run(store, { options }) {
+      return { memories: store.list({ status: parseStatus(options.status), type: parseType(options.type, true) }) };
+    },
+    print(t, { memories }) {
+      if (memories.length === 0) {
+        console.log(t('list.empty'));
+        return;
+      }
+      console.log(t('list.header', { count: memories.length }) + '\n');
+      memories.forEach((mem, i) => printMemory(t, mem, i));
+    }
+  },
+
+  search: {
+    usage: 'memory search <query> [--status <status>] [--type <type>] [--limit <n>] [--snippets <n>] [--mode lexical|semantic|hybrid] [--no-fuzzy]',
+    options: {
+      status: STATUS_OPTION,
+      type: TYPE_FILTER_OPTION,
+      limit: { type: 'string', value: 'n', description: 'opt.searchLimit' },
+      snippets: { type: 'string', value: 'n', description: 'opt.snippets' },
+      mode: { type: 'string', value: 'mode', description: 'opt.mode' },
+      // Default from the search.fuzzy setting
+      fuzzy: { type: 'boolean', negatable: true, description: 'opt.fuzzy' }
+    },
+    run(store, { options, positionals }) {
+      const query = positionals.join(' ').trim();
+      if (!query) {
+        throw commandUsageError('search');
+      }
+      const filters = { status: parseStatus(options.status), type: parseType(options.type, true), fuzzy: options.fuzzy };
+      if (options.limit !== undefined) {
+        filters.limit = parseCount(options.limit, '--limit');
+      }
+      if (options.snippets !== undefined) {
+        filters.snippets = parseCount(options.snippets, '--snippets');
+      }
+      if (options.mode !== undefined) {
+        filters.mode = parseMode(options.mode);
+      }
+      return { query, results: store.search(query, filters) };
+    },
+    print(t, { query, results }) {
+      if (results.length === 0) {
+        console.log(t('search.empty', { query }));
+        return;
+      }
+      console.log(t('search.header', { count: results.length }) + '\n');
+      results.forEach((result, i) => printSearchResult(t, result, i));
+    }
+  },
+
+  recall: {
+    usage: 'memory recall <query> [--budget <n>] [--unit chars|tokens] [--limit <n>] [--status <status>] [--type <type>] [--mode <mode>]',
+    options: {
+      budget: { type: 'string', value: 'n', description: 'opt.budget' },
+      unit: { type: 'string', value: 'unit', description: 'opt.unit' },
+      limit: { type: 'string', value: 'n', description: 'opt.bundleLimit' },
+      status: STATUS_OPTION,
+      type: TYPE_FILTER_OPTION,
+      mode: { type: 'string', value: 'mode', description: 'opt.mode' }
+    },
+    run(store, { options, positionals }, t) {
+      const query = positionals.join(' ').trim();
+      if (!query) {
+        throw commandUsageError('recall');
+      }
+      const settings = { ...parseRecallOptions(options), status: parseStatus(options.status), type: parseType(options.type, true) };
+      if (options.mode !== undefined) {
+        settings.mode = parseMode(options.mode);
+      }
+      return { query, ...recallBundle(store, t, query, settings) };
+    },
+    print(t, { query, bundle, found, budget, unit }) {
+      if (bundle) {
+        console.log(bundle);
+      } else {
+        console.log(found > 0 ? t('recall.bundle.tooSmall', { budget, unit, found }) : t('search.empty', { query }));
+      }
+    }
+  },
+
+  decisions: sectionCommand('decisions'),
+  conclusions: sectionCommand('conclusions'),
+  todos: {
+    usage: 'memory todos [done|cancel|reopen <name> <line>...] [--state open|done|cancelled|all] [--keyword <word>] [--since <date>] [--until <date>] [--status <status>] [--type <type>]',
+    options: {
+      state: { type: 'string', value: 'state', description: 'opt.todoState' },
+      ...SECTION_OPTIONS
+    },
+    run(store, { options, positionals }) {
+      const [action, id, ...lines] = positionals;
+      if (action === undefined) {
+        const state = options.state === undefined ? 'open' : options.state;
+        if (!['open', 'done', 'cancelled', 'all'].includes(state)) {
+          throw new UsageError(`Invalid state: ${state} (expected open, done, cancelled or all)`, 'usage.invalidState', { value: state });
+        }
+        const items = store.sections('todos', parseSectionFilters(options));
+        return { kind: 'todos', state, items: items.filter(item => state === 'all' || item.state === state) };
+      }
+
+      if (!TODO_ACTIONS[action] || !id || lines.length === 0) {
+        throw commandUsageError('todos');
+      }
+      const state = TODO_ACTIONS[action];
+      const result = store.setTodoState(id, lines.map(line => parseCount(line, 'line')), state);
+      return { action, state, ...result, index: reindex(store) };
+    },
+    print(t, result) {
+      if (!result.action) {
+        printSectionItems(t, 'todos', result.items, result.state === 'open' ? 'open' : undefined);
+        return;
+      }
+      for (const todo of result.todos) {
+        console.log(t(`todos.${result.state}`, { id: result.memory.id, line: todo.line, text: todo.text }));
+      }
+      console.log('');
+      printReindex(t, result.index);
+    }
+  },
+  files: sectionCommand('files'),
+
+  activate: {
+    usage: 'memory activate <name>',
+    options: {},
+    run(store, { positionals }) {
+      const result = store.activate(requireName(positionals, 'activate'));
+      return { ...result, index: result.moved ? reindex(store) : null };
+    },
+    print(t, { memory, moved, from, index }) {
+      if (!moved) {
+        console.log(t('activate.already', { id: memory.id }));
+        return;
+      }
+      console.log(t('activate.done', { id: memory.id }));
+      console.log(t('activate.from', { path: from }));
+      console.log(t('activate.to', { path: memory.path }));
+      console.log(t('memory.topic', { topic: memory.topic || t('unknownTopic') }));
+      console.log('');
+      printReindex(t, index);
+    }
+  },
+
+  archive: {
+    usage: 'memory archive [name] [--dry-run] [--force]',
+    options: {
+      'dry-run': { type: 'boolean', description: 'opt.dryRun' },
+      force: { type: 'boolean', description: 'opt.force' }
+    },
+    run(store, { options, positionals }, t) {
+      if (positionals.length > 1) {
+        throw commandUsageError('archive');
+      }
+      const dryRun = Boolean(options['dry-run']);
+      let candidates;
+      if (positionals.length === 1) {
+        const memory = store.get(positionals[0]);
+        if (!memory) {
+          throw new MemoryStoreError('MEMORY_NOT_FOUND', `Memory ${positionals[0]} not found`, { id: positionals[0] });
+        }
+        if (memory.pinned && memory.status === 'active') {
+          throw new MemoryStoreError('MEMORY_PINNED', `Memory ${memory.id} is pinned`, { id: memory.id });
+        }
+        candidates = [{ ...memory, reason: 'manual' }];
+      } else {
+        candidates = store.getArchiveCandidates({ force: options.force });
+      }
+      // Dry runs show the whole eviction order, to tune the strategy
+      const ranking = dryRun ? store.rankForEviction() : null;
+
+      const archived = candidates.map(mem => {
+        const entry = { id: mem.id, topic: mem.topic, reason: mem.reason, mtime: mem.mtime, lastUsed: mem.lastUsed, accessCount: mem.accessCount };
+        if (mem.scoreParts) {
+          entry.score = mem.score;
+          entry.scoreParts = mem.scoreParts;
+        }
+        if (!dryRun) {
+          entry.path = store.archive(mem.id).memory.path;
+        }
+        return entry;
+      });
+
+      return {
+        dryRun,
+        archived,
+        strategy: store.eviction.strategy || EVICTION_DEFAULTS.strategy,
+        ranking: ranking && ranking.map(mem => ({ id: mem.id, topic: mem.topic, score: mem.score, scoreParts: mem.scoreParts })),
+        index: !dryRun && archived.length > 0 ? reindex(store) : null,
+        reasons: Object.fromEntries(archived.map(a => [a.reason, describeReason(t, store, a.reason)]))
+      };
+    },
+    print(t, { dryRun, archived, strategy, ranking, index, reasons }) {
+      if (archived.length === 0) {
+        console.log(t('archive.empty'));
+      } else {
+        console.log(t(dryRun ? 'archive.dryRunHeader' : 'archive.header', { count: archived.length }) + '\n');
+      }
+      archived.forEach((mem, i) => {
+        console.log(`${i + 1}. ${mem.id}`);
+        console.log(t('memory.topic', { topic: mem.topic || t('unknownTopic') }));
+        console.log(t('archive.reason', { reason: reasons[mem.reason] }));
+        if (mem.scoreParts) {
+          console.log(t('archive.score', { score: formatScore(t, mem.score, mem.scoreParts) }));
+        }
+        if (mem.path) {
+          console.log(t('archive.moved', { path: mem.path }));
+        }
+        console.log('');
+      });
+      if (ranking && ranking.length > 0) {
+        if (archived.length === 0) {
+          console.log('');
+        }
+        console.log(t('archive.rankingHeader', { strategy }) + '\n');
+        ranking.forEach((mem, i) => console.log(`${i + 1}. ${mem.id}  ${formatScore(t, mem.score, mem.scoreParts)}`));
+        console.log('');
+      }
+      if (dryRun) {
+        console.log(t('archive.dryRunDone'));
+      } else if (archived.length > 0) {
+        printReindex(t, index);
+      }
+    }
+  },
+
+  pack: {
+    usage: 'memory pack [--dry-run]',
+    options: {
+      'dry-run': { type: 'boolean', description: 'opt.dryRun' }
+    },
+    run(store, { options, positionals }) {
+      if (positionals.length > 0) {
+        throw commandUsageError('pack');
+      }
+      const dryRun = Boolean(options['dry-run']);
+      const result = store.pack({ dryRun });
+      return {
+        dryRun,
+        days: store.coldStorageAfterDays,
+        ...result,
+        memories: result.memories.map(mem => ({
+          id: mem.id,
+          topic: mem.topic,
+          archived: mem.archived,
+          daysArchived: Math.floor(mem.daysArchived),
+          size: mem.size
+        }))
+      };
+    },
+    print(t, { dryRun, days, memories, bundle, size, packedSize }) {
+      if (memories.length === 0) {
+        console.log(t('pack.empty', { days }));
+        return;
+      }
+      console.log(t(dryRun ? 'pack.dryRunHeader' : 'pack.header', { count: memories.length, days }) + '\n');
+      memories.forEach((mem, i) => {
+        console.log(`${i + 1}. ${mem.id}`);
+        console.log(t('memory.topic', { topic: mem.topic || t('unknownTopic') }));
+        console.log(t('pack.archived', { time: formatDateTime(new Date(mem.archived)), days: mem.daysArchived, size: formatSize(mem.size) }));
+        console.log('');
+      });
+      console.log(dryRun
+        ? t('pack.dryRunDone', { size: formatSize(size) })
+        : t('pack.done', { bundle, size: formatSize(size), packedSize: formatSize(packedSize) }));
+    }
+  },
+
+  pin: pinCommand(true),
+
+  unpin: pinCommand(false),
+
+  importance: {
+    usage: 'memory importance <name> <0-5>',
+    options: {},
+    run(store, { positionals }) {
+      if (positionals.length !== 2) {
+        throw commandUsageError('importance');
+      }
+      return { memory: store.setImportance(positionals[0], parseCount(positionals[1], 'importance')) };
+    },
+    print(t, { memory }) {
+      console.log(memory.importance > 0
+        ? t('importance.done', { id: memory.id, importance: memory.importance })
+        : t('importance.cleared', { id: memory.id }));
+    }
+  },
+
+  reindex: {
+    usage: 'memory reindex [--rebuild]',
+    options: {
+      rebuild: { type: 'boolean', description: 'opt.rebuild' }
+    },
+    run(store, { options }) {
+      return reindex(store, { rebuildSearch: Boolean(options.rebuild) });
+    },
+    print: printReindex
+  },
+
+  stats: {
+    usage: 'memory stats',
+    options: {},
+    run(store) {
+      const stats = store.stats();
+      return {
+        ...stats,
+        activeMemories: stats.activeMemories.map(m => ({
+          id: m.id,
+          topic: m.topic,
+          mtime: m.mtime,
+          daysSinceModified: Math.floor(m.daysSinceModified),
+          accessed: m.accessed,
+          accessCount: m.accessCount,
+          lastUsed: m.lastUsed,
+          daysSinceUsed: Math.floor(m.daysSinceUsed),
+          pinned: m.pinned,
+          importance: m.importance,
+          dueForArchive: !m.pinned && m.daysSinceUsed > stats.archiveAfterDays
+        }))
+      };
+    },
+    print(t, stats) {
+      console.log(t('stats.title') + '\n');
+      console.log(t('stats.active', { count: stats.active, limit: stats.maxActiveMemories }));
+      console.log(t('stats.archived', { count: stats.archived }));
+      if (stats.cold.memories > 0) {
+        console.log(t('stats.cold', {
+          count: stats.cold.memories,
+          bundles: stats.cold.bundles,
+          size: formatSize(stats.cold.size),
+          packedSize: formatSize(stats.cold.packedSize),
+          saved: formatSize(Math.max(stats.cold.saved, 0)),
+          percent: stats.cold.size > 0 ? Math.round(stats.cold.saved / stats.cold.size * 100) : 0
+        }));
+      }
+      console.log(t('stats.threshold', { days: stats.archiveAfterDays }));
+      if (Object.keys(stats.types).length > 0) {
+        const types = Object.entries(stats.types).map(([type, count]) => `${type} ${count}`).join(', ');
+        console.log(t('stats.types', { types }));
+      }
+      if (stats.needsMigration > 0) {
+        console.log(t('stats.needsMigration', { count: stats.needsMigration }));
+      }
+      console.log('');
+      if (stats.activeMemories.length > 0) {
+        console.log(t('stats.activeHeader') + '\n');
+        stats.activeMemories.forEach((mem, i) => {
+          console.log(`${i + 1}. ${mem.id} ${mem.pinned ? '📌' : mem.dueForArchive ? t('stats.due') : '✓'}`);
+          console.log(t('memory.topic', { topic: mem.topic || t('unknownTopic') }));
+          const accessed = mem.accessCount === 1 ? 'stats.accessedOnce' : 'stats.accessed';
+          console.log(mem.accessed
+            ? t(accessed, { time: formatDateTime(mem.accessed), days: mem.daysSinceUsed, count: mem.accessCount })
+            : t('stats.notAccessed', { time: formatDateTime(mem.lastUsed), days: mem.daysSinceUsed }));
+          console.log('');
+        });
+      }
+    }
+  },
+
+  migrate: {
+    usage: 'memory migrate [--dry-run]',
+    options: {
+      'dry-run': { type: 'boolean', description: 'opt.dryRun' }
+    },
+    run(store, { options }) {
+      const dryRun = Boolean(options['dry-run']);
+      const results = store.migrate({ dryRun });
+      const migrated = results.filter(r => r.action === 'migrated');
+      return {
+        dryRun,
+        migrated: migrated.length,
+        skipped: results.length - migrated.length,
+        results,
+        index: !dryRun && migrated.length > 0 ? reindex(store) : null
+      };
+    },
+    print(t, { dryRun, migrated, results, index }) {
+      const pending = results.filter(r => r.action === 'migrated');
+      if (pending.length === 0) {
+        console.log(t('migrate.none'));
+        return;
+      }
+      console.log(t(dryRun ? 'migrate.dryRunHeader' : 'migrate.header', { count: migrated }) + '\n');
+      pending.forEach((r, i) => {
+        console.log(`${i + 1}. [${t(`memory.status.${r.status}`)}] ${r.id}`);
+        console.log(t('migrate.title', { title: r.meta.title || t('none') }));
+        console.log(t('migrate.keywords', { keywords: r.meta.keywords.join(', ') || t('none') }));
+        console.log(t('migrate.created', { time: formatDateTime(new Date(r.meta.created)) }));
+        console.log('');
+      });
+      results.filter(r => r.reason === 'no-summary').forEach(r => {
+        console.warn(t('migrate.noSummary', { id: r.id }));
+      });
+      if (dryRun) {
+        console.log(t('migrate.dryRunDone'));
+      } else {
+        printReindex(t, index);
+      }
+    }
+  },
+
+  templates: {
+    usage: 'memory templates [--init]',
+    options: {
+      init: { type: 'boolean', description: 'opt.init' }
+    },
+    run(store, { options, positionals }) {
+      if (positionals.length > 0) {
+        throw commandUsageError('templates');
+      }
+      const created = options.init ? store.initTemplates() : [];
+      return {
+        templatesDir: store.templatesDir,
+        created,
+        templates: store.templates().map(({ name, source, path: file }) => ({ name, source, path: file }))
+      };
+    },
+    print(t, { templatesDir, created, templates }) {
+      created.forEach(file => console.log(t('templates.created', { path: file })));
+      if (created.length > 0) {
+        console.log('');
+      }
+      console.log(t('templates.header') + '\n');
+      templates.forEach(tpl => {
+        console.log(`  ${tpl.name.padEnd(14)}${t(`templates.source.${tpl.source}`)}${tpl.path ? ` - ${tpl.path}` : ''}`);
+      });
+      console.log('\n' + t('templates.hint', { dir: templatesDir }));
+    }
+  },
+
+  config: {
+    usage: 'memory config [get [key] | set <key> <value> | unset <key>]',
+    options: {},
+    // Runs without a store, so an invalid config.json can still be fixed
+    store: false,
+    run(store, { positionals }, t, storeOptions) {
+      const [action = 'get', key, ...rest] = positionals;
+      const file = storeOptions.configFile ||
+        (storeOptions.memoriesDir ? path.join(path.dirname(storeOptions.memoriesDir), 'config.json') : getConfigFile());
+      const valid = { get: rest.length === 0, set: key !== undefined && rest.length > 0, unset: key !== undefined && rest.length === 0 };
+      if (!valid[action]) {
+        throw commandUsageError('config');
+      }
+      if (action !== 'get') {
+        writeSetting(file, key, action === 'set' ? rest.join(' ') : undefined);
+      }
+
+      const { settings, sources } = loadConfig(file);
+      const keys = key === undefined ? Object.keys(CONFIG_SCHEMA) : [key];
+      return {
+        action,
+        file,
+        settings: keys.map(name => ({ key: name, value: getSetting(settings, name), source: sources[name], variable: envName(name) }))
+      };
+    },
+    print(t, { action, file, settings }) {
+      const describe = setting => setting.source === 'default' || setting.source === 'file'
+        ? t(`config.source.${setting.source}`)
+        : setting.source;
+      if (action === 'get' && settings.length > 1) {
+        console.log(t('config.header', { file }) + '\n');
+        const width = Math.max(...settings.map(setting => setting.key.length)) + 2;
+        settings.forEach(setting => {
+          console.log(`  ${setting.key.padEnd(width)}${JSON.stringify(setting.value).padEnd(14)}${describe(setting)}`);
+        });
+        console.log('\n' + t('config.hint'));
+        return;
+      }
+      const [setting] = settings;
+      if (action === 'get') {
+        console.log(JSON.stringify(setting.value));
+        return;
+      }
+      console.log(t(`config.${action}`, { key: setting.key, value: JSON.stringify(setting.value), file }));
+      // An environment variable still wins over the file
+      if (setting.source === setting.variable) {
+        console.warn(t('config.envOverride', { variable: setting.variable }));
+      }
+    }
+  }
+};
+
+/**
+ * Format option spec for help output
+ */
+function formatOptions(t, spec) {
+  return Object.entries(spec).map(([name, def]) => {
+    // Booleans on by default are turned off with --no-<name>
+    const flagName = def.type === 'boolean' && (def.default === true || def.negatable) ? `no-${name}` : name;
+    const flag = `${def.alias ? `-${def.alias}, ` : '    '}--${flagName}${def.type === 'string' ? ` <${def.value || 'value'}>` : ''}`;
+    return `  ${flag.padEnd(28)}${def.description ? t(def.description) : ''}`;
+  }).join('\n');
+}
+
+/**
+ * Show general or command help
+ */
+function showHelp(t, command) {
+  if (command) {
+    const cmd = COMMANDS[command];
+    console.log(t('help.usage', { usage: cmd.usage }) + '\n');
+    console.log(t(`cmd.${command}.description`) + '\n');
+    console.log(t('help.options'));
+    console.log(formatOptions(t, { ...cmd.options, ...GLOBAL_OPTIONS }));
+    return;
+  }
+
+  console.log(t('help.usage', { usage: 'memory <command> [options]' }) + '\n');
+  console.log(t('help.commands'));
+  for (const [name, cmd] of Object.entries(COMMANDS)) {
+    console.log(`  ${cmd.usage.replace(/^memory /, '').padEnd(40)}${t(`cmd.${name}.summary`)}`);
+  }
+  console.log('\n' + t('help.options'));
+  console.log(formatOptions(t, GLOBAL_OPTIONS));
+  console.log('\n' + t('help.more'));
+}
+
+/**
+ * Report error to stderr
+ * JSON output keeps the English message; human output is translated
+ * @returns {number} Exit code
+ */
+function reportError(t, err, json) {
+  const code = err.code || 'ERROR';
+  if (json) {
+    console.error(JSON.stringify({ error: { code, message: err.message, ...(err.details || {}) } }));
+  } else {
+    let message = err.message;
+    if (err.key) {
+      message = t(err.key, err.vars);
+    } else if (t.has(`error.${code}`)) {
+      message = t(`error.${code}`, err.details);
+    }
+    console.error(t('error.prefix', { code, message }));
+    if (code === 'USAGE') {
+      console.error(t('error.seeHelp'));
+    }
+  }
+  return code === 'USAGE' ? 2 : 1;
+}
+
+/**
+ * Find --locale in raw arguments, so help and argument errors are translated
+ */
+function findLocale(argv) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--') {
+      break;
+    }
+    const value = argv[i] === '--locale' ? argv[i + 1] : argv[i].startsWith('--locale=') ? argv[i].slice(9) : null;
+    if (value !== null) {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Run CLI
+ * @param {string[]} argv - Arguments after the script path
+ * @param {Object} [storeOptions] - MemoryStore options
+ * @returns {number} Exit code
+ */
+function run(argv, storeOptions = {}) {
+  const [command, ...rest] = argv;
+  const json = rest.includes('--json');
+  const requested = findLocale(rest);
+  const defaultLocale = storeOptions.locale || getDefaultLocale();
+  const t = createTranslator(isSupportedLocale(requested) ? requested : defaultLocale);
+
+  if (!command || command === '--help' || command === '-h' || command === 'help') {
+    showHelp(t, COMMANDS[rest[0]] ? rest[0] : null);
+    return 0;
+  }
+
+  try {
+    const cmd = COMMANDS[command];
+    if (!cmd) {
+      throw new UsageError(`Unknown command: ${command}`, 'usage.unknownCommand', { command });
+    }
+
+    const args = parseArgs(rest, { ...cmd.options, ...GLOBAL_OPTIONS });
+    if (args.options.locale !== undefined && !isSupportedLocale(args.options.locale)) {
+      const supported = supportedLocales().join(', ');
+      throw new UsageError(`Unsupported locale: ${args.options.locale} (expected ${supported})`,
+        'usage.invalidLocale', { value: args.options.locale, supported });
+    }
+    if (args.options.help) {
+      showHelp(t, command);
+      return 0;
+    }
+
+    const store = cmd.store === false ? null : new MemoryStore({ ...storeOptions, locale: t.locale });
+    const result = cmd.run(store, args, t, storeOptions);
+    if (args.options.json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      cmd.print(t, result);
+    }
+    return 0;
+  } catch (err) {
+    const status = reportError(t, err, json);
+    // Claude Code blocks on exit code 2: a misconfigured hook only warns
+    return command === 'hook' ? Math.min(status, 1) : status;
+  }
+}
+
+module.exports = { COMMANDS, run };
+
+// If running directly
+if (require.main === module) {
+  process.exitCode = run(process.argv.slice(2));
+}
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function workspace(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-cli-'));
+  fs.mkdirSync(path.join(dir, '.claude'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function memory(cwd, args, input) {
+  return spawnSync(process.execPath, [path.join(__dirname, 'memory.js'), ...args], { cwd, input, encoding: 'utf8' });
+}
+
+for (const input of ['null', '[]', '"SessionEnd"', '42']) {
+  test(`hook reports stdin ${input} as invalid input`, t => {
+    const result = memory(workspace(t), ['hook', '--json'], input);
+
+    assert.equal(result.status, 1);
+    assert.equal(JSON.parse(result.stderr).error.code, 'INVALID_INPUT');
+  });
+}
+
+test('hook usage errors exit 1, not the 2 that blocks the prompt', t => {
+  const result = memory(workspace(t), ['hook', '--bogus'], '{}');
+
+  assert.equal(result.status, 1);
+  assert.equal(result.stdout, '');
+  assert.match(result.stderr, /USAGE/);
+  assert.equal(memory(workspace(t), ['list', '--bogus']).status, 2);
+});
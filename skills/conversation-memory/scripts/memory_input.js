@@ -0,0 +1,364 @@
+#!/usr/bin/env node
+
+/**
+ * memory_input.js - Build memory files from structured input
+ *
+ * Turns a JSON object into finished summary.md and conversation.md content,
+ * so a memory can be saved in one step instead of filling in a template:
+ *
+ *   {
+ *     "topic": "Memory System Design",
+ *     "type": "decision",
+ *     "keywords": ["skills", "memory"],
+ *     "summary": "One or two paragraphs...",
+ *     "decisions": ["Adopted single skill + index"],
+ *     "conclusions": ["..."],
+ *     "todos": ["Write docs", {"text": "Ship v1", "done": true}],
+ *     "files": ["SKILL.md", {"path": "scripts/memory.js", "description": "CLI"}],
+ *     "sections": {"Root Cause": "..."},
+ *     "duration": 30,
+ *     "turns": [{"role": "user", "content": "...", "time": "14:00:00"}]
+ *   }
+ *
+ * Only topic is required. Empty sections are left out. Typed memories follow
+ * their type's summary template, with sections filling its headings.
+ */
+
+const { format, isSupportedLocale, supportedLocales } = require('./i18n');
+
+// Accepted speaker names -> conversation role
+const ROLES = {
+  user: 'user',
+  human: 'user',
+  assistant: 'assistant',
+  claude: 'assistant'
+};
+
+/**
+ * Error for invalid memory input (code INVALID_INPUT)
+ */
+class MemoryInputError extends Error {
+  constructor(field, message) {
+    super(`Invalid input: ${field} ${message}`);
+    this.name = 'MemoryInputError';
+    this.code = 'INVALID_INPUT';
+    this.details = { field, reason: message };
+  }
+}
+
+/**
+ * Create input error for a field
+ */
+function invalid(field, message) {
+  return new MemoryInputError(field, message);
+}
+
+/**
+ * Normalize a list of strings
+ */
+function stringList(value, field) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (typeof value === 'string') {
+    return value.split(/[,，\n]/).map(s => s.trim()).filter(Boolean);
+  }
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+    throw invalid(field, 'must be a list of strings');
+  }
+  return value.map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Normalize and validate input object
+ * @param {Object} data - Parsed JSON
+ * @returns {Object} Normalized input
+ * @throws {MemoryInputError}
+ */
+function parseMemoryInput(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw invalid('input', 'must be a JSON object');
+  }
+  const topic = typeof data.topic === 'string' ? data.topic.trim() : '';
+  if (!topic) {
+    throw invalid('topic', 'is required');
+  }
+  if (data.summary !== undefined && typeof data.summary !== 'string') {
+    throw invalid('summary', 'must be a string');
+  }
+  if (data.duration !== undefined && !(Number(data.duration) > 0)) {
+    throw invalid('duration', 'must be a positive number of minutes');
+  }
+  if (data.type !== undefined && typeof data.type !== 'string') {
+    throw invalid('type', 'must be a string');
+  }
+  if (data.language !== undefined && !isSupportedLocale(data.language)) {
+    throw invalid('language', `must be one of ${supportedLocales().join(', ')}`);
+  }
+
+  const todoItems = data.todos || [];
+  if (!Array.isArray(todoItems)) {
+    throw invalid('todos', 'must be a list of strings or {text, done}');
+  }
+  const todos = todoItems.map(todo => {
+    if (typeof todo === 'string') {
+      return { text: todo.trim(), done: false };
+    }
+    if (todo && typeof todo.text === 'string') {
+      return { text: todo.text.trim(), done: Boolean(todo.done) };
+    }
+    throw invalid('todos', 'items must be strings or {text, done}');
+  }).filter(todo => todo.text);
+
+  const filesField = data.files === undefined || data.files === null ? 'relatedFiles' : 'files';
+  const fileItems = data[filesField] || [];
+  if (!Array.isArray(fileItems)) {
+    throw invalid(filesField, 'must be a list of strings or {path, description}');
+  }
+  const files = fileItems.map(file => {
+    if (typeof file === 'string') {
+      return { path: file.trim(), description: '' };
+    }
+    const description = file && (file.description === undefined || file.description === null ? '' : file.description);
+    if (file && typeof file.path === 'string' && typeof description === 'string') {
+      return { path: file.path.trim(), description: description.trim() };
+    }
+    throw invalid(filesField, 'items must be strings or {path, description}');
+  }).filter(file => file.path);
+
+  const sections = data.sections || {};
+  if (typeof sections !== 'object' || Array.isArray(sections)) {
+    throw invalid('sections', 'must be an object of heading -> text or list');
+  }
+  for (const [heading, value] of Object.entries(sections)) {
+    if (typeof value !== 'string' && !(Array.isArray(value) && value.every(item => typeof item === 'string'))) {
+      throw invalid(`sections.${heading}`, 'must be a string or a list of strings');
+    }
+  }
+
+  const turns = data.turns || [];
+  if (!Array.isArray(turns)) {
+    throw invalid('turns', 'must be a list of {role, content}');
+  }
+
+  return {
+    topic,
+    type: data.type,
+    language: data.language,
+    keywords: stringList(data.keywords, 'keywords'),
+    summary: (data.summary || '').trim(),
+    decisions: stringList(data.decisions, 'decisions'),
+    conclusions: stringList(data.conclusions, 'conclusions'),
+    todos,
+    files,
+    sections,
+    duration: data.duration ? Number(data.duration) : null,
+    turns: turns.map((turn, i) => {
+      const role = turn && ROLES[String(turn.role || '').toLowerCase()];
+      const content = turn && (turn.content !== undefined ? turn.content : turn.text);
+      if (!role || typeof content !== 'string') {
+        throw invalid(`turns[${i}]`, 'must have role (user/assistant) and content');
+      }
+      return { role, content: content.trim(), time: turn.time ? String(turn.time) : '' };
+    })
+  };
+}
+
+// Clock time without a date: 14:05 or 14:05:30
+const CLOCK_PATTERN = /^\d{1,2}:\d{2}(:\d{2})?$/;
+
+/**
+ * Format turn time as YYYY-MM-DD HH:MM:SS (accepts ISO dates and clock times)
+ * Clock times take the date of fallback; unparseable values are kept as is
+ * @param {string} value - Turn time
+ * @param {string} fallback - Used when value is empty (YYYY-MM-DD HH:MM:SS)
+ */
+function formatTurnTime(value, fallback) {
+  if (!value) {
+    return fallback;
+  }
+  if (CLOCK_PATTERN.test(value)) {
+    return `${fallback.slice(0, 10)} ${value}`;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return value;
+  }
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Render a section body from text or list
+ */
+function renderSectionBody(value) {
+  if (Array.isArray(value)) {
+    return value.map(item => `- ${item}`).join('\n');
+  }
+  return String(value).trim();
+}
+
+/**
+ * Count user turns
+ */
+function countTurns(input) {
+  return input.turns.filter(turn => turn.role === 'user').length;
+}
+
+// Sections of the summary that come from input fields, not from input.sections
+const STANDARD_SECTIONS = ['metadata', 'topicSummary', 'decisions', 'conclusions', 'todos', 'files', 'tracing'];
+
+// Standard sections that close a summary, in order
+const CLOSING_SECTIONS = ['todos', 'files', 'tracing'];
+
+/**
+ * Standard section a template heading stands for (meeting's Action Items are
+ * the TODOs), null for the type's own sections
+ */
+function standardSection(heading, locale) {
+  const name = heading.trim().toLowerCase();
+  const text = locale.compose.summary;
+  const key = STANDARD_SECTIONS.find(k => text[k].toLowerCase() === name);
+  if (key) {
+    return key;
+  }
+  const found = Object.entries(locale.headings.sections)
+    .find(([, names]) => names.some(n => n.toLowerCase() === name));
+  return found ? found[0] : null;
+}
+
+/**
+ * Render summary.md body (without frontmatter)
+ * With the headings of the memory type's template, the summary follows that
+ * template: its sections in its order, filled from the standard fields or
+ * the input.sections of the same heading. Fields the template has no heading
+ * for keep the general layout: the topic summary after the metadata,
+ * decisions, conclusions and other sections before the closing TODOs,
+ * files and tracing.
+ * @param {Object} input - Normalized input
+ * @param {Object} locale - Locale pack
+ * @param {string[]} [headings] - Section headings of the type's template
+ */
+function renderSummaryBody(input, locale, headings = null) {
+  const text = locale.compose.summary;
+  const meta = [];
+  if (input.duration) {
+    meta.push(`- ${format(text.duration, { minutes: input.duration })}`);
+  }
+  if (input.turns.length > 0) {
+    meta.push(`- ${format(text.turns, { count: countTurns(input) })}`);
+  }
+  const bodies = {
+    metadata: meta.join('\n'),
+    topicSummary: input.summary,
+    decisions: input.decisions.map((d, i) => `${i + 1}. ${d}`).join('\n'),
+    conclusions: input.conclusions.map(c => `- ${c}`).join('\n'),
+    todos: input.todos.map(todo => `- [${todo.done ? 'x' : ' '}] ${todo.text}`).join('\n'),
+    files: input.files.map(file => `- \`${file.path}\`${file.description ? ` - ${file.description}` : ''}`).join('\n'),
+    tracing: text.tracingText
+  };
+  const standard = key => ({ key, heading: text[key], body: bodies[key] });
+
+  const extra = new Map(Object.entries(input.sections));
+  // Takes the input section of a template heading, matched without case
+  const take = heading => {
+    const name = [...extra.keys()].find(k => k.trim().toLowerCase() === heading.trim().toLowerCase());
+    if (name === undefined) {
+      return '';
+    }
+    const value = extra.get(name);
+    extra.delete(name);
+    return renderSectionBody(value);
+  };
+
+  let layout = ['metadata', 'topicSummary'].map(standard);
+  const has = key => layout.some(entry => entry.key === key);
+  if (headings) {
+    layout = headings.map(heading => {
+      const key = standardSection(heading, locale);
+      return { key, heading, body: (key && bodies[key]) || take(heading) };
+    });
+    if (!has('topicSummary')) {
+      layout.splice(layout.findIndex(entry => entry.key === 'metadata') + 1, 0, standard('topicSummary'));
+    }
+  }
+  const middle = [
+    ...['decisions', 'conclusions'].filter(key => !has(key)).map(standard),
+    ...[...extra].map(([heading, value]) => ({ key: null, heading, body: renderSectionBody(value) }))
+  ];
+  const closing = layout.findIndex(entry => CLOSING_SECTIONS.includes(entry.key));
+  layout.splice(closing < 0 ? layout.length : closing, 0, ...middle);
+  CLOSING_SECTIONS.forEach((key, i) => {
+    if (!has(key)) {
+      const next = layout.findIndex(entry => CLOSING_SECTIONS.indexOf(entry.key) > i);
+      layout.splice(next < 0 ? layout.length : next, 0, standard(key));
+    }
+  });
+
+  const parts = [`# ${format(text.title, { title: input.topic })}`];
+  for (const { heading, body } of layout) {
+    if (body) {
+      parts.push(`## ${heading}\n\n${body}`);
+    }
+  }
+  return parts.join('\n\n') + '\n';
+}
+
+/**
+ * Render a tool call as a list item: - Tool call: Bash `npm test`
+ */
+function renderTool(tool, text) {
+  const input = tool.input ? ` \`${tool.input.replace(/`/g, "'")}\`` : '';
+  return `- ${format(text.tool, { name: tool.name })}${input}`;
+}
+
+/**
+ * Render conversation.md content
+ * Turns may carry attachments (names) and tools ({name, input}), see transcript.js
+ * @param {Object} input - Normalized input, endTime overrides the last turn's time
+ * @param {Object} locale - Locale pack
+ * @param {string} startTime - Fallback start time (YYYY-MM-DD HH:MM:SS)
+ */
+function renderConversation(input, locale, startTime) {
+  const text = locale.compose.conversation;
+  const first = input.turns[0];
+  const last = input.turns[input.turns.length - 1];
+
+  const endTime = input.endTime || (last && last.time);
+  const info = [`- ${format(text.startTime, { time: formatTurnTime(first && first.time, startTime) })}`];
+  if (endTime) {
+    info.push(`- ${format(text.endTime, { time: formatTurnTime(endTime, startTime) })}`);
+  }
+  info.push(`- ${format(text.turns, { count: countTurns(input) })}`);
+
+  const turns = input.turns.map(turn => {
+    const time = turn.time ? formatTurnTime(turn.time, startTime).replace(/^\d{4}-\d{2}-\d{2} /, '') : '';
+    const speaker = turn.role === 'user' ? text.user : text.assistant;
+    const body = [
+      (turn.attachments || []).map(name => `[${format(text.attachment, { name })}]`).join('\n'),
+      turn.content,
+      (turn.tools || []).map(tool => renderTool(tool, text)).join('\n')
+    ];
+    return `### ${speaker}${time ? ` [${time}]` : ''}\n\n${body.filter(Boolean).join('\n\n')}`;
+  });
+
+  return `# ${text.title}
+
+## ${text.info}
+
+${info.join('\n')}
+
+---
+
+## ${text.content}
+
+${turns.length > 0 ? turns.join('\n\n---\n\n') + '\n' : ''}`;
+}
+
+module.exports = {
+  MemoryInputError,
+  parseMemoryInput,
+  renderSummaryBody,
+  renderConversation
+};
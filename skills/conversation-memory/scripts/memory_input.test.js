@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryInputError, parseMemoryInput } = require('./memory_input');
+
+test('todos and files accept strings and objects', () => {
+  const input = parseMemoryInput({
+    topic: 'Design',
+    todos: ['Write docs', { text: 'Ship v1', done: true }],
+    relatedFiles: ['SKILL.md', { path: 'scripts/memory.js', description: 'CLI' }]
+  });
+
+  assert.deepEqual(input.todos, [{ text: 'Write docs', done: false }, { text: 'Ship v1', done: true }]);
+  assert.deepEqual(input.files, [
+    { path: 'SKILL.md', description: '' },
+    { path: 'scripts/memory.js', description: 'CLI' }
+  ]);
+});
+
+for (const [field, value] of [
+  ['todos', 'Write docs'],
+  ['todos', { text: 'Write docs' }],
+  ['files', 'SKILL.md'],
+  ['relatedFiles', { path: 'SKILL.md' }],
+  ['relatedFiles', [{ path: 'SKILL.md', description: {} }]],
+  ['type', 5],
+  ['language', 'fr'],
+  ['sections.Root Cause', [null]]
+]) {
+  test(`${field} of the wrong kind (${JSON.stringify(value)}) is an input error naming the field`, () => {
+    const [name, heading] = field.split('.');
+    const data = { topic: 'Design', [name]: heading ? { [heading]: value } : value };
+    assert.throws(() => parseMemoryInput(data), err => {
+      assert.ok(err instanceof MemoryInputError);
+      assert.equal(err.code, 'INVALID_INPUT');
+      assert.equal(err.details.field, field);
+      return true;
+    });
+  });
+}
+
+test('input that is not an object is an input error', () => {
+  for (const data of [null, [], 'topic']) {
+    assert.throws(() => parseMemoryInput(data), { code: 'INVALID_INPUT' });
+  }
+});
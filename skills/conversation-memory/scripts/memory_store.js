@@ -0,0 +1,1618 @@
+#!/usr/bin/env node
+
+/**
+ * memory_store.js - Memory storage module
+ *
+ * Single implementation of memory management shared by all scripts, also
+ * exposed as the package entry point for programmatic use:
+ *
+ *   const { MemoryStore } = require('conversation-memory-skill');
+ *   const store = new MemoryStore();
+ *   store.create();
+ *   store.search('keyword');
+ *
+ * Methods never call process.exit - failures are thrown as MemoryStoreError
+ * with a stable `code` so callers can decide how to report them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  FRONTMATTER_VERSION,
+  parseFrontmatter,
+  stringifyFrontmatter,
+  updateFrontmatter
+} = require('./frontmatter');
+const { DEFAULT_LOCALE, getLocale, allLocales, format } = require('./i18n');
+const { loadTemplate, renderTemplate, templateNames, templateVariables, getAuthor, getBranch } = require('./templates');
+const { parseMemoryInput, renderSummaryBody, renderConversation } = require('./memory_input');
+const { readTranscript } = require('./transcript');
+const { searchMemories } = require('./search');
+const { collectSections, markTodo, isPlaceholder } = require('./sections');
+const { parseAccess, accessData, readAccess, recordAccess, writeAccess } = require('./access');
+const { MAX_IMPORTANCE, rankForEviction, supportedStrategies } = require('./eviction');
+const {
+  MANIFEST_FILE,
+  BUNDLE_EXTENSION,
+  collectFiles,
+  describeMemory,
+  entriesSize,
+  writeBundle,
+  readBundle,
+  unpackMemory,
+  removeFromBundle,
+  readManifest,
+  writeManifest,
+  findBundle
+} = require('./cold_storage');
+const { SearchIndex } = require('./search_index');
+const { normalize, loadDictionary, createTokenizer } = require('./tokenizer');
+const { EmbeddingError, createProvider, syncEmbeddings } = require('./embeddings');
+const { loadSynonyms, createSynonyms } = require('./synonyms');
+const { loadTranslations } = require('./translations');
+
+// Memory directory name prefix
+const MEMORY_PREFIX = 'mem-';
+
+// Standard memory name format: mem-YYYYMMDD-HHMMSS, -N added when saved in the same second
+const MEMORY_NAME_PATTERN = /^mem-\d{8}-\d{6}(-\d+)?$/;
+
+// Memory status -> subdirectory under memories/
+const STATUSES = ['active', 'archive'];
+
+// Memory types, each with its own summary template (see templates.js)
+const MEMORY_TYPES = ['general', 'decision', 'bug', 'how-to', 'meeting', 'research'];
+
+// Type of memories saved without --type, and of those written before types existed
+const DEFAULT_TYPE = 'general';
+
+/**
+ * Error thrown by MemoryStore operations
+ */
+class MemoryStoreError extends Error {
+  /**
+   * @param {string} code - Stable error code (e.g. MEMORY_NOT_FOUND)
+   * @param {string} message - Human readable message
+   * @param {Object} [details] - Extra context (memory id, paths...)
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'MemoryStoreError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Pad number to two digits
+ */
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * Format date time as YYYY-MM-DD HH:MM
+ * @param {Date} date
+ * @param {boolean} withSeconds - Append :SS
+ */
+function formatDateTime(date = new Date(), withSeconds = false) {
+  const base = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  return withSeconds ? `${base}:${pad(date.getSeconds())}` : base;
+}
+
+/**
+ * Format date as YYYY-MM-DD (local time)
+ */
+function formatDate(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Parse date time string
+ * Accepts ISO 8601 and the "YYYY-MM-DD HH:MM[:SS]" format written by templates (local time)
+ * @returns {Date|null}
+ */
+function parseDateTime(value) {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value;
+  }
+
+  const local = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (local) {
+    const [, y, mo, d, h = 0, mi = 0, sec = 0] = local;
+    return new Date(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(sec));
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Generate memory name
+ * Format: mem-YYYYMMDD-HHMMSS
+ */
+function generateMemoryName(date = new Date()) {
+  return `${MEMORY_PREFIX}${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/**
+ * Check memory name against standard format
+ */
+function isStandardMemoryName(name) {
+  return MEMORY_NAME_PATTERN.test(name);
+}
+
+/**
+ * Split keyword string into list (supports , ， 、 ; and ；)
+ */
+function splitKeywords(keywords) {
+  if (!keywords) {
+    return [];
+  }
+  return keywords.split(/[,，、;；]/).map(k => k.trim()).filter(Boolean);
+}
+
+/**
+ * Extract metadata from a regex-era summary.md (no frontmatter)
+ * Tries the heading patterns of every locale pack
+ * @returns {{title: string, keywords: string[], time: string, language: string}}
+ */
+function parseLegacySummary(content) {
+  const match = key => {
+    for (const locale of allLocales()) {
+      const m = content.match(locale.headings[key]);
+      if (m) {
+        return { value: m[1].trim(), language: locale.code };
+      }
+    }
+    return null;
+  };
+  const title = match('title');
+  const keywords = match('keywords');
+  const time = match('time');
+
+  return {
+    title: title ? title.value : '',
+    keywords: keywords ? splitKeywords(keywords.value) : [],
+    time: time ? time.value : '',
+    language: (title || keywords || time || { language: DEFAULT_LOCALE }).language
+  };
+}
+
+/**
+ * Extract metadata from summary.md content
+ *
+ * Reads the frontmatter block; summaries written before frontmatter existed
+ * fall back to heading regexes and are reported with format 'legacy' until
+ * migrated.
+ *
+ * @returns {{meta: Object, format: 'frontmatter'|'legacy', topic: string, keywords: string[], created: Date|null, time: string}}
+ */
+function parseSummary(content) {
+  const { data } = parseFrontmatter(content);
+  let meta;
+  let format;
+
+  if (data) {
+    meta = {
+      ...data,
+      keywords: Array.isArray(data.keywords)
+        ? data.keywords.map(k => String(k).trim()).filter(Boolean)
+        : splitKeywords(data.keywords ? String(data.keywords) : '')
+    };
+    format = 'frontmatter';
+  } else {
+    const legacy = parseLegacySummary(content);
+    meta = {
+      title: legacy.title,
+      keywords: legacy.keywords,
+      created: legacy.time,
+      language: legacy.language
+    };
+    format = 'legacy';
+  }
+
+  const created = parseDateTime(meta.created);
+
+  return {
+    meta,
+    format,
+    type: meta.type ? String(meta.type) : DEFAULT_TYPE,
+    topic: meta.title ? String(meta.title) : '',
+    keywords: meta.keywords,
+    created,
+    time: created ? formatDate(created) : ''
+  };
+}
+
+/**
+ * Build frontmatter for a new memory
+ */
+function createMetadata(id, now, fields = {}) {
+  return {
+    version: FRONTMATTER_VERSION,
+    id,
+    type: fields.type || DEFAULT_TYPE,
+    title: fields.title || '',
+    keywords: fields.keywords || [],
+    created: now.toISOString(),
+    updated: now.toISOString(),
+    language: fields.language || DEFAULT_LOCALE,
+    status: 'active',
+    source: fields.source || 'manual'
+  };
+}
+
+// Frontmatter fields always set by the script, whatever the template says
+const SCRIPT_FIELDS = ['version', 'id', 'type', 'created', 'updated', 'language', 'status', 'source'];
+
+/**
+ * Check frontmatter value is empty (unset template variable)
+ */
+function isEmptyValue(value) {
+  return value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Generate summary.md template content
+ * The template's own frontmatter may set title, keywords and extra fields
+ * (author, branch...); empty values are dropped
+ * @param {string} id - Memory id
+ * @param {Object} locale - Locale pack
+ * @param {Date} now - Creation time
+ * @param {Object} [sources] - Template lookup options (see templates.js loadTemplate)
+ * @param {string} [type] - Memory type, selects the type's template
+ */
+function generateSummaryTemplate(id, locale, now = new Date(), sources = {}, type = DEFAULT_TYPE) {
+  const template = loadTemplate(type === DEFAULT_TYPE ? 'summary' : type, { ...sources, locale });
+  const text = renderTemplate(template.content, templateVariables({ id, type, now, locale, workDir: sources.workDir }));
+  const { data, body } = parseFrontmatter(text);
+
+  const meta = createMetadata(id, now, {
+    type,
+    title: locale.templates.titlePlaceholder,
+    keywords: locale.templates.keywordPlaceholders,
+    language: locale.code
+  });
+  for (const [key, value] of Object.entries(data || {})) {
+    if (!SCRIPT_FIELDS.includes(key) && !isEmptyValue(value)) {
+      meta[key] = value;
+    }
+  }
+
+  return stringifyFrontmatter(meta, body);
+}
+
+/**
+ * Section headings of a memory type's summary template
+ * Structured input is laid out by them (see memory_input.js renderSummaryBody)
+ * @param {Object} locale - Locale pack
+ * @param {Object} [sources] - Template lookup options (see templates.js loadTemplate)
+ * @param {string} [type] - Memory type
+ */
+function summaryTemplateHeadings(locale, sources = {}, type = DEFAULT_TYPE) {
+  const template = loadTemplate(type === DEFAULT_TYPE ? 'summary' : type, { ...sources, locale });
+  return [...parseFrontmatter(template.content).body.matchAll(/^## (.+)$/gm)].map(match => match[1].trim());
+}
+
+/**
+ * Generate conversation.md template content
+ */
+function generateConversationTemplate(id, locale, now = new Date(), sources = {}) {
+  const template = loadTemplate('conversation', { ...sources, locale });
+  return renderTemplate(template.content, templateVariables({ id, now, locale, workDir: sources.workDir }));
+}
+
+/**
+ * Template placeholders to filter out of keyword lists (all locales)
+ */
+const KEYWORD_PLACEHOLDERS = allLocales().flatMap(locale => locale.templates.keywordPlaceholders);
+
+/**
+ * Keyword form used to find duplicates: full-width folded, lowercase, single spaces
+ * ("Ｒｅｄｉｓ", "redis" and "REDIS" are the same keyword)
+ */
+function keywordKey(keyword) {
+  return normalize(keyword).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Collect all keywords of given memories, deduplicated, placeholders removed
+ * The first spelling of a keyword is kept; keywords with synonyms are listed
+ * once, under the preferred form of their group
+ * @param {Object[]} memories
+ * @param {Object} [synonyms] - synonyms.js createSynonyms() result
+ */
+function collectAllKeywords(memories, synonyms = null) {
+  const placeholders = new Set(KEYWORD_PLACEHOLDERS.map(keywordKey));
+  const keywords = new Map();
+
+  for (const mem of memories) {
+    for (const k of mem.keywords) {
+      const preferred = synonyms && synonyms.preferred(k);
+      const key = keywordKey(preferred || k);
+      if (key && !placeholders.has(keywordKey(k)) && !keywords.has(key)) {
+        keywords.set(key, preferred || k);
+      }
+    }
+  }
+
+  return Array.from(keywords.values());
+}
+
+/**
+ * Count memories per type, in MEMORY_TYPES order
+ * @returns {Object<string, number>}
+ */
+function countTypes(memories) {
+  const counts = {};
+  for (const type of [...MEMORY_TYPES, ...memories.map(m => m.type)]) {
+    const count = memories.filter(m => m.type === type).length;
+    if (count > 0) {
+      counts[type] = count;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Generate index table Markdown
+ * Template placeholders ({Topic Title}, {keyword1}) are left out, as in the search index
+ */
+function generateIndexTable(memories, locale, keywordLength = 30) {
+  const placeholders = new Set(KEYWORD_PLACEHOLDERS.map(keywordKey));
+  const { columns, empty } = locale.index;
+  let table = `| ${columns.join(' | ')} |
+|${columns.map(c => '-'.repeat(c.length + 2)).join('|')}|
+`;
+
+  if (memories.length === 0) {
+    return table + `| ${empty} |${' - |'.repeat(columns.length - 1)}`;
+  }
+
+  for (const mem of memories) {
+    // Truncate long keywords
+    const joined = mem.keywords.filter(k => !placeholders.has(keywordKey(k))).join(', ');
+    const keywords = joined.length > keywordLength
+      ? joined.substring(0, keywordLength) + '...'
+      : joined;
+    const title = mem.topic && !isPlaceholder(mem.topic) ? mem.topic : locale.messages.unknownTopic;
+    const topic = `${mem.pinned ? '📌 ' : ''}${title}`;
+    table += `| ${mem.id} | ${mem.type} | ${topic} | ${keywords} | ${mem.time} |\n`;
+  }
+
+  return table.trim();
+}
+
+/**
+ * Generate per-type memory list Markdown
+ */
+function generateTypeList(memories, locale) {
+  const counts = countTypes(memories);
+  if (Object.keys(counts).length === 0) {
+    return locale.index.empty;
+  }
+  return Object.entries(counts).map(([type, count]) => {
+    const ids = memories.filter(m => m.type === type).map(m => m.id);
+    return `- **${type}** (${count}): ${ids.join(', ')}`;
+  }).join('\n');
+}
+
+/**
+ * Generate the open TODO summary Markdown: total, then the memories holding them
+ * @param {Object[]} todos - Open TODO items (collectSections())
+ */
+function generateTodoList(todos, locale) {
+  if (todos.length === 0) {
+    return locale.index.noTodos;
+  }
+  const counts = new Map();
+  for (const todo of todos) {
+    const entry = counts.get(todo.id) || { status: todo.status, count: 0 };
+    entry.count++;
+    counts.set(todo.id, entry);
+  }
+  const lines = [...counts].map(([id, { status, count }]) => `- **${id}** (${status}): ${count}`);
+  return [format(locale.index.todos, { count: todos.length, memories: counts.size }), '', ...lines].join('\n');
+}
+
+/**
+ * Generate memories/index.md content
+ * @param {Object} [options]
+ * @param {Object[]} [options.openTodos] - Open TODOs of active and archived memories, no section when omitted
+ * @param {number} [options.keywordLength] - Keywords column is cut after this many characters
+ */
+function generateIndexContent(memories, locale, allKeywords = collectAllKeywords(memories), { openTodos = null, keywordLength } = {}) {
+  const text = locale.index;
+  const todoSection = openTodos ? `## ${text.todosHeading}
+
+${generateTodoList(openTodos, locale)}
+
+` : '';
+  const keywordsStr = allKeywords.length > 0
+    ? allKeywords.join(', ')
+    : text.noKeywords;
+
+  return `# ${text.title}
+
+> ${text.intro}
+
+## ${text.tableHeading}
+
+<!-- INDEX_START -->
+${generateIndexTable(memories, locale, keywordLength)}
+<!-- INDEX_END -->
+
+## ${text.typesHeading}
+
+${generateTypeList(memories, locale)}
+
+${todoSection}## ${text.keywordsHeading}
+
+<!-- KEYWORDS_START -->
+${keywordsStr}
+<!-- KEYWORDS_END -->
+
+## ${text.usageHeading}
+
+${text.usage.map((line, i) => `${i + 1}. ${line}`).join('\n')}
+`;
+}
+
+/**
+ * Memory store
+ *
+ * Owns the memories/ directory layout (index.md, active/, archive/, cold/)
+ * and the keyword line in SKILL.md.
+ */
+class MemoryStore {
+  /**
+   * @param {Object} [options] - Defaults come from paths.js getConfig()
+   * @param {string} [options.memoriesDir] - memories/ directory
+   * @param {string} [options.indexFile] - index.md path
+   * @param {string|null} [options.skillFile] - SKILL.md path, null to skip keyword update
+   * @param {number} [options.maxActiveMemories]
+   * @param {number} [options.archiveAfterDays]
+   * @param {Object} [options.archive] - Eviction strategy and weights (eviction.js EVICTION_DEFAULTS)
+   * @param {number} [options.coldStorageAfterDays] - Days in archive/ before pack() moves a memory to cold storage
+   * @param {string} [options.locale] - Language of index.md and new memories (en, zh)
+   * @param {string} [options.templatesDir] - Project template overrides
+   * @param {string} [options.referencesDir] - Bundled reference templates
+   * @param {string} [options.referencesLocale] - Language of the bundled references
+   * @param {string} [options.workDir] - Project directory (git author/branch variables)
+   * @param {string} [options.configFile] - Settings (config.js), next to memories/ by default
+   * @param {string} [options.searchIndexFile] - Search index, next to memories/ by default
+   * @param {string} [options.dictionaryFile] - User dictionary for the tokenizer, next to memories/ by default
+   * @param {string} [options.synonymsFile] - Synonym groups for search, recall and keywords, next to memories/ by default
+   * @param {string} [options.translationsFile] - English / Chinese terms added to the built-in ones, next to memories/ by default
+   * @param {number} [options.skillKeywords] - Most keywords in the SKILL.md description
+   * @param {number} [options.indexKeywordLength] - Keywords column of index.md is cut after this many characters
+   * @param {Object} [options.search] - Search defaults (search.js SEARCH_DEFAULTS), options given to search() win
+   * @param {Object} [options.embedding] - Embedding provider settings (embeddings.js EMBEDDING_DEFAULTS)
+   */
+  constructor(options = {}) {
+    const defaults = options.memoriesDir ? {} : require('./paths').getConfig();
+    const memoriesDir = options.memoriesDir || defaults.memoriesDir;
+
+    this.memoriesDir = memoriesDir;
+    this.indexFile = options.indexFile || defaults.indexFile || path.join(memoriesDir, 'index.md');
+    this.skillFile = options.skillFile !== undefined ? options.skillFile : (defaults.skillFile || null);
+    this.maxActiveMemories = [options.maxActiveMemories, defaults.maxActiveMemories, 20].find(n => n !== undefined);
+    this.archiveAfterDays = [options.archiveAfterDays, defaults.archiveAfterDays, 14].find(n => n !== undefined);
+    this.eviction = options.archive || defaults.archive || {};
+    this.coldStorageAfterDays = [options.coldStorageAfterDays, defaults.coldStorageAfterDays, 90].find(n => n !== undefined);
+    this.coldDir = path.join(memoriesDir, 'cold');
+    this.skillKeywords = [options.skillKeywords, defaults.skillKeywords, 15].find(n => n !== undefined);
+    this.indexKeywordLength = [options.indexKeywordLength, defaults.indexKeywordLength, 30].find(n => n !== undefined);
+    this.locale = getLocale(options.locale || defaults.locale).code;
+    this.templatesDir = options.templatesDir || defaults.templatesDir || path.join(path.dirname(memoriesDir), 'templates');
+    this.referencesDir = options.referencesDir || defaults.referencesDir || null;
+    this.referencesLocale = options.referencesLocale || defaults.referencesLocale || null;
+    this.workDir = options.workDir || defaults.workDir || null;
+    this.configFile = options.configFile || defaults.configFile || path.join(path.dirname(memoriesDir), 'config.json');
+    this.searchIndexFile = options.searchIndexFile || path.join(path.dirname(memoriesDir), 'search-index.json');
+    this.dictionaryFile = options.dictionaryFile || path.join(path.dirname(memoriesDir), 'dictionary.txt');
+    this.synonymsFile = options.synonymsFile || path.join(path.dirname(memoriesDir), 'synonyms.txt');
+    this.translationsFile = options.translationsFile || path.join(path.dirname(memoriesDir), 'translations.txt');
+    this.searchDefaults = options.search || defaults.search || {};
+    this.embedding = options.embedding || defaults.embedding || {};
+  }
+
+  /**
+   * Tokenizer for search and recall, with the words of dictionaryFile
+   * (see tokenizer.js); read once per store
+   */
+  get tokenizer() {
+    if (!this._tokenizer) {
+      this._tokenizer = createTokenizer(loadDictionary(this.dictionaryFile));
+    }
+    return this._tokenizer;
+  }
+
+  /**
+   * Synonym groups of synonymsFile (see synonyms.js); read once per store
+   */
+  get synonyms() {
+    if (!this._synonyms) {
+      this._synonyms = createSynonyms(loadSynonyms(this.synonymsFile), this.tokenizer);
+    }
+    return this._synonyms;
+  }
+
+  /**
+   * English / Chinese term groups: built-in plus translationsFile (see translations.js)
+   */
+  get translations() {
+    if (!this._translations) {
+      this._translations = createSynonyms(loadTranslations(this.translationsFile), this.tokenizer, { crossLanguage: true });
+    }
+    return this._translations;
+  }
+
+  /**
+   * Embedding provider for semantic search (see embeddings.js)
+   * @throws {EmbeddingError} UNKNOWN_PROVIDER, EMBEDDING_FAILED
+   */
+  get embeddingProvider() {
+    if (!this._embeddingProvider) {
+      this._embeddingProvider = createProvider(this.embedding, this.tokenizer);
+    }
+    return this._embeddingProvider;
+  }
+
+  /**
+   * Embed the memories whose summary changed since their vector was computed
+   * @returns {{vectors: Map<string, number[]>, updated: number}}
+   * @throws {EmbeddingError}
+   */
+  updateEmbeddings() {
+    return syncEmbeddings(this, this.embeddingProvider);
+  }
+
+  /**
+   * Template lookup options
+   */
+  templateSources() {
+    return {
+      templatesDir: this.templatesDir,
+      referencesDir: this.referencesDir,
+      referencesLocale: this.referencesLocale,
+      workDir: this.workDir
+    };
+  }
+
+  /**
+   * Templates used for new memories
+   * @param {Object} [options]
+   * @param {string} [options.locale] - Template language, defaults to the store locale
+   * @returns {Array<{name: string, source: string, path: string|null, content: string}>}
+   */
+  templates({ locale } = {}) {
+    const pack = getLocale(locale || this.locale);
+    return templateNames().map(name => loadTemplate(name, { ...this.templateSources(), locale: pack }));
+  }
+
+  /**
+   * Copy the templates in use to templatesDir so the project can edit them
+   * Existing overrides are left untouched
+   * @param {Object} [options]
+   * @param {string} [options.locale] - Template language, defaults to the store locale
+   * @returns {string[]} Created files
+   */
+  initTemplates({ locale } = {}) {
+    const created = [];
+    for (const template of this.templates({ locale })) {
+      if (template.source === 'override') {
+        continue;
+      }
+      const file = path.join(this.templatesDir, `${template.name}.md`);
+      fs.mkdirSync(this.templatesDir, { recursive: true });
+      fs.writeFileSync(file, template.content, 'utf8');
+      created.push(file);
+    }
+    return created;
+  }
+
+  /**
+   * Directory of given status
+   * @param {'active'|'archive'} status
+   */
+  dir(status) {
+    return path.join(this.memoriesDir, status);
+  }
+
+  /**
+   * Ensure memories/active/ and memories/archive/ exist
+   */
+  ensureDirs() {
+    for (const status of STATUSES) {
+      fs.mkdirSync(this.dir(status), { recursive: true });
+    }
+  }
+
+  /**
+   * Locate memory directory
+   * Memories in cold storage are archived; their path is inside their bundle (coldPath()).
+   * @returns {{status: string, path: string, bundle?: string}|null}
+   */
+  locate(id) {
+    for (const status of STATUSES) {
+      const memoryPath = path.join(this.dir(status), id);
+      if (fs.existsSync(memoryPath)) {
+        return { status, path: memoryPath };
+      }
+    }
+    const manifest = this.coldManifest();
+    const bundle = findBundle(manifest, id);
+    return bundle ? { status: 'archive', path: this.coldPath(id, bundle), bundle } : null;
+  }
+
+  /**
+   * Cold storage manifest (cold_storage.js), read again only when the file changed
+   */
+  coldManifest() {
+    const file = path.join(this.coldDir, MANIFEST_FILE);
+    const stat = fs.existsSync(file) ? fs.statSync(file) : null;
+    const key = stat ? `${stat.mtimeMs}:${stat.size}` : null;
+    if (!this._coldManifest || this._coldManifest.key !== key) {
+      this._coldManifest = { key, manifest: readManifest(this.coldDir) };
+    }
+    return this._coldManifest.manifest;
+  }
+
+  /**
+   * Write the cold storage manifest
+   */
+  writeColdManifest(manifest) {
+    writeManifest(this.coldDir, manifest);
+    const stat = fs.statSync(path.join(this.coldDir, MANIFEST_FILE));
+    this._coldManifest = { key: `${stat.mtimeMs}:${stat.size}`, manifest };
+  }
+
+  /**
+   * Manifest record of a memory in cold storage, null when it is not in the bundle
+   */
+  coldRecord(id, bundle) {
+    const data = this.coldManifest().bundles[bundle];
+    return data && data.memories[id] ? data.memories[id] : null;
+  }
+
+  /**
+   * Merge fields into the manifest record of a memory in cold storage
+   */
+  updateColdRecord(id, bundle, patch) {
+    const manifest = this.coldManifest();
+    Object.assign(manifest.bundles[bundle].memories[id], patch);
+    this.writeColdManifest(manifest);
+  }
+
+  /**
+   * Entries of a cold storage bundle, read again only when the file changed
+   */
+  coldEntries(bundle) {
+    const file = path.join(this.coldDir, bundle);
+    const stat = fs.statSync(file);
+    const key = `${stat.mtimeMs}:${stat.size}`;
+    this._coldEntries = this._coldEntries || new Map();
+    const cached = this._coldEntries.get(bundle);
+    if (cached && cached.key === key) {
+      return cached.entries;
+    }
+    const entries = readBundle(file);
+    this._coldEntries.set(bundle, { key, entries });
+    return entries;
+  }
+
+  /**
+   * Path of a memory in cold storage: memories/cold/<bundle>/<id>, inside its
+   * bundle (its files are read with readFile())
+   */
+  coldPath(id, bundle) {
+    return path.join(this.coldDir, bundle, id);
+  }
+
+  /**
+   * Whether a memory path is in cold storage (read-only)
+   */
+  isCold(memoryPath) {
+    return memoryPath.startsWith(this.coldDir + path.sep);
+  }
+
+  /**
+   * Refuse to write to a memory in cold storage
+   * @throws {MemoryStoreError} MEMORY_COLD
+   */
+  checkWritable(id, memoryPath) {
+    if (this.isCold(memoryPath)) {
+      throw new MemoryStoreError('MEMORY_COLD', `Memory ${id} is in cold storage, activate it first`, { id });
+    }
+  }
+
+  /**
+   * Content of a memory file, null when the memory has none
+   * Memories in cold storage are read from the manifest (summary.md) or from
+   * their bundle, in memory.
+   * @param {{id: string, path: string, bundle?: string}} memory - Memory record, location or scan() entry
+   * @param {string} name - File name, e.g. summary.md
+   * @returns {string|null}
+   */
+  readFile(memory, name) {
+    if (!memory.bundle) {
+      const file = path.join(memory.path, name);
+      return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+    }
+    if (name === 'summary.md') {
+      return this.coldRecord(memory.id, memory.bundle).summary;
+    }
+    const entry = this.coldEntries(memory.bundle).find(item => item.name === `${memory.id}/${name}`);
+    return entry && entry.data ? entry.data.toString('utf8') : null;
+  }
+
+  /**
+   * Modification time (ms) and size of a memory file, null when the memory has none
+   * Memories in cold storage give those of the file when it was packed.
+   * @param {{id: string, path: string, bundle?: string}} memory - Memory record, location or scan() entry
+   * @param {string} name - File name
+   * @returns {{mtime: number, size: number}|null}
+   */
+  statFile(memory, name) {
+    if (memory.bundle) {
+      return this.coldRecord(memory.id, memory.bundle).files[name] || null;
+    }
+    const file = path.join(memory.path, name);
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+    const stat = fs.statSync(file);
+    return { mtime: stat.mtimeMs, size: stat.size };
+  }
+
+  /**
+   * Read memory record from its directory, or from the cold storage manifest
+   * @param {string} id
+   * @param {string} status
+   * @param {string} memoryPath
+   * @param {string} [bundle] - Cold storage bundle holding it (locate(), scan())
+   */
+  readMemory(id, status, memoryPath, bundle = null) {
+    const record = bundle ? this.coldRecord(id, bundle) : null;
+    const mtime = record ? new Date(record.mtime) : fs.statSync(memoryPath).mtime;
+    const summary = this.readFile({ id, path: memoryPath, bundle }, 'summary.md');
+    const info = summary !== null
+      ? parseSummary(summary)
+      : { meta: {}, format: null, type: DEFAULT_TYPE, topic: '', keywords: [], created: null, time: '' };
+
+    const access = record ? parseAccess(record.access) : readAccess(memoryPath);
+    // Last use: last access, or creation for memories not accessed since (access.js)
+    const lastUsed = access.accessed || info.created || mtime;
+    // Memories archived before the archived field existed count from their last use
+    const archived = status === 'archive' ? parseDateTime(info.meta.archived) || lastUsed : null;
+
+    return {
+      id,
+      status,
+      path: memoryPath,
+      mtime,
+      daysSinceModified: (Date.now() - mtime.getTime()) / (1000 * 60 * 60 * 24),
+      accessed: access.accessed,
+      accessCount: access.count,
+      lastUsed,
+      daysSinceUsed: (Date.now() - lastUsed.getTime()) / (1000 * 60 * 60 * 24),
+      hasSummary: summary !== null,
+      ...info,
+      // Pinned memories are never archived by the rules (pin())
+      pinned: info.meta.pinned === true,
+      // 0-5, weighs against archiving with the weighted strategy (setImportance())
+      importance: Number.isInteger(info.meta.importance)
+        ? Math.min(Math.max(info.meta.importance, 0), MAX_IMPORTANCE)
+        : 0,
+      archived,
+      daysArchived: archived ? (Date.now() - archived.getTime()) / (1000 * 60 * 60 * 24) : null,
+      // In a compressed bundle of memories/cold/, read with readFile()
+      cold: Boolean(bundle),
+      bundle
+    };
+  }
+
+  /**
+   * Create new memory with summary.md and conversation.md
+   * @param {string} [id] - Memory name, generated when omitted
+   * @param {Object} [content]
+   * @param {string} [content.summary] - summary.md content, template when omitted.
+   *   Frontmatter is added (from the legacy headings) when the content has none.
+   * @param {string} [content.conversation] - conversation.md content, template when omitted
+   * @param {Object} [content.transcript] - Parsed session transcript (transcript.js), rendered
+   *   as conversation.md when content.conversation is omitted
+   * @param {string} [content.locale] - Template language, defaults to the store locale
+   * @param {string} [content.type] - Memory type (MEMORY_TYPES), selects the summary template
+   * @returns {Object} Created memory record
+   */
+  create(id = this.newMemoryName(), content = {}) {
+    this.checkNew(id, content.type);
+
+    const now = new Date();
+    const locale = getLocale(content.locale || this.locale);
+    const sources = this.templateSources();
+    let summary = content.summary || generateSummaryTemplate(id, locale, now, sources, content.type);
+    if (!parseFrontmatter(summary).data) {
+      const legacy = parseLegacySummary(summary);
+      summary = stringifyFrontmatter(createMetadata(id, now, { ...legacy, type: content.type }), summary);
+    } else if (content.summary && content.type) {
+      summary = updateFrontmatter(summary, { type: content.type });
+    }
+
+    return this.writeMemory(id, {
+      'summary.md': summary,
+      'conversation.md': content.conversation || (content.transcript
+        ? renderConversation(content.transcript, locale, formatDateTime(now, true))
+        : generateConversationTemplate(id, locale, now, sources))
+    });
+  }
+
+  /**
+   * Create a complete memory from structured input (see memory_input.js)
+   * @param {Object} data - Input object, topic is required
+   * @param {Object} [options]
+   * @param {string} [options.id] - Memory name, data.id or generated when omitted
+   * @param {string} [options.locale] - Heading language, defaults to data.language then the store locale
+   * @param {Object} [options.transcript] - Parsed session transcript (transcript.js), replaces data.turns
+   * @param {string} [options.source] - Frontmatter source, defaults to 'json'
+   * @param {Object} [options.fields] - Extra frontmatter fields (session...), empty values are dropped
+   * @returns {Object} Created memory record
+   */
+  createFromInput(data, options = {}) {
+    let input;
+    try {
+      input = parseMemoryInput(data);
+    } catch (err) {
+      throw new MemoryStoreError('INVALID_INPUT', err.message, err.details);
+    }
+    if (options.transcript) {
+      input = { ...input, turns: options.transcript.turns, endTime: options.transcript.endTime };
+    }
+
+    const id = options.id || (typeof data.id === 'string' && data.id) || this.newMemoryName();
+    const type = input.type || DEFAULT_TYPE;
+    this.checkNew(id, type);
+
+    const now = new Date();
+    const locale = getLocale(options.locale || input.language || this.locale);
+    const meta = createMetadata(id, now, {
+      type,
+      title: input.topic,
+      keywords: input.keywords,
+      language: locale.code,
+      source: options.source || 'json'
+    });
+    const cwd = this.workDir || process.cwd();
+    const extra = { ...options.fields, author: getAuthor(cwd), branch: getBranch(cwd) };
+    for (const [key, value] of Object.entries(extra)) {
+      if (value) {
+        meta[key] = value;
+      }
+    }
+
+    const headings = summaryTemplateHeadings(locale, this.templateSources(), type);
+    return this.writeMemory(id, {
+      'summary.md': stringifyFrontmatter(meta, renderSummaryBody(input, locale, headings)),
+      'conversation.md': renderConversation(input, locale, formatDateTime(now, true))
+    });
+  }
+
+  /**
+   * Replace a memory's conversation.md with a session transcript
+   * @param {string} id - Memory id (active or archive)
+   * @param {string|Object} transcript - Transcript path, or parsed transcript (transcript.js)
+   * @param {Object} [options]
+   * @param {string} [options.locale] - Heading language, defaults to the memory's language
+   * @returns {Object} Updated memory record
+   */
+  importTranscript(id, transcript, options = {}) {
+    if (typeof transcript === 'string') {
+      transcript = readTranscript(transcript);
+    }
+    const location = this.locate(id);
+    if (!location) {
+      throw new MemoryStoreError('MEMORY_NOT_FOUND', `Memory ${id} not found`, { id });
+    }
+    this.checkWritable(id, location.path);
+
+    const memory = this.readMemory(id, location.status, location.path);
+    const locale = getLocale(options.locale || memory.meta.language || this.locale);
+    const file = path.join(location.path, 'conversation.md');
+    const tempFile = path.join(location.path, `.conversation.md.tmp-${process.pid}`);
+    try {
+      fs.writeFileSync(tempFile, renderConversation(transcript, locale, formatDateTime(new Date(), true)), 'utf8');
+      fs.renameSync(tempFile, file);
+    } catch (err) {
+      fs.rmSync(tempFile, { force: true });
+      throw err;
+    }
+    this.updateMetadata(id, {}, location.path);
+
+    return this.readMemory(id, location.status, location.path);
+  }
+
+  /**
+   * Name for a new memory: mem-YYYYMMDD-HHMMSS, with -2, -3... when that
+   * name is taken (several saves in the same second)
+   */
+  newMemoryName(date = new Date()) {
+    const base = generateMemoryName(date);
+    let id = base;
+    for (let n = 2; this.locate(id); n++) {
+      id = `${base}-${n}`;
+    }
+    return id;
+  }
+
+  /**
+   * Check a new memory can be created with this name and type
+   */
+  checkNew(id, type) {
+    if (!id || id.includes('/') || id.includes('\\') || id.startsWith('.')) {
+      throw new MemoryStoreError('INVALID_NAME', `Invalid memory name: ${id}`, { id });
+    }
+    if (this.locate(id)) {
+      throw new MemoryStoreError('MEMORY_EXISTS', `Memory ${id} already exists`, { id });
+    }
+    if (type && !MEMORY_TYPES.includes(type)) {
+      throw new MemoryStoreError('INVALID_TYPE', `Invalid memory type: ${type}`, { type });
+    }
+  }
+
+  /**
+   * Write memory files into active/<id>
+   * Files go to a hidden temporary directory that is renamed into place, so a
+   * failed save never leaves a half-written memory behind
+   * @param {string} id - Memory name
+   * @param {Object<string, string>} files - File name -> content
+   * @returns {Object} Created memory record
+   */
+  writeMemory(id, files) {
+    this.ensureDirs();
+    const memoryDir = path.join(this.dir('active'), id);
+    const tempDir = path.join(this.dir('active'), `.${id}.tmp-${process.pid}`);
+
+    try {
+      fs.mkdirSync(tempDir);
+      for (const [name, content] of Object.entries(files)) {
+        fs.writeFileSync(path.join(tempDir, name), content, 'utf8');
+      }
+      fs.renameSync(tempDir, memoryDir);
+    } catch (err) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      throw err;
+    }
+
+    return this.readMemory(id, 'active', memoryDir);
+  }
+
+  /**
+   * Get memory by id from active/ or archive/
+   * @returns {Object|null}
+   */
+  get(id) {
+    const location = this.locate(id);
+    return location ? this.readMemory(id, location.status, location.path, location.bundle) : null;
+  }
+
+  /**
+   * Memory directories, without reading them
+   * Archived memories include those in cold storage, from its manifest.
+   * @param {'active'|'archive'|'all'} [status='all']
+   * @param {Object} [options]
+   * @param {boolean} [options.cold=true] - Include memories in cold storage
+   * @returns {Array<{id: string, status: string, path: string, bundle?: string}>}
+   */
+  scan(status = 'all', { cold = true } = {}) {
+    const entries = [];
+    for (const s of status === 'all' ? STATUSES : [status]) {
+      const dir = this.dir(s);
+      if (!fs.existsSync(dir)) {
+        continue;
+      }
+      for (const name of fs.readdirSync(dir)) {
+        if (name.startsWith(MEMORY_PREFIX)) {
+          entries.push({ id: name, status: s, path: path.join(dir, name) });
+        }
+      }
+    }
+    if (cold && status !== 'active') {
+      const manifest = this.coldManifest();
+      const seen = new Set(entries.map(entry => entry.id));
+      for (const bundle of Object.keys(manifest.bundles)) {
+        Object.keys(manifest.bundles[bundle].memories)
+          .filter(id => !seen.has(id))
+          .forEach(id => entries.push({ id, status: 'archive', path: this.coldPath(id, bundle), bundle }));
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * List memories
+   * @param {Object} [options]
+   * @param {'active'|'archive'|'all'} [options.status='all']
+   * @param {'newest'|'oldest'} [options.order='newest'] - By directory mtime
+   * @param {string} [options.type] - Only memories of this type ('all' or omitted for every type)
+   */
+  list(options = {}) {
+    const { status = 'all', order = 'newest', type = 'all' } = options;
+    const memories = this.scan(status).map(entry => this.readMemory(entry.id, entry.status, entry.path, entry.bundle));
+
+    return memories
+      .filter(mem => type === 'all' || mem.type === type).sort((a, b) => order === 'oldest' ? a.mtime - b.mtime : b.mtime - a.mtime);
+  }
+
+  /**
+   * Search memories, ranked by relevance (see search.js)
+   * Matches id, title, keywords, summary and raw conversation content.
+   * The search index is brought up to date first, so edited files are found.
+   * @param {string|Object} query - Words, phrases and field filters (query.js), or a parseQuery() result
+   * @param {Object} [options] - status and type as in list(), plus limit, snippets, fuzzy and
+   *   mode (lexical, semantic, hybrid), see search.js; unset ones come from the search setting
+   * @param {boolean} [options.track=true] - Record an access of each result (see recordAccess())
+   * @returns {Object[]} Memory records with score, matched, layers and snippets, best first
+   */
+  search(query, options = {}) {
+    const { track = true, ...given } = options;
+    // Options left undefined keep the configured default
+    const searchOptions = { ...this.searchDefaults };
+    for (const [key, value] of Object.entries(given)) {
+      if (value !== undefined) {
+        searchOptions[key] = value;
+      }
+    }
+    const results = searchMemories(this, this.updateSearchIndex().index, query, searchOptions);
+    if (track) {
+      this.recordAccess(results);
+    }
+    return results;
+  }
+
+  /**
+   * Record that memories were used (recalled, found, shown or activated)
+   * Archiving goes by the last use instead of the directory mtime, see access.js.
+   * Uses of memories in cold storage are recorded in their manifest record.
+   * @param {Object[]} memories - Memory records (or anything with their path)
+   * @param {Date} [now]
+   */
+  recordAccess(memories, now = new Date()) {
+    for (const memory of memories) {
+      let record;
+      if (this.isCold(memory.path)) {
+        const [bundle, id] = path.relative(this.coldDir, memory.path).split(path.sep);
+        record = { accessed: now, count: parseAccess(this.coldRecord(id, bundle).access).count + 1 };
+        this.updateColdRecord(id, bundle, { access: accessData(record) });
+      } else {
+        record = recordAccess(memory.path, now);
+      }
+      memory.accessed = record.accessed;
+      memory.accessCount = record.count;
+    }
+  }
+
+  /**
+   * Decisions, conclusions, TODOs or related files of every summary (see sections.js)
+   * @param {string} kind - 'decisions', 'conclusions', 'todos' or 'files'
+   * @param {Object} [options] - status, type, keyword, since and until
+   * @returns {Object[]} Items with their memory's id and date, newest memory first
+   */
+  sections(kind, options = {}) {
+    return collectSections(this, kind, options);
+  }
+
+  /**
+   * Update the search index with the memories added, changed or removed since
+   * the last update (see search_index.js); it is only written when something changed
+   * @param {Object} [options]
+   * @param {boolean} [options.rebuild] - Index every memory again
+   * @returns {{index: SearchIndex, added: number, updated: number, removed: number, rebuilt: boolean}}
+   */
+  updateSearchIndex({ rebuild = false } = {}) {
+    const index = new SearchIndex(this.searchIndexFile, this.tokenizer);
+    if (rebuild) {
+      index.clear();
+    }
+    const changes = index.sync(this);
+    if (rebuild || changes.added + changes.updated + changes.removed > 0) {
+      index.save();
+    }
+    return { index, ...changes, rebuilt: rebuild };
+  }
+
+  /**
+   * Move memory between active/ and archive/
+   */
+  move(id, to) {
+    const location = this.locate(id);
+    if (!location) {
+      throw new MemoryStoreError('MEMORY_NOT_FOUND', `Memory ${id} not found`, { id });
+    }
+    if (location.status === to) {
+      return { memory: this.readMemory(id, to, location.path, location.bundle), moved: false, from: location.path };
+    }
+
+    this.ensureDirs();
+    const target = path.join(this.dir(to), id);
+    let from = location.path;
+    if (location.bundle) {
+      // Out of cold storage: write its files from the bundle, with the uses
+      // recorded since it was packed, then drop it from the bundle
+      const access = parseAccess(this.coldRecord(id, location.bundle).access);
+      unpackMemory(this.coldEntries(location.bundle), id, target);
+      if (access.accessed) {
+        writeAccess(target, access);
+      }
+      this.removeCold(id, location.bundle);
+      from = path.join(this.coldDir, location.bundle);
+    } else {
+      fs.renameSync(location.path, target);
+    }
+    this.updateMetadata(id, { status: to, archived: to === 'archive' ? new Date().toISOString() : undefined }, target);
+    return { memory: this.readMemory(id, to, target), moved: true, from };
+  }
+
+  /**
+   * Merge fields into a memory's summary.md frontmatter
+   * Legacy summaries are left untouched (run migrate first); `updated` is refreshed.
+   * @returns {boolean} false if the summary has no frontmatter
+   * @throws {MemoryStoreError} MEMORY_NOT_FOUND, MEMORY_COLD
+   */
+  updateMetadata(id, patch, memoryPath = null) {
+    const dir = memoryPath || (this.locate(id) || {}).path;
+    if (!dir) {
+      throw new MemoryStoreError('MEMORY_NOT_FOUND', `Memory ${id} not found`, { id });
+    }
+    this.checkWritable(id, dir);
+
+    const summaryPath = path.join(dir, 'summary.md');
+    if (!fs.existsSync(summaryPath)) {
+      return false;
+    }
+    const content = fs.readFileSync(summaryPath, 'utf8');
+    if (!parseFrontmatter(content).data) {
+      return false;
+    }
+
+    fs.writeFileSync(summaryPath,
+      updateFrontmatter(content, { ...patch, updated: new Date().toISOString() }), 'utf8');
+    return true;
+  }
+
+  /**
+   * Set the state of TODOs in a memory's summary.md, rewriting their checkbox in place
+   * @param {string} id - Memory name
+   * @param {number[]} lines - Lines of the TODOs (sections() item line)
+   * @param {'open'|'done'|'cancelled'} state
+   * @returns {{memory: Object, todos: Object[]}} The TODOs with their previous state
+   */
+  setTodoState(id, lines, state) {
+    const location = this.locate(id);
+    if (!location) {
+      throw new MemoryStoreError('MEMORY_NOT_FOUND', `Memory ${id} not found`, { id });
+    }
+    this.checkWritable(id, location.path);
+    const summaryPath = path.join(location.path, 'summary.md');
+    let content = fs.existsSync(summaryPath) ? fs.readFileSync(summaryPath, 'utf8') : '';
+    const todos = [];
+    for (const line of lines) {
+      const marked = markTodo(content, line, state);
+      if (!marked) {
+        throw new MemoryStoreError('TODO_NOT_FOUND', `No TODO on line ${line} of ${id}`, { id, line });
+      }
+      content = marked.content;
+      todos.push(marked.item);
+    }
+
+    fs.writeFileSync(summaryPath, content, 'utf8');
+    this.updateMetadata(id, {}, location.path);
+    return { memory: this.readMemory(id, location.status, location.path), todos };
+  }
+
+  /**
+   * Convert regex-era summaries (no frontmatter) in active/ and archive/
+   *
+   * The original body is kept verbatim below the new frontmatter block; title,
+   * keywords, time and language come from the legacy headings, falling back
+   * to the directory mtime when no time is recorded.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Report without writing
+   * @returns {Object[]} One entry per memory: {id, status, action: 'migrated'|'skipped', reason?, meta?}
+   */
+  migrate(options = {}) {
+    const { dryRun = false } = options;
+    const now = new Date().toISOString();
+
+    // Memories in cold storage are read-only, they are migrated once activated
+    return this.list().filter(mem => !mem.cold).map(mem => {
+      const summaryPath = path.join(mem.path, 'summary.md');
+      if (!mem.hasSummary) {
+        return { id: mem.id, status: mem.status, action: 'skipped', reason: 'no-summary' };
+      }
+      if (mem.format === 'frontmatter') {
+        return { id: mem.id, status: mem.status, action: 'skipped', reason: 'up-to-date' };
+      }
+
+      const content = fs.readFileSync(summaryPath, 'utf8');
+      const legacy = parseLegacySummary(content);
+      const created = parseDateTime(legacy.time) || mem.mtime;
+      const meta = {
+        version: FRONTMATTER_VERSION,
+        id: mem.id,
+        title: legacy.title,
+        keywords: legacy.keywords,
+        created: created.toISOString(),
+        updated: now,
+        language: legacy.language,
+        status: mem.status,
+        source: 'migrated'
+      };
+
+      if (!dryRun) {
+        fs.writeFileSync(summaryPath, stringifyFrontmatter(meta, content), 'utf8');
+      }
+      return { id: mem.id, status: mem.status, action: 'migrated', meta };
+    });
+  }
+
+  /**
+   * Move memory from active/ to archive/
+   * @returns {{memory: Object, moved: boolean, from: string}} moved is false if already archived
+   * @throws {MemoryStoreError} MEMORY_PINNED for a pinned memory (unpin it first)
+   */
+  archive(id) {
+    const memory = this.get(id);
+    if (memory && memory.pinned && memory.status === 'active') {
+      throw new MemoryStoreError('MEMORY_PINNED', `Memory ${id} is pinned`, { id });
+    }
+    return this.move(id, 'archive');
+  }
+
+  /**
+   * Move memory from archive/ back to active/, recording an access
+   * @returns {{memory: Object, moved: boolean, from: string}} moved is false if already active
+   */
+  activate(id) {
+    const result = this.move(id, 'active');
+    this.recordAccess([result.memory]);
+    return result;
+  }
+
+  /**
+   * Pin or unpin a memory (pinned: true in its frontmatter)
+   *
+   * Pinned memories stay active: the archive rules and --force skip them and
+   * archive() refuses them. They come first in index.md and their keywords
+   * are always in the SKILL.md description.
+   *
+   * @returns {{memory: Object, changed: boolean}} changed is false if it already was
+   * @throws {MemoryStoreError} MEMORY_NOT_FOUND, NEEDS_MIGRATION for legacy summaries
+   */
+  setPinned(id, pinned) {
+    const memory = this.get(id);
+    if (!memory) {
+      throw new MemoryStoreError('MEMORY_NOT_FOUND', `Memory ${id} not found`, { id });
+    }
+    if (memory.pinned === pinned) {
+      return { memory, changed: false };
+    }
+    if (!this.updateMetadata(id, { pinned: pinned || undefined }, memory.path)) {
+      throw new MemoryStoreError('NEEDS_MIGRATION', `Memory ${id} has no frontmatter, run migrate first`, { id });
+    }
+    return { memory: this.readMemory(id, memory.status, memory.path), changed: true };
+  }
+
+  /**
+   * Pin a memory, see setPinned()
+   */
+  pin(id) {
+    return this.setPinned(id, true);
+  }
+
+  /**
+   * Unpin a memory, see setPinned()
+   */
+  unpin(id) {
+    return this.setPinned(id, false);
+  }
+
+  /**
+   * Set a memory's importance (importance in its frontmatter, 0 removes it)
+   * The weighted eviction strategy keeps important memories active longer.
+   * @param {string} id - Memory name
+   * @param {number} importance - Whole number from 0 to MAX_IMPORTANCE
+   * @returns {Object} Updated memory record
+   * @throws {MemoryStoreError} MEMORY_NOT_FOUND, INVALID_INPUT, NEEDS_MIGRATION for legacy summaries
+   */
+  setImportance(id, importance) {
+    if (!Number.isInteger(importance) || importance < 0 || importance > MAX_IMPORTANCE) {
+      const reason = `must be a whole number from 0 to ${MAX_IMPORTANCE}`;
+      throw new MemoryStoreError('INVALID_INPUT', `Invalid input: importance ${reason}`, { field: 'importance', reason });
+    }
+    const memory = this.get(id);
+    if (!memory) {
+      throw new MemoryStoreError('MEMORY_NOT_FOUND', `Memory ${id} not found`, { id });
+    }
+    if (!this.updateMetadata(id, { importance: importance || undefined }, memory.path)) {
+      throw new MemoryStoreError('NEEDS_MIGRATION', `Memory ${id} has no frontmatter, run migrate first`, { id });
+    }
+    return this.readMemory(id, memory.status, memory.path);
+  }
+
+  /**
+   * Delete memory directory permanently
+   * @returns {Object} Deleted memory record
+   */
+  delete(id) {
+    const location = this.locate(id);
+    if (!location) {
+      throw new MemoryStoreError('MEMORY_NOT_FOUND', `Memory ${id} not found`, { id });
+    }
+    const memory = this.readMemory(id, location.status, location.path, location.bundle);
+    if (location.bundle) {
+      this.removeCold(id, location.bundle);
+    } else {
+      fs.rmSync(memory.path, { recursive: true, force: true });
+    }
+    return memory;
+  }
+
+  /**
+   * Archived memories due for cold storage: in archive/ for more than
+   * coldStorageAfterDays, longest archived first
+   */
+  getColdCandidates() {
+    return this.scan('archive', { cold: false })
+      .map(entry => this.readMemory(entry.id, entry.status, entry.path))
+      .filter(mem => mem.daysArchived > this.coldStorageAfterDays)
+      .sort((a, b) => a.archived - b.archived);
+  }
+
+  /**
+   * Pack the memories due for cold storage into one compressed bundle in
+   * memories/cold/ and remove their directories (cold_storage.js)
+   * They stay archived: list and search read them from the manifest, show reads
+   * their files from the bundle and activate unpacks them.
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Report without writing
+   * @returns {{memories: Object[], bundle: string|null, size: number, packedSize: number|null}}
+   *   memories with their size in bytes; size is their total, packedSize the bundle's
+   */
+  pack({ dryRun = false } = {}) {
+    const memories = this.getColdCandidates().map(mem => {
+      const entries = collectFiles(mem.path, mem.id);
+      return { ...mem, entries, size: entriesSize(entries) };
+    });
+    const size = memories.reduce((sum, mem) => sum + mem.size, 0);
+    const result = { memories: memories.map(({ entries, ...mem }) => mem), bundle: null, size, packedSize: null };
+    if (dryRun || memories.length === 0) {
+      return result;
+    }
+
+    const manifest = this.coldManifest();
+    const name = `cold-${generateMemoryName().slice(MEMORY_PREFIX.length)}`;
+    let bundle = `${name}${BUNDLE_EXTENSION}`;
+    for (let n = 2; manifest.bundles[bundle] || fs.existsSync(path.join(this.coldDir, bundle)); n++) {
+      bundle = `${name}-${n}${BUNDLE_EXTENSION}`;
+    }
+    result.packedSize = writeBundle(path.join(this.coldDir, bundle), memories.flatMap(mem => mem.entries));
+    manifest.bundles[bundle] = {
+      created: new Date().toISOString(),
+      memories: Object.fromEntries(memories.map(mem => [mem.id, describeMemory(mem.entries, mem.id)]))
+    };
+    this.writeColdManifest(manifest);
+    for (const mem of memories) {
+      fs.rmSync(mem.path, { recursive: true, force: true });
+    }
+    result.bundle = bundle;
+    return result;
+  }
+
+  /**
+   * Drop a memory from its cold storage bundle, and the bundle when it was the last one
+   */
+  removeCold(id, bundle) {
+    const manifest = this.coldManifest();
+    const file = path.join(this.coldDir, bundle);
+    delete manifest.bundles[bundle].memories[id];
+    if (Object.keys(manifest.bundles[bundle].memories).length === 0) {
+      delete manifest.bundles[bundle];
+      fs.rmSync(file, { force: true });
+    } else {
+      removeFromBundle(file, id);
+    }
+    this.writeColdManifest(manifest);
+  }
+
+  /**
+   * Cold storage totals from the manifest, without unpacking
+   * @returns {{bundles: number, memories: number, size: number, packedSize: number, saved: number}}
+   *   size is the bytes of the packed memories' files, packedSize the bytes of the bundles
+   */
+  coldStats() {
+    const bundles = Object.entries(this.coldManifest().bundles);
+    const stats = { bundles: bundles.length, memories: 0, size: 0, packedSize: 0 };
+    for (const [name, bundle] of bundles) {
+      const records = Object.values(bundle.memories);
+      stats.memories += records.length;
+      stats.size += records.reduce((sum, record) => sum + record.size, 0);
+      const file = path.join(this.coldDir, name);
+      stats.packedSize += fs.existsSync(file) ? fs.statSync(file).size : 0;
+    }
+    return { ...stats, saved: stats.size - stats.packedSize };
+  }
+
+  /**
+   * Unpinned active memories in the order the limit archives them, with
+   * their score under the eviction strategy (eviction.js)
+   * @returns {Object[]} Memory records with openTodos, score and scoreParts
+   * @throws {MemoryStoreError} UNKNOWN_STRATEGY
+   */
+  rankForEviction() {
+    const openTodos = new Map();
+    for (const todo of this.sections('todos', { status: 'active' }).filter(item => item.state === 'open')) {
+      openTodos.set(todo.id, (openTodos.get(todo.id) || 0) + 1);
+    }
+    const memories = this.list({ status: 'active' })
+      .filter(mem => !mem.pinned)
+      .map(mem => ({ ...mem, openTodos: openTodos.get(mem.id) || 0 }));
+    const ranked = rankForEviction(memories, this.eviction);
+    if (!ranked) {
+      throw new MemoryStoreError('UNKNOWN_STRATEGY', `Unknown archive strategy: ${this.eviction.strategy}`,
+        { strategy: this.eviction.strategy, supported: supportedStrategies().join(', ') });
+    }
+    return ranked;
+  }
+
+  /**
+   * Determine memories that should be archived
+   *
+   * Rules:
+   *   1. Not used for more than archiveAfterDays
+   *   2. If active count exceeds maxActiveMemories, the lowest ranked by the
+   *      eviction strategy (least recently used by default, see rankForEviction())
+   *
+   * A memory is used when recalled, found by search, shown or activated
+   * (lastUsed, see access.js). Pinned memories are never candidates, but
+   * count towards the limit.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Archive at least the lowest ranked unpinned memory
+   * @returns {Object[]} Memory records with `reason` ('expired'|'limit'|'force'), score and scoreParts
+   */
+  getArchiveCandidates(options = {}) {
+    const { force = false } = options;
+    const ranked = this.rankForEviction();
+    const pinned = this.list({ status: 'active' }).filter(mem => mem.pinned).length;
+    const toArchive = ranked
+      .filter(mem => mem.daysSinceUsed > this.archiveAfterDays)
+      .sort((a, b) => a.lastUsed - b.lastUsed)
+      .map(mem => ({ ...mem, reason: 'expired' }));
+
+    const remaining = ranked.filter(m => !toArchive.find(a => a.id === m.id));
+    const excess = pinned + remaining.length - this.maxActiveMemories;
+    if (excess > 0 || force) {
+      const count = force ? Math.max(excess, 1) : excess;
+      remaining.slice(0, count).forEach(mem => {
+        toArchive.push({ ...mem, reason: force && excess <= 0 ? 'force' : 'limit' });
+      });
+    }
+
+    return toArchive;
+  }
+
+  /**
+   * Memory statistics, active memories least recently used first
+   */
+  stats() {
+    const active = this.list({ status: 'active' }).sort((a, b) => a.lastUsed - b.lastUsed);
+    const archived = this.list({ status: 'archive' });
+
+    return {
+      active: active.length,
+      archived: archived.length,
+      maxActiveMemories: this.maxActiveMemories,
+      archiveAfterDays: this.archiveAfterDays,
+      coldStorageAfterDays: this.coldStorageAfterDays,
+      cold: this.coldStats(),
+      needsMigration: [...active, ...archived].filter(m => m.format === 'legacy' && !m.cold).length,
+      types: countTypes(active),
+      activeMemories: active
+    };
+  }
+
+  /**
+   * Rebuild memories/index.md and keywords in SKILL.md description, and
+   * update the search index and memory vectors
+   * @param {Object} [options]
+   * @param {boolean} [options.rebuildSearch] - Rebuild the search index from scratch
+   * @returns {{memories: Object[], keywords: string[], skillFileUpdated: boolean, search: Object, embeddings: Object}}
+   *   search is updateSearchIndex()'s result without the index, embeddings is
+   *   {updated} or {updated: 0, error: {code, message}} when the provider failed
+   */
+  reindex({ rebuildSearch = false } = {}) {
+    this.ensureDirs();
+
+    // Pinned first, then by id descending (ids are timestamps)
+    const memories = this.list({ status: 'active' })
+      .filter(mem => mem.hasSummary)
+      .sort((a, b) => b.pinned - a.pinned || b.id.localeCompare(a.id));
+    const keywords = collectAllKeywords(memories, this.synonyms);
+    const pinnedKeywords = collectAllKeywords(memories.filter(mem => mem.pinned), this.synonyms);
+    const openTodos = this.sections('todos').filter(todo => todo.state === 'open');
+
+    fs.writeFileSync(this.indexFile, generateIndexContent(memories, getLocale(this.locale), keywords, {
+      openTodos,
+      keywordLength: this.indexKeywordLength
+    }), 'utf8');
+    const skillFileUpdated = this.updateSkillFile(keywords, pinnedKeywords);
+    const { index, ...search } = this.updateSearchIndex({ rebuild: rebuildSearch });
+
+    // A failing provider (e.g. a broken embedding command) must not fail the save
+    let embeddings;
+    try {
+      embeddings = { updated: this.updateEmbeddings().updated };
+    } catch (err) {
+      if (!(err instanceof EmbeddingError)) {
+        throw err;
+      }
+      embeddings = { updated: 0, error: { code: err.code, message: err.message, details: err.details } };
+    }
+
+    return {
+      memories,
+      keywords,
+      skillFileUpdated,
+      search: { ...search, count: Object.keys(index.memories).length, terms: index.termCount },
+      embeddings
+    };
+  }
+
+  /**
+   * Update keywords in SKILL.md description
+   * @param {string[]} keywords - Cut after skillKeywords
+   * @param {string[]} [required] - Always included, first (pinned memories' keywords)
+   * @returns {boolean} false if SKILL.md not found
+   */
+  updateSkillFile(keywords, required = []) {
+    if (!this.skillFile || !fs.existsSync(this.skillFile)) {
+      return false;
+    }
+
+    let content = fs.readFileSync(this.skillFile, 'utf8');
+    const others = keywords.filter(k => !required.includes(k));
+    const keywordsStr = [...required, ...others.slice(0, Math.max(0, this.skillKeywords - required.length))].join(', ');
+
+    // Each variant's SKILL.md keeps the keyword line in its own language
+    for (const locale of allLocales()) {
+      const { pattern, line, empty } = locale.skill;
+      content = content.replace(pattern, () => format(line, { keywords: keywordsStr || empty }));
+    }
+
+    fs.writeFileSync(this.skillFile, content, 'utf8');
+    return true;
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  MemoryStoreError,
+  MEMORY_NAME_PATTERN,
+  MEMORY_TYPES,
+  DEFAULT_TYPE,
+  formatDateTime,
+  generateMemoryName,
+  isStandardMemoryName,
+  splitKeywords,
+  parseDateTime,
+  parseSummary,
+  collectAllKeywords
+};
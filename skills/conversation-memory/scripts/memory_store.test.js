@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStore, isStandardMemoryName } = require('./memory_store');
+
+function createStore(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new MemoryStore({ memoriesDir: path.join(dir, 'memories'), skillFile: null, locale: 'en', ...options });
+}
+
+// Memories saved 30 days ago, oldest first
+function saveOld(store, topics) {
+  const created = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+  return topics.map((topic, i) => {
+    const id = `mem-2026011${i}-090000`;
+    store.createFromInput({ topic, keywords: [topic.toLowerCase()] }, { id });
+    store.updateMetadata(id, { created });
+    return id;
+  });
+}
+
+test('pinned memories are never archive candidates', t => {
+  const store = createStore(t, { maxActiveMemories: 2 });
+  const [pinned, first, second] = saveOld(store, ['Pinned', 'First', 'Second']);
+  store.pin(pinned);
+
+  assert.deepEqual(store.getArchiveCandidates().map(memory => memory.id).sort(), [first, second]);
+
+  store.updateMetadata(first, { created: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString() });
+  store.updateMetadata(second, { created: new Date(Date.now() - 60 * 60 * 1000).toISOString() });
+  // Three active memories over a limit of two: the pinned one counts but stays
+  assert.deepEqual(store.getArchiveCandidates().map(memory => [memory.id, memory.reason]), [[first, 'limit']]);
+  assert.ok(store.getArchiveCandidates({ force: true }).every(memory => memory.id !== pinned));
+  assert.throws(() => store.archive(pinned), { code: 'MEMORY_PINNED' });
+
+  store.unpin(pinned);
+  assert.equal(store.get(pinned).pinned, false);
+  assert.equal(store.archive(pinned).moved, true);
+});
+
+test('a limit of 0 is kept, not replaced by the default', t => {
+  const store = createStore(t, { maxActiveMemories: 0, archiveAfterDays: 0, coldStorageAfterDays: 0 });
+  const ids = saveOld(store, ['First', 'Second']);
+
+  assert.deepEqual([store.maxActiveMemories, store.archiveAfterDays, store.coldStorageAfterDays], [0, 0, 0]);
+  assert.deepEqual(store.getArchiveCandidates().map(memory => memory.id).sort(), ids);
+});
+
+test('pinning is idempotent and shows in index.md and SKILL.md', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const skillFile = path.join(dir, 'SKILL.md');
+  fs.writeFileSync(skillFile, 'description: Active memory keywords: none\n');
+  const store = createStore(t, { skillFile, skillKeywords: 1 });
+  const [older, newer] = saveOld(store, ['Older', 'Newer']);
+
+  assert.equal(store.pin(older).changed, true);
+  assert.equal(store.pin(older).changed, false);
+  store.reindex();
+
+  const index = fs.readFileSync(store.indexFile, 'utf8');
+  assert.ok(index.indexOf(older) < index.indexOf(newer));
+  assert.match(index, /\| 📌 Older \|/);
+  assert.equal(fs.readFileSync(skillFile, 'utf8'), 'description: Active memory keywords: older\n');
+});
+
+test('index.md leaves out the placeholders of template-only memories', t => {
+  const store = createStore(t);
+  store.create('mem-20260111-143000');
+  store.reindex();
+
+  const index = fs.readFileSync(store.indexFile, 'utf8');
+  assert.match(index, /\| mem-20260111-143000 \| general \| Unknown Topic \|  \|/);
+  assert.doesNotMatch(index, /\{Topic Title\}|\{keyword1\}/);
+});
+
+test('saves in the same second get distinct names', t => {
+  const store = createStore(t);
+  const date = new Date(2026, 0, 11, 14, 30, 0);
+
+  const first = store.create(store.newMemoryName(date));
+  const second = store.createFromInput({ topic: 'Second' }, { id: store.newMemoryName(date) });
+  const third = store.create(store.newMemoryName(date));
+
+  assert.deepEqual([first.id, second.id, third.id],
+    ['mem-20260111-143000', 'mem-20260111-143000-2', 'mem-20260111-143000-3']);
+  assert.ok([first, second, third].every(memory => isStandardMemoryName(memory.id)));
+});
+
+test('back-to-back saves without a name do not collide', t => {
+  const store = createStore(t);
+  const ids = [store.create().id, store.createFromInput({ topic: 'Two' }).id, store.create().id];
+
+  assert.equal(new Set(ids).size, 3);
+});
+
+test('memories in another locale than references/ use that locale\'s built-in templates', t => {
+  const store = createStore(t, {
+    locale: 'zh',
+    referencesDir: path.join(__dirname, '..', 'references'),
+    referencesLocale: 'en'
+  });
+  const memory = store.create('mem-20260111-143000');
+  const summary = fs.readFileSync(path.join(memory.path, 'summary.md'), 'utf8');
+
+  assert.equal(store.templates().find(template => template.name === 'summary').source, 'builtin');
+  assert.match(summary, /^language: zh$/m);
+  assert.match(summary, /^## 主题摘要$/m);
+  assert.doesNotMatch(summary, /Topic Summary/);
+});
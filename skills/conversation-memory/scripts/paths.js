@@ -8,9 +8,12 @@
  * Directory structure:
  *   workdir/
  *   ├── .claude/
- *   │   ├── skills/conversation-memory/  # Skill code
- *   │   │   └── scripts/                 # Scripts directory (this module's location)
- *   │   └── data/conversation-memory/    # Data directory
+ *   │   ├── skills/conversation-memory/  # Skill code (or conversation-memory-zh)
+ *   │   │   ├── scripts/                 # Scripts directory (this module's location)
+ *   │   │   └── references/              # Bundled templates
+ *   │   └── data/conversation-memory/    # Data directory (named after the skill)
+ *   │       ├── config.json              # Settings (optional, see config.js)
+ *   │       ├── templates/               # Project template overrides (optional)
  *   │       └── memories/                # Memory storage
  *   │           ├── index.md
  *   │           ├── active/
@@ -19,9 +22,22 @@
 
 const fs = require('fs');
 const path = require('path');
+const { DEFAULT_LOCALE, isSupportedLocale } = require('./i18n');
+const { loadConfig } = require('./config');
 
-// Skill name
-const SKILL_NAME = 'conversation-memory';
+// Skill name, taken from the installed skill directory so every variant
+// (conversation-memory, conversation-memory-zh) runs the same code
+const SKILL_NAME = path.basename(path.resolve(__dirname, '..'));
+
+/**
+ * Locale of the installed skill variant
+ * A "-<locale>" suffix on the skill name selects the language (conversation-memory-zh -> zh)
+ * @returns {string} Locale code
+ */
+function getSkillLocale() {
+  const suffix = SKILL_NAME.split('-').pop();
+  return isSupportedLocale(suffix) ? suffix : DEFAULT_LOCALE;
+}
 
 /**
  * Find .claude directory by traversing up
@@ -43,13 +59,37 @@ function findClaudeRoot(startDir = __dirname) {
   return null;
 }
 
+/**
+ * .claude directory of an installed skill
+ * @param {string} scriptsDir - Scripts directory, defaults to this module's location
+ * @returns {string|null} The .claude directory when scriptsDir is .claude/skills/<name>/scripts, else null
+ */
+function skillClaudeRoot(scriptsDir = __dirname) {
+  const skillsDir = path.dirname(path.dirname(path.resolve(scriptsDir)));
+  const claudeDir = path.dirname(skillsDir);
+  return path.basename(skillsDir) === 'skills' && path.basename(claudeDir) === '.claude' ? claudeDir : null;
+}
+
+/**
+ * Resolve .claude directory
+ * A skill installed under .claude/skills/<name> uses that .claude directory;
+ * anything else (the `memory` command of the npm package) looks up from the
+ * current working directory, so a .claude above the package never wins
+ * @param {string} [scriptsDir] - Scripts directory, defaults to this module's location
+ * @param {string} [cwd] - Working directory, defaults to process.cwd()
+ * @returns {string|null} Path to .claude directory, null if not found
+ */
+function resolveClaudeRoot(scriptsDir = __dirname, cwd = process.cwd()) {
+  return skillClaudeRoot(scriptsDir) || findClaudeRoot(cwd);
+}
+
 /**
  * Get workspace root path
  * @returns {string} Workspace directory path
  * @throws {Error} If .claude directory not found
  */
 function getWorkDir() {
-  const claudeRoot = findClaudeRoot();
+  const claudeRoot = resolveClaudeRoot();
   if (!claudeRoot) {
     throw new Error('Cannot find .claude directory, ensure running in correct workspace');
   }
@@ -61,7 +101,7 @@ function getWorkDir() {
  * @returns {string} Skill directory path
  */
 function getSkillDir() {
-  const claudeRoot = findClaudeRoot();
+  const claudeRoot = resolveClaudeRoot();
   if (!claudeRoot) {
     throw new Error('Cannot find .claude directory');
   }
@@ -73,7 +113,7 @@ function getSkillDir() {
  * @returns {string} Data directory path (.claude/data/conversation-memory/)
  */
 function getDataDir() {
-  const claudeRoot = findClaudeRoot();
+  const claudeRoot = resolveClaudeRoot();
   if (!claudeRoot) {
     throw new Error('Cannot find .claude directory');
   }
@@ -112,6 +152,53 @@ function getIndexFile() {
   return path.join(getMemoriesDir(), 'index.md');
 }
 
+/**
+ * Get project template override directory
+ * @returns {string} Templates directory path (.claude/data/conversation-memory/templates/)
+ */
+function getTemplatesDir() {
+  return path.join(getDataDir(), 'templates');
+}
+
+/**
+ * Get bundled references directory (next to this script, so it works before deployment too)
+ * @returns {string} References directory path
+ */
+function getReferencesDir() {
+  return path.join(__dirname, '..', 'references');
+}
+
+/**
+ * Get settings file path
+ * @returns {string} Config file path (.claude/data/conversation-memory/config.json)
+ */
+function getConfigFile() {
+  return path.join(getDataDir(), 'config.json');
+}
+
+/**
+ * Get effective settings (config.js: defaults, config.json, environment variables)
+ * @returns {{settings: Object, sources: Object<string, string>}}
+ * @throws {ConfigError} If config.json or a variable holds an invalid setting
+ */
+function getSettings() {
+  return loadConfig(getConfigFile());
+}
+
+/**
+ * Default output and template language: the locale setting, else the skill variant's
+ * Falls back to the skill variant's when the settings cannot be read (the
+ * error is reported when the store is created)
+ * @returns {string} Locale code
+ */
+function getDefaultLocale() {
+  try {
+    return getSettings().settings.locale || getSkillLocale();
+  } catch (err) {
+    return getSkillLocale();
+  }
+}
+
 /**
  * Get SKILL.md file path
  * @returns {string} SKILL.md file path
@@ -122,72 +209,61 @@ function getSkillFile() {
 
 /**
  * Ensure data directory exists
- * Creates complete directory structure: memories/active/, memories/archive/
+ * Creates complete directory structure: memories/active/, memories/archive/, and index.md
  */
 function ensureDataDir() {
-  const dirs = [
-    getMemoriesDir(),
-    getActiveDir(),
-    getArchiveDir()
-  ];
-  
-  for (const dir of dirs) {
+  for (const dir of [getMemoriesDir(), getActiveDir(), getArchiveDir()]) {
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true });
     }
   }
-  
-  // Ensure index.md exists
-  const indexFile = getIndexFile();
-  if (!fs.existsSync(indexFile)) {
-    const initialContent = `# Active Memory Index
-
-> This file is auto-updated by scripts, recording summary info of all active memories.
-
-## Index Table
-
-<!-- INDEX_START -->
-| Memory ID | Topic | Keywords | Time |
-|-----------|-------|----------|------|
-| (no active memories) | - | - | - |
-<!-- INDEX_END -->
-
-## Keywords Summary
-
-<!-- KEYWORDS_START -->
-(no valid keywords)
-<!-- KEYWORDS_END -->
-
-## Usage
 
-1. Find related memories from the index table
-2. Read the memory's \`active/{MemoryID}/summary.md\` for details
-3. If needed, read \`active/{MemoryID}/conversation.md\` for raw conversation
-`;
-    fs.writeFileSync(indexFile, initialContent, 'utf8');
+  // Ensure index.md exists (required lazily, memory_store depends on this module)
+  if (!fs.existsSync(getIndexFile())) {
+    const { MemoryStore } = require('./memory_store');
+    new MemoryStore().reindex();
   }
 }
 
 /**
  * Get config object (compatible with existing script CONFIG structure)
+ * Limits, locale, search and embedding settings come from config.json and
+ * environment variables (see config.js)
  * @returns {Object} Config object
+ * @throws {ConfigError} If the settings are invalid
  */
 function getConfig() {
+  const { settings } = getSettings();
   return {
     skillDir: getSkillDir(),
     memoriesDir: getMemoriesDir(),
     skillFile: getSkillFile(),
     indexFile: getIndexFile(),
+    templatesDir: getTemplatesDir(),
+    referencesDir: getReferencesDir(),
+    workDir: getWorkDir(),
     activeDir: 'active',
     archiveDir: 'archive',
-    maxActiveMemories: 20,
-    archiveAfterDays: 14
+    configFile: getConfigFile(),
+    maxActiveMemories: settings.maxActiveMemories,
+    archiveAfterDays: settings.archiveAfterDays,
+    archive: settings.archive,
+    coldStorageAfterDays: settings.coldStorageAfterDays,
+    skillKeywords: settings.skillKeywords,
+    indexKeywordLength: settings.indexKeywordLength,
+    search: settings.search,
+    embedding: settings.embedding,
+    locale: settings.locale || getSkillLocale(),
+    // references/ is written in the skill variant's language, whatever locale is set
+    referencesLocale: getSkillLocale()
   };
 }
 
 module.exports = {
   SKILL_NAME,
+  getSkillLocale,
   findClaudeRoot,
+  resolveClaudeRoot,
   getWorkDir,
   getSkillDir,
   getDataDir,
@@ -195,7 +271,12 @@ module.exports = {
   getActiveDir,
   getArchiveDir,
   getIndexFile,
+  getTemplatesDir,
+  getReferencesDir,
   getSkillFile,
+  getConfigFile,
+  getSettings,
+  getDefaultLocale,
   ensureDataDir,
   getConfig
 };
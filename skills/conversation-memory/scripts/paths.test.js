@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveClaudeRoot, getSkillLocale, getConfig } = require('./paths');
+
+function workspace(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-paths-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('installed skill uses its own .claude directory', t => {
+  const dir = workspace(t);
+  const scriptsDir = path.join(dir, 'project', '.claude', 'skills', 'conversation-memory', 'scripts');
+  fs.mkdirSync(scriptsDir, { recursive: true });
+  fs.mkdirSync(path.join(dir, 'other', '.claude'), { recursive: true });
+
+  assert.equal(resolveClaudeRoot(scriptsDir, path.join(dir, 'other')), path.join(dir, 'project', '.claude'));
+});
+
+test('installed memory command uses the .claude directory of the working directory', t => {
+  // A .claude above the package (e.g. in the home directory) must not win
+  const dir = workspace(t);
+  const scriptsDir = path.join(dir, 'lib', 'node_modules', 'conversation-memory-skill',
+    'skills', 'conversation-memory', 'scripts');
+  fs.mkdirSync(scriptsDir, { recursive: true });
+  fs.mkdirSync(path.join(dir, '.claude'));
+  fs.mkdirSync(path.join(dir, 'work', 'project', '.claude'), { recursive: true });
+  fs.mkdirSync(path.join(dir, 'work', 'project', 'src'));
+
+  assert.equal(
+    resolveClaudeRoot(scriptsDir, path.join(dir, 'work', 'project', 'src')),
+    path.join(dir, 'work', 'project', '.claude')
+  );
+});
+
+test('installed memory command finds nothing outside a workspace', t => {
+  const dir = workspace(t);
+  const scriptsDir = path.join(dir, 'pkg', 'skills', 'conversation-memory', 'scripts');
+  fs.mkdirSync(scriptsDir, { recursive: true });
+  fs.mkdirSync(path.join(dir, 'pkg', '.claude'));
+  fs.mkdirSync(path.join(dir, 'elsewhere'));
+
+  // os.tmpdir() has no .claude above it on a clean machine
+  const found = resolveClaudeRoot(scriptsDir, path.join(dir, 'elsewhere'));
+  assert.notEqual(found, path.join(dir, 'pkg', '.claude'));
+});
+
+test('the locale setting does not change the language of references/', t => {
+  const dir = workspace(t);
+  fs.mkdirSync(path.join(dir, '.claude'));
+  const cwd = process.cwd();
+  process.chdir(dir);
+  process.env.CONVERSATION_MEMORY_LOCALE = 'zh';
+  t.after(() => {
+    process.chdir(cwd);
+    delete process.env.CONVERSATION_MEMORY_LOCALE;
+  });
+
+  const config = getConfig();
+  assert.equal(config.locale, 'zh');
+  assert.equal(config.referencesLocale, getSkillLocale());
+});
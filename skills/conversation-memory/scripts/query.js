@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+
+/**
+ * query.js - Search query language
+ *
+ *   keyword:auth AND after:2026-01-01 status:archive -topic:draft "exact phrase"
+ *
+ * A query is a list of clauses, all of which must hold (AND is optional
+ * between them). OR joins the clauses on either side of it, NOT or a leading
+ * "-" negates one. A clause is:
+ *
+ *   word                 ranks the results; a memory must contain one of the words
+ *   "exact phrase"       the memory contains the words in this order
+ *   field:value          field filter, value may be quoted ("field:two words")
+ *
+ * Fields (text values match case- and width-insensitively as substrings):
+ *
+ *   topic:, title:               title
+ *   keyword:, keywords:          one of the keywords
+ *   decision:, decisions:        a Key Decisions item (sections.js)
+ *   conclusion:, conclusions:    an Important Conclusions item
+ *   todo:, todos:                a TODOs item
+ *   file:, files:                a Related Files item
+ *   author:                      author recorded when the memory was saved
+ *   type:                        memory type
+ *   status:                      active or archive
+ *   after:, since:               created on or after a date
+ *   before:, until:              created before a date
+ *   date:, on:                   created on a date, in a month or year, or in a range (2026-01..2026-03)
+ *
+ * Dates are YYYY, YYYY-MM or YYYY-MM-DD. Unknown fields are searched as words,
+ * so "http://..." still works.
+ */
+
+const { normalize } = require('./tokenizer');
+
+// Field name -> field
+const FIELDS = {
+  topic: 'topic',
+  title: 'topic',
+  keyword: 'keywords',
+  keywords: 'keywords',
+  decision: 'decisions',
+  decisions: 'decisions',
+  conclusion: 'conclusions',
+  conclusions: 'conclusions',
+  todo: 'todos',
+  todos: 'todos',
+  file: 'files',
+  files: 'files',
+  author: 'author',
+  type: 'type',
+  status: 'status',
+  after: 'after',
+  since: 'after',
+  before: 'before',
+  until: 'before',
+  date: 'date',
+  on: 'date'
+};
+
+// Fields read from summary.md sections
+const SECTION_FIELDS = ['decisions', 'conclusions', 'todos', 'files'];
+
+// Clauses whose value ranks the results
+const RANKED_FIELDS = ['text', 'phrase', 'topic', 'keywords', ...SECTION_FIELDS];
+
+// Accepted status values
+const STATUSES = { active: 'active', archive: 'archive', archived: 'archive' };
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+/**
+ * Error for a query that cannot be parsed (code INVALID_QUERY)
+ */
+class QueryError extends Error {
+  constructor(token, reason) {
+    super(`Invalid query: ${reason} (${token})`);
+    this.name = 'QueryError';
+    this.code = 'INVALID_QUERY';
+    this.details = { token, reason };
+  }
+}
+
+/**
+ * Split a query into words, "quoted phrases" and field:"quoted values"
+ * @returns {Array<{raw: string, negate: boolean, field: string|null, value: string, quoted: boolean}>}
+ */
+function lex(text) {
+  const tokens = [];
+  const pattern = /(-?)(?:([\p{L}_]+):)?(?:"([^"]*)"?|(\S+))/uy;
+  let pos = 0;
+  while (pos < text.length) {
+    if (/\s/.test(text[pos])) {
+      pos++;
+      continue;
+    }
+    pattern.lastIndex = pos;
+    const match = pattern.exec(text);
+    pos = pattern.lastIndex;
+    const [raw, minus, name, quoted, word] = match;
+    const field = name && FIELDS[name.toLowerCase()];
+    const value = quoted !== undefined ? quoted : word;
+    tokens.push({
+      raw,
+      negate: minus === '-',
+      field: field || null,
+      // An unknown field stays part of the word
+      value: name && !field ? `${name}:${value}` : value,
+      quoted: quoted !== undefined
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Parse a date value into the first and last day it covers ('YYYY-MM-DD')
+ */
+function parseDateRange(token, value) {
+  const match = value.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+  const month = match && match[2] ? Number(match[2]) : null;
+  const day = match && match[3] ? Number(match[3]) : null;
+  if (!match || (month !== null && (month < 1 || month > 12)) || (day !== null && (day < 1 || day > 31))) {
+    throw new QueryError(token, 'dates are YYYY, YYYY-MM or YYYY-MM-DD');
+  }
+  const pad = n => String(n).padStart(2, '0');
+  const year = match[1];
+  if (day !== null) {
+    const date = `${year}-${pad(month)}-${pad(day)}`;
+    return { from: date, to: date };
+  }
+  if (month !== null) {
+    const lastDay = new Date(Number(year), month, 0).getDate();
+    return { from: `${year}-${pad(month)}-01`, to: `${year}-${pad(month)}-${pad(lastDay)}` };
+  }
+  return { from: `${year}-01-01`, to: `${year}-12-31` };
+}
+
+/**
+ * Build a clause from a field token
+ */
+function fieldClause(token) {
+  const { field, raw } = token;
+  const value = token.value.trim();
+  if (!value) {
+    throw new QueryError(raw, `${field} needs a value`);
+  }
+  if (field === 'status') {
+    const status = STATUSES[value.toLowerCase()];
+    if (!status) {
+      throw new QueryError(raw, 'status is active or archive');
+    }
+    return { field, value: status };
+  }
+  if (field === 'after' || field === 'before') {
+    return { field, value, range: parseDateRange(raw, value) };
+  }
+  if (field === 'date') {
+    const [from, to = from] = value.split('..');
+    return { field, value, range: { from: parseDateRange(raw, from).from, to: parseDateRange(raw, to).to } };
+  }
+  return { field, value: field === 'type' ? value.toLowerCase() : normalize(value) };
+}
+
+/**
+ * Parse a query
+ * @param {string} text
+ * @returns {{groups: Array<Object[]>, terms: string[], text: string, empty: boolean}}
+ *   groups: clauses joined by OR, every group must hold; a clause is
+ *   {field, value, negate} with field 'text' for words, 'phrase' for
+ *   quoted phrases, or a FIELDS field (dates also have range {from, to}).
+ *   terms: the words that rank the results (not required alone).
+ *   text: words, phrases and field text values, for ranking and snippets.
+ * @throws {QueryError} INVALID_QUERY
+ */
+function parseQuery(text) {
+  const groups = [];
+  const optional = [];
+  let joinNext = false;
+  let negateNext = false;
+  let andNext = false;
+
+  for (const token of lex(String(text || ''))) {
+    const word = !token.field && !token.quoted && !token.negate && token.value;
+    if (OPERATORS.includes(word)) {
+      if (word === 'OR') {
+        joinNext = groups.length > 0;
+      } else if (word === 'NOT') {
+        negateNext = !negateNext;
+      } else {
+        andNext = true;
+      }
+      continue;
+    }
+
+    let clause;
+    if (token.field) {
+      clause = fieldClause(token);
+    } else {
+      clause = { field: token.quoted ? 'phrase' : 'text', value: token.value };
+    }
+    clause.negate = token.negate !== negateNext;
+    clause.raw = token.raw;
+
+    if (joinNext) {
+      // OR makes the word before it a condition too
+      const group = groups[groups.length - 1];
+      group.optional = false;
+      group.clauses.push(clause);
+    } else {
+      const previous = groups[groups.length - 1];
+      if (andNext && previous) {
+        previous.optional = false;
+      }
+      groups.push({
+        clauses: [clause],
+        optional: clause.field === 'text' && !clause.negate && !andNext
+      });
+    }
+    joinNext = false;
+    negateNext = false;
+    andNext = false;
+  }
+
+  for (const group of groups) {
+    if (group.optional) {
+      optional.push(group.clauses[0].value);
+    }
+  }
+  const rankText = groups
+    .flatMap(group => group.clauses)
+    .filter(clause => !clause.negate && RANKED_FIELDS.includes(clause.field))
+    .map(clause => clause.value);
+
+  return {
+    groups: groups.filter(group => !group.optional).map(group => group.clauses),
+    terms: optional,
+    text: rankText.join(' '),
+    empty: groups.length === 0
+  };
+}
+
+/**
+ * Local date of a memory ('YYYY-MM-DD'): when it was created, else last modified
+ */
+function memoryDate(memory) {
+  const date = memory.created || memory.mtime;
+  if (!date) {
+    return '';
+  }
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Whether a memory satisfies one clause
+ * @param {Object} clause - parseQuery() clause
+ * @param {Object} context - Lazy views of the memory:
+ *   memory() record, sections() parseSections() result, text() normalized
+ *   file contents, contains(value) whether all of value's terms are indexed for it
+ */
+function matchClause(clause, context) {
+  const includes = (text, value) => normalize(String(text || '')).includes(value);
+  switch (clause.field) {
+    case 'text':
+      return context.contains(clause.value);
+    case 'phrase':
+      return context.contains(clause.value) &&
+        context.text().includes(normalize(clause.value).replace(/\s+/g, ' '));
+    case 'status':
+      return context.status === clause.value;
+    case 'type':
+      return context.type === clause.value;
+    case 'topic':
+      return includes(context.memory().topic, clause.value);
+    case 'keywords':
+      return context.memory().keywords.some(keyword => includes(keyword, clause.value));
+    case 'author':
+      return includes(context.memory().meta.author, clause.value);
+    case 'after':
+      return memoryDate(context.memory()) >= clause.range.from;
+    case 'before':
+      return memoryDate(context.memory()) < clause.range.from;
+    case 'date': {
+      const date = memoryDate(context.memory());
+      return date >= clause.range.from && date <= clause.range.to;
+    }
+    default:
+      return context.sections()[clause.field].some(item =>
+        includes(item.text, clause.value) || (item.path && includes(item.path, clause.value)));
+  }
+}
+
+/**
+ * Whether a memory satisfies a parsed query's conditions (every group has a
+ * matching clause; a negated clause matches when the memory does not)
+ */
+function matchQuery(query, context) {
+  return query.groups.every(group => group.some(clause => matchClause(clause, context) !== clause.negate));
+}
+
+module.exports = {
+  FIELDS,
+  QueryError,
+  parseDateRange,
+  memoryDate,
+  parseQuery,
+  matchQuery
+};
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { QueryError, parseQuery, matchQuery } = require('./query');
+
+// Clauses without the raw token, for shorter expectations
+function clauses(query) {
+  return query.groups.map(group => group.map(({ raw, ...clause }) => clause));
+}
+
+test('plain words only rank the results', () => {
+  const query = parseQuery('redis cache');
+
+  assert.deepEqual(query.groups, []);
+  assert.deepEqual(query.terms, ['redis', 'cache']);
+  assert.equal(query.text, 'redis cache');
+  assert.equal(query.empty, false);
+  assert.equal(parseQuery('  ').empty, true);
+});
+
+test('field filters, phrases and negation', () => {
+  const query = parseQuery('keyword:auth AND after:2026-01-01 status:archived -topic:draft "exact phrase"');
+
+  assert.deepEqual(clauses(query), [
+    [{ field: 'keywords', value: 'auth', negate: false }],
+    [{ field: 'after', value: '2026-01-01', range: { from: '2026-01-01', to: '2026-01-01' }, negate: false }],
+    [{ field: 'status', value: 'archive', negate: false }],
+    [{ field: 'topic', value: 'draft', negate: true }],
+    [{ field: 'phrase', value: 'exact phrase', negate: false }]
+  ]);
+  assert.deepEqual(query.terms, []);
+  assert.equal(query.text, 'auth exact phrase');
+});
+
+test('OR joins clauses, AND and NOT make words required', () => {
+  assert.deepEqual(clauses(parseQuery('redis OR memcached')), [[
+    { field: 'text', value: 'redis', negate: false },
+    { field: 'text', value: 'memcached', negate: false }
+  ]]);
+  assert.deepEqual(clauses(parseQuery('redis AND cache')), [
+    [{ field: 'text', value: 'redis', negate: false }],
+    [{ field: 'text', value: 'cache', negate: false }]
+  ]);
+  assert.deepEqual(clauses(parseQuery('NOT type:Bug')), [[{ field: 'type', value: 'bug', negate: true }]]);
+});
+
+test('quoted field values and unknown fields', () => {
+  assert.deepEqual(clauses(parseQuery('topic:"two words"')), [[{ field: 'topic', value: 'two words', negate: false }]]);
+  assert.deepEqual(parseQuery('http://example.com').terms, ['http://example.com']);
+});
+
+test('dates cover a day, a month, a year or a range', () => {
+  const range = text => clauses(parseQuery(text))[0][0].range;
+
+  assert.deepEqual(range('date:2026-02'), { from: '2026-02-01', to: '2026-02-28' });
+  assert.deepEqual(range('date:2024-02'), { from: '2024-02-01', to: '2024-02-29' });
+  assert.deepEqual(range('date:2026'), { from: '2026-01-01', to: '2026-12-31' });
+  assert.deepEqual(range('date:2026-01-11'), { from: '2026-01-11', to: '2026-01-11' });
+  assert.deepEqual(range('date:2026-01..2026-03'), { from: '2026-01-01', to: '2026-03-31' });
+});
+
+test('invalid values are query errors', () => {
+  for (const text of ['after:2026-13', 'before:yesterday', 'status:deleted', 'topic:""']) {
+    assert.throws(() => parseQuery(text), err => err instanceof QueryError && err.code === 'INVALID_QUERY', text);
+  }
+});
+
+test('memories are matched against every group', () => {
+  const memory = { topic: 'Auth redesign', keywords: ['auth', 'jwt'], meta: {}, created: new Date(2026, 1, 3) };
+  const context = { status: 'active', type: 'decision', memory: () => memory, contains: () => false };
+  const matches = text => matchQuery(parseQuery(text), context);
+
+  assert.equal(matches('keyword:jwt type:decision'), true);
+  assert.equal(matches('keyword:jwt -status:active'), false);
+  assert.equal(matches('date:2026-02 before:2026-02-04'), true);
+  assert.equal(matches('after:2026-02-04'), false);
+  assert.equal(matches('topic:draft OR topic:redesign'), true);
+});
@@ -0,0 +1,409 @@
+#!/usr/bin/env node
+
+/**
+ * recall.js - Find the memories relevant to a prompt
+ *
+ * Ranks active memories for a prompt through the search index (the same
+ * ranking as MemoryStore#search) and packs the best ones into a context
+ * budget, following the loading layers:
+ *
+ *   Layer 1: index entry (id, type, title, keywords)   when the summary does not fit
+ *   Layer 2: summary.md                                 preferred
+ *   Layer 3: conversation.md                            path only, read on demand
+ *
+ * Budgets are in characters or estimated tokens (see estimateTokens).
+ *
+ * The recall command (recallBundle) does the same for a search query across
+ * all memories, adding the layers progressively: index rows of the best
+ * results first, then their summaries, then the conversation lines around
+ * the matches, until the budget is spent.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseFrontmatter } = require('./frontmatter');
+const { allLocales, getLocale } = require('./i18n');
+const { isCjkTerm, defaultTokenizer } = require('./tokenizer');
+
+// Recall settings
+const RECALL_DEFAULTS = {
+  budget: 4000,
+  unit: 'chars',
+  limit: 3
+};
+
+const BUDGET_UNITS = ['chars', 'tokens'];
+
+// Recall command settings: most memories, conversation excerpts per memory,
+// and lines shown before and after a matching conversation line
+const BUNDLE_DEFAULTS = {
+  limit: 5,
+  excerpts: 3,
+  excerptContext: 2
+};
+
+// Prompt words too common to search for
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'was', 'our', 'has', 'had', 'how',
+  'what', 'why', 'when', 'where', 'who', 'which', 'this', 'that', 'these', 'those', 'with', 'from',
+  'into', 'about', 'there', 'their', 'them', 'then', 'than', 'have', 'does', 'did', 'should', 'would',
+  'could', 'will', 'just', 'like', 'some', 'any', 'now', 'let', 'use', 'using', 'make', 'want', 'need',
+  'please', 'also', 'again', 'more', 'get', 'one', 'out', 'its', 'it\'s', 'yes', 'okay',
+  '我们', '你们', '他们', '这个', '那个', '这些', '那些', '之前', '一下', '什么', '怎么', '为什么',
+  '可以', '需要', '现在', '还是', '就是', '没有', '一个', '如何', '是否', '应该', '一些', '的话'
+]);
+
+/**
+ * Estimate token count: about 4 characters per token for latin text,
+ * one token per CJK character
+ */
+function estimateTokens(text) {
+  const cjk = (text.match(/[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []).length;
+  return cjk + Math.ceil((text.length - cjk) / 4);
+}
+
+/**
+ * Size of text in a budget unit
+ */
+function measure(text, unit) {
+  return unit === 'tokens' ? estimateTokens(text) : text.length;
+}
+
+/**
+ * Terms of a prompt worth searching for: words of three or more
+ * characters and CJK bigrams (or dictionary words), stopwords removed
+ */
+function words(text, tokenizer = defaultTokenizer) {
+  return new Set(tokenizer.tokenize(text)
+    .filter(word => word.length >= (isCjkTerm(word) ? 2 : 3) && !STOPWORDS.has(word)));
+}
+
+// Tracing section headings (all locales), left out of recalled summaries
+const TRACING_HEADINGS = allLocales().map(locale => `## ${locale.compose.summary.tracing}`);
+
+/**
+ * Content of a memory file in its directory, null when missing
+ */
+function readMemoryFile(memory, name) {
+  const file = path.join(memory.path, name);
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+/**
+ * Read summary.md body
+ * Frontmatter, title heading and tracing section are removed, the recalled
+ * context gives the entry and conversation path itself
+ * @param {Function} [read] - (memory, file name) => content or null
+ */
+function readSummaryBody(memory, read = readMemoryFile) {
+  const content = read(memory, 'summary.md');
+  if (content === null) {
+    return '';
+  }
+  const body = parseFrontmatter(content).body.trim().replace(/^# .*\n+/, '');
+  const sections = body.split(/\n(?=## )/).filter(section => !TRACING_HEADINGS.includes(section.split('\n')[0].trim()));
+  return sections.join('\n').trim();
+}
+
+/**
+ * Rank active memories for a prompt
+ * The prompt's words are searched as plain words (see words), so query
+ * syntax in a prompt is never an error and every word only ranks.
+ * Accesses are not recorded, recall() records the memories it injects.
+ * @param {MemoryStore} store
+ * @param {string} prompt
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Most memories
+ * @returns {Array<{memory: Object, summary: string, score: number, matched: string[]}>} Best first
+ */
+function rankMemories(store, prompt, options = {}) {
+  const { limit } = { ...RECALL_DEFAULTS, ...options };
+  const terms = [...words(prompt, store.tokenizer)];
+  if (terms.length === 0) {
+    return [];
+  }
+  // A parseQuery() result of optional words only
+  const query = { groups: [], terms, text: terms.join(' '), empty: false };
+  return store.search(query, { status: 'active', limit, snippets: 0, track: false })
+    .map(memory => ({ memory, summary: readSummaryBody(memory), score: memory.score, matched: memory.matched }));
+}
+
+/**
+ * Layer 1 text of a memory
+ */
+function formatEntry(t, memory) {
+  const type = memory.type !== 'general' ? ` [${memory.type}]` : '';
+  const lines = [`### ${memory.id}${type} ${memory.topic || t('unknownTopic')}`];
+  if (memory.keywords.length > 0) {
+    lines.push(t('recall.keywords', { keywords: memory.keywords.join(', ') }));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Pack ranked memories into a context budget
+ * Each memory gets its summary (layer 2) when it fits, its index entry
+ * (layer 1) otherwise; the conversation.md path (layer 3) is always given
+ * @param {Function} t - Translator (i18n.js createTranslator)
+ * @param {Array} ranked - rankMemories() result
+ * @param {Object} [options] - budget, unit, limit (see RECALL_DEFAULTS), and baseDir
+ *   to give memory paths relative to
+ * @returns {{context: string, used: number, injected: Array<{id: string, score: number, layer: number, size: number}>}}
+ *   context is '' when nothing fits
+ */
+function buildContext(t, ranked, options = {}) {
+  const { budget, unit, limit, baseDir } = { ...RECALL_DEFAULTS, ...options };
+  const header = t('recall.header');
+  const parts = [header];
+  const injected = [];
+  let used = measure(header, unit);
+
+  for (const result of ranked.slice(0, limit)) {
+    const dir = baseDir ? path.relative(baseDir, result.memory.path) : result.memory.path;
+    const entry = formatEntry(t, result.memory);
+    const candidates = [
+      { layer: 2, text: [entry, result.summary, t('recall.conversation', { path: path.join(dir, 'conversation.md') })].filter(Boolean).join('\n\n') },
+      { layer: 1, text: [entry, t('recall.files', { path: dir })].join('\n') }
+    ];
+    const fit = candidates.find(candidate => used + measure(candidate.text, unit) + 2 <= budget);
+    if (!fit) {
+      continue;
+    }
+    const size = measure(fit.text, unit) + 2;
+    parts.push(fit.text);
+    used += size;
+    injected.push({ id: result.memory.id, score: result.score, matched: result.matched, layer: fit.layer, size });
+  }
+
+  return injected.length > 0
+    ? { context: parts.join('\n\n'), used, injected }
+    : { context: '', used: 0, injected };
+}
+
+/**
+ * Recall memories for a prompt within a budget
+ * The injected memories are recorded as accessed (MemoryStore#recordAccess).
+ * @param {MemoryStore} store
+ * @param {Function} t - Translator
+ * @param {string} prompt
+ * @param {Object} [options] - See RECALL_DEFAULTS
+ */
+function recall(store, t, prompt, options = {}) {
+  const settings = { ...RECALL_DEFAULTS, ...options };
+  const ranked = rankMemories(store, prompt, settings);
+  const context = buildContext(t, ranked, { baseDir: store.workDir, ...settings });
+  const injected = new Set(context.injected.map(item => item.id));
+  store.recordAccess(ranked.map(result => result.memory).filter(memory => injected.has(memory.id)));
+  return { ...context, unit: settings.unit, budget: settings.budget };
+}
+
+/**
+ * Index table row of a memory (layer 1), with its status when archived
+ */
+function formatIndexRow(t, memory) {
+  const id = memory.status === 'archive' ? `${memory.id} (${t('memory.status.archive')})` : memory.id;
+  const cells = [id, memory.type, memory.topic || t('unknownTopic'), memory.keywords.join(', '), memory.time];
+  return `| ${cells.map(cell => String(cell).replace(/\|/g, '\\|')).join(' | ')} |`;
+}
+
+/**
+ * Conversation lines around a search result's layer 3 matches
+ * Windows that overlap are merged; empty lines at their edges are dropped
+ * @param {Function} [read] - (memory, file name) => content or null
+ * @returns {Array<{from: number, to: number, section: string|null, text: string}>} Best match first
+ */
+function findExcerpts(result, max, context, read = readMemoryFile) {
+  const matches = result.snippets.filter(snippet => snippet.layer === 3).slice(0, max);
+  const content = matches.length > 0 ? read(result, 'conversation.md') : null;
+  if (content === null) {
+    return [];
+  }
+  const lines = content.split('\n');
+  const windows = [];
+  for (const match of matches) {
+    const from = Math.max(1, match.line - context);
+    const to = Math.min(lines.length, match.line + context);
+    const overlapping = windows.find(window => from <= window.to + 1 && to >= window.from - 1);
+    if (overlapping) {
+      overlapping.from = Math.min(overlapping.from, from);
+      overlapping.to = Math.max(overlapping.to, to);
+    } else {
+      windows.push({ from, to, section: match.section });
+    }
+  }
+  return windows.map(window => {
+    while (window.from < window.to && !lines[window.from - 1].trim()) {
+      window.from++;
+    }
+    while (window.to > window.from && !lines[window.to - 1].trim()) {
+      window.to--;
+    }
+    return { ...window, text: lines.slice(window.from - 1, window.to).join('\n') };
+  });
+}
+
+/**
+ * Move the headings of a summary below the bundle's memory heading (## -> ####)
+ */
+function demoteHeadings(text) {
+  let inFence = false;
+  return text.split('\n').map(line => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+    }
+    return !inFence && /^#{1,4}\s/.test(line) ? `##${line}` : line;
+  }).join('\n');
+}
+
+/**
+ * Fence for a block of text, longer than any backtick run in it
+ */
+function fence(text) {
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+  return '`'.repeat(longest + 1);
+}
+
+/**
+ * Assemble search results into one markdown bundle within a budget
+ * Layers are added in order while they fit: index rows (layer 1), then
+ * summaries (layer 2), then conversation excerpts (layer 3); a summary or
+ * excerpt that does not fit is skipped for the next, smaller one
+ * @param {Function} t - Translator
+ * @param {string} query
+ * @param {Object[]} results - MemoryStore#search results, best first
+ * @param {Object} [options] - budget and unit (RECALL_DEFAULTS), excerpts and
+ *   excerptContext (BUNDLE_DEFAULTS), baseDir to give paths relative to, and
+ *   readFile, (memory, file name) => content or null, to read memory files
+ * @returns {{bundle: string, used: number, memories: Array<{id: string, status: string, score: number, layers: number[]}>}}
+ *   bundle is '' when not even one index row fits
+ */
+function buildBundle(t, query, results, options = {}) {
+  const { budget, unit, excerpts, excerptContext, baseDir, readFile = readMemoryFile } = { ...RECALL_DEFAULTS, ...BUNDLE_DEFAULTS, ...options };
+  const { columns } = getLocale(t.locale).index;
+  const parts = [];
+  const memories = [];
+  let used = 0;
+
+  // Adds a block (and the section heading when it is the section's first) if it fits
+  const add = (text, heading = null) => {
+    const size = measure(text, unit) + 2 + (heading ? measure(heading, unit) + 2 : 0);
+    if (used + size > budget) {
+      return false;
+    }
+    if (heading) {
+      parts.push(heading);
+    }
+    parts.push(text);
+    used += size;
+    return true;
+  };
+  const relative = file => (baseDir ? path.relative(baseDir, file) : file);
+
+  const title = t('recall.bundle.title', { query });
+  const table = [`| ${columns.join(' | ')} |`, `|${columns.map(c => '-'.repeat(c.length + 2)).join('|')}|`];
+  if (!add(`${title}\n\n## ${t('recall.bundle.index')}\n\n${table.join('\n')}`)) {
+    return { bundle: '', used: 0, memories };
+  }
+
+  // Layer 1: rows are one block, grown while they fit
+  const tableIndex = parts.length - 1;
+  for (const result of results) {
+    const row = formatIndexRow(t, result);
+    const size = measure(row, unit) + 1;
+    if (used + size > budget) {
+      break;
+    }
+    parts[tableIndex] += `\n${row}`;
+    used += size;
+    memories.push({ id: result.id, status: result.status, score: result.score, layers: [1], result });
+  }
+  if (memories.length === 0) {
+    return { bundle: '', used: 0, memories };
+  }
+
+  // Layer 2: summaries
+  let heading = `## ${t('recall.bundle.summaries')}`;
+  for (const item of memories) {
+    const summary = readSummaryBody(item.result, readFile);
+    const text = [
+      `### ${item.id} ${item.result.topic || t('unknownTopic')}`,
+      demoteHeadings(summary),
+      t('recall.conversation', { path: relative(path.join(item.result.path, 'conversation.md')) })
+    ].filter(Boolean).join('\n\n');
+    if (add(text, heading)) {
+      item.layers.push(2);
+      heading = null;
+    }
+  }
+
+  // Layer 3: conversation excerpts around the matches
+  heading = `## ${t('recall.bundle.excerpts')}`;
+  for (const item of memories) {
+    for (const excerpt of findExcerpts(item.result, excerpts, excerptContext, readFile)) {
+      const file = relative(path.join(item.result.path, 'conversation.md'));
+      const label = t('recall.bundle.excerpt', { id: item.id, file, from: excerpt.from, to: excerpt.to });
+      const marker = fence(excerpt.text);
+      const text = `### ${label}${excerpt.section ? ` (${excerpt.section})` : ''}\n\n${marker}\n${excerpt.text}\n${marker}`;
+      if (add(text, heading)) {
+        if (!item.layers.includes(3)) {
+          item.layers.push(3);
+        }
+        heading = null;
+      }
+    }
+  }
+
+  return {
+    bundle: parts.join('\n\n'),
+    used,
+    memories: memories.map(({ result, ...item }) => item)
+  };
+}
+
+/**
+ * Recall the memories matching a search query as one markdown bundle
+ * The memories in the bundle are recorded as accessed.
+ * @param {MemoryStore} store
+ * @param {Function} t - Translator
+ * @param {string} query - Search query (query.js syntax)
+ * @param {Object} [options] - budget, unit, limit (BUNDLE_DEFAULTS, default 5),
+ *   and status, type, mode as in MemoryStore#search
+ * @returns {{bundle: string, used: number, budget: number, unit: string, found: number,
+ *   memories: Array<{id: string, status: string, score: number, layers: number[]}>}}
+ */
+function recallBundle(store, t, query, options = {}) {
+  const settings = { ...RECALL_DEFAULTS, ...BUNDLE_DEFAULTS, ...options };
+  const { status = 'all', type, mode } = settings;
+  // Every matching line is asked for, excerpts are taken from the conversation ones
+  const results = store.search(query, { status, type, mode, limit: settings.limit, snippets: Infinity, track: false });
+  // Through the store: memories in cold storage are read from their bundle
+  const readFile = (memory, name) => store.readFile(memory, name);
+  const bundle = buildBundle(t, query, results, { baseDir: store.workDir, readFile, ...settings });
+  // Only the memories that made it into the bundle were used
+  const bundled = new Set(bundle.memories.map(memory => memory.id));
+  store.recordAccess(results.filter(result => bundled.has(result.id)));
+  return { ...bundle, budget: settings.budget, unit: settings.unit, found: results.length };
+}
+
+/**
+ * Append a recall to the injection log (one JSON object per line)
+ * @param {string} file - Log file
+ * @param {Object} entry
+ */
+function appendRecallLog(file, entry) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify({ time: new Date().toISOString(), ...entry }) + '\n', 'utf8');
+}
+
+module.exports = {
+  RECALL_DEFAULTS,
+  BUNDLE_DEFAULTS,
+  BUDGET_UNITS,
+  estimateTokens,
+  rankMemories,
+  buildContext,
+  recall,
+  buildBundle,
+  recallBundle,
+  appendRecallLog
+};
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTranslator } = require('./i18n');
+const { estimateTokens, recall, recallBundle } = require('./recall');
+const { handleRecall, getRecallLogFile } = require('./hooks');
+const { MemoryStore } = require('./memory_store');
+
+const translate = createTranslator('en');
+
+function createStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recall-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = new MemoryStore({ memoriesDir: path.join(dir, 'memories'), skillFile: null, locale: 'en', workDir: dir });
+  store.createFromInput({
+    topic: 'Webpack build caching',
+    keywords: ['webpack', 'cache'],
+    summary: 'Persistent filesystem cache for webpack builds. '.repeat(20)
+  }, { id: 'mem-20260111-143000' });
+  store.createFromInput({
+    topic: 'Release checklist',
+    keywords: ['release'],
+    summary: 'Steps before tagging a release.'
+  }, { id: 'mem-20260112-090000' });
+  return store;
+}
+
+test('tokens are estimated per four latin characters and per CJK character', () => {
+  assert.equal(estimateTokens('abcdefgh'), 2);
+  assert.equal(estimateTokens('记忆系统'), 4);
+  assert.equal(estimateTokens('记忆 abcd'), 4);
+});
+
+test('matching memories are recalled with their summary when it fits', t => {
+  const store = createStore(t);
+  const result = recall(store, translate, 'Why is the webpack cache not reused?');
+
+  assert.deepEqual(result.injected.map(entry => [entry.id, entry.layer]), [['mem-20260111-143000', 2]]);
+  assert.match(result.context, /Persistent filesystem cache/);
+  assert.match(result.context, /conversation\.md/);
+  assert.ok(result.used <= result.budget);
+});
+
+test('a small budget falls back to the index entry, then to nothing', t => {
+  const store = createStore(t);
+  const prompt = 'Why is the webpack cache not reused?';
+
+  const entry = recall(store, translate, prompt, { budget: 300 });
+  assert.deepEqual(entry.injected.map(item => item.layer), [1]);
+  assert.doesNotMatch(entry.context, /Persistent filesystem cache/);
+  assert.ok(entry.used <= 300);
+
+  assert.deepEqual(recall(store, translate, prompt, { budget: 20 }), { context: '', used: 0, injected: [], unit: 'chars', budget: 20 });
+  assert.ok(recall(store, translate, prompt, { budget: 100, unit: 'tokens' }).used <= 100);
+});
+
+test('the hook ranks like search and leaves accesses to what it injects', t => {
+  const store = createStore(t);
+  store.createFromInput({ topic: 'Webpack upgrade', keywords: ['webpack'], summary: 'Upgrade to webpack 5.' },
+    { id: 'mem-20260113-090000' });
+
+  const result = recall(store, translate, 'Is the webpak cache kept? status:deleted', { limit: 1 });
+  assert.deepEqual(result.injected.map(entry => entry.id), [store.search('webpack cache', { limit: 1, track: false })[0].id]);
+  assert.equal(store.get(result.injected[0].id).accessCount, 1);
+  assert.equal(store.get('mem-20260113-090000').accessCount + store.get('mem-20260111-143000').accessCount, 1);
+});
+
+test('the hook logs injected memories and nothing else', t => {
+  const store = createStore(t);
+  const log = getRecallLogFile(store);
+
+  assert.equal(handleRecall(store, translate, { session_id: 's1', prompt: 'What is for lunch?' }).action, 'none');
+  assert.equal(fs.existsSync(log), false);
+
+  const result = handleRecall(store, translate, { session_id: 's1', prompt: 'Tag the release' });
+  assert.equal(result.action, 'recalled');
+  const entries = fs.readFileSync(log, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].session, 's1');
+  assert.equal(entries[0].prompt, 'Tag the release');
+  assert.deepEqual(entries[0].injected.map(entry => entry.id), ['mem-20260112-090000']);
+  assert.equal(entries[0].used, result.used);
+});
+
+test('the recall command adds index rows, summaries and excerpts while they fit', t => {
+  const store = createStore(t);
+  store.createFromInput({
+    topic: 'Webpack upgrade',
+    keywords: ['webpack'],
+    summary: 'Upgrade to webpack 5.',
+    turns: [
+      { role: 'user', content: 'Does the webpack cache survive the upgrade?' },
+      { role: 'assistant', content: 'Yes, the filesystem cache format is kept.' }
+    ]
+  }, { id: 'mem-20260113-090000' });
+
+  const full = recallBundle(store, translate, 'webpack', { budget: 100000 });
+  assert.deepEqual(full.memories.map(memory => memory.id).sort(), ['mem-20260111-143000', 'mem-20260113-090000']);
+  const upgrade = full.memories.find(memory => memory.id === 'mem-20260113-090000');
+  assert.deepEqual(upgrade.layers, [1, 2, 3]);
+  assert.match(full.bundle, /Does the webpack cache survive the upgrade\?/);
+
+  const rows = recallBundle(store, translate, 'webpack', { budget: 400 });
+  assert.ok(rows.used <= 400);
+  assert.ok(rows.memories.length > 0);
+  assert.ok(rows.memories.every(memory => memory.layers.join() === '1'));
+  assert.doesNotMatch(rows.bundle, /Upgrade to webpack 5/);
+
+  assert.equal(recallBundle(store, translate, 'webpack', { budget: 10 }).bundle, '');
+  assert.ok(recallBundle(store, translate, 'webpack', { budget: 200, unit: 'tokens' }).used <= 200);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStore } = require('./memory_store');
+const { readDocument } = require('./search');
+
+function createStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-search-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new MemoryStore({ memoriesDir: path.join(dir, 'memories'), skillFile: null, locale: 'en' });
+}
+
+test('headings and template placeholders are not searched', t => {
+  const store = createStore(t);
+  const template = store.create('mem-20260101-100000');
+  const doc = readDocument(template, {}, store.tokenizer);
+
+  assert.deepEqual(doc.lines.filter(line => line.layer === 2).map(line => line.text), [
+    '- **Duration**: ~{N} minutes',
+    '- **Turns**: {N} turns'
+  ]);
+  for (const query of ['summary', 'decisions', 'files', 'todos', 'conversation']) {
+    assert.deepEqual(store.search(query, { track: false, fuzzy: false }), [], query);
+  }
+});
+
+test('lines keep the heading above them as their section', t => {
+  const store = createStore(t);
+  store.create('mem-20260101-100000');
+  store.createFromInput({ topic: 'Uploads', summary: 'Large files go to S3 in parts.' }, { id: 'mem-20260102-100000' });
+
+  const results = store.search('files', { track: false, fuzzy: false });
+  assert.deepEqual(results.map(r => r.id), ['mem-20260102-100000']);
+  assert.equal(results[0].snippets[0].section, 'Topic Summary');
+  assert.match(results[0].snippets[0].text, /\*\*files\*\*/i);
+});
+
+test('a match in the title ranks above one deeper in the memory', t => {
+  const store = createStore(t);
+  store.createFromInput({ topic: 'Deploy notes', summary: 'We talked about redis once.' }, { id: 'mem-20260101-100000' });
+  store.createFromInput({ topic: 'Redis caching', keywords: ['cache'] }, { id: 'mem-20260102-100000' });
+  store.createFromInput({ topic: 'Unrelated', summary: 'Nothing here.' }, { id: 'mem-20260103-100000' });
+
+  const results = store.search('redis', { track: false, fuzzy: false });
+  assert.deepEqual(results.map(r => r.id), ['mem-20260102-100000', 'mem-20260101-100000']);
+  assert.ok(results[0].score > results[1].score);
+});
@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+
+/**
+ * search_index.js - Persistent inverted index for search
+ *
+ * Ranking (search.js) needs the term counts of every memory layer. Reading
+ * every summary.md and conversation.md on each search gets slow once the
+ * archive holds hundreds of long conversations, so the counts are kept in
+ * search-index.json next to memories/:
+ *
+ *   {
+ *     "version": 3,
+ *     "dictionary": "<tokenizer signature>",
+ *     "memories": {
+ *       "mem-20260111-143000": {
+ *         "status": "active", "type": "decision", "lengths": [8, 120, 4310],
+ *         "files": {"summary.md": {"mtime": 1768142400000, "size": 1520, "hash": "..."}}
+ *       }
+ *     },
+ *     "postings": {"redis": {"mem-20260111-143000": [1, 3, 12]}}
+ *   }
+ *
+ * Postings hold the term count per layer (title/keywords, summary,
+ * conversation), lengths the term count of each layer. An index built with
+ * another tokenizer version or user dictionary is discarded and rebuilt.
+ *
+ * sync() updates the index incrementally: memories whose files kept their
+ * mtime and size are not read at all, changed files are hashed and only
+ * tokenized again when their content changed. A search then reads the
+ * postings of the query terms and the files of the results it shows, so its
+ * cost does not grow with the size of the conversations.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { readDocument, countLayerTerms } = require('./search');
+
+// Bumped when the index layout or tokenization changes, older indexes are rebuilt
+const SEARCH_INDEX_VERSION = 3;
+
+// Files indexed in each memory directory
+const INDEXED_FILES = ['summary.md', 'conversation.md'];
+
+/**
+ * Empty index data
+ */
+function emptyIndex(tokenizer) {
+  return { version: SEARCH_INDEX_VERSION, dictionary: tokenizer.signature, memories: {}, postings: {} };
+}
+
+/**
+ * mtime and size of the indexed files of a memory (null when missing)
+ * @param {MemoryStore} store
+ * @param {Object} entry - store.scan() entry
+ */
+function statFiles(store, entry) {
+  return Object.fromEntries(INDEXED_FILES.map(name => [name, store.statFile(entry, name)]));
+}
+
+/**
+ * Whether two file states are the same (hash when both have one, mtime and size otherwise)
+ */
+function sameFile(a, b, compare) {
+  if (!a || !b) {
+    return a === b;
+  }
+  return compare === 'hash' ? a.hash === b.hash : a.mtime === b.mtime && a.size === b.size;
+}
+
+/**
+ * SHA-1 of file content
+ */
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * Inverted index over memory layers, stored as JSON
+ */
+class SearchIndex {
+  /**
+   * @param {string} file - Index file, read when it exists
+   * @param {Object} tokenizer - tokenizer.js createTokenizer() result
+   */
+  constructor(file, tokenizer) {
+    this.file = file;
+    this.tokenizer = tokenizer;
+    this.data = emptyIndex(tokenizer);
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (data && data.version === SEARCH_INDEX_VERSION && data.dictionary === tokenizer.signature &&
+        data.memories && data.postings) {
+        this.data = data;
+      }
+    } catch (err) {
+      // Missing or unreadable, rebuilt by sync()
+    }
+  }
+
+  /**
+   * Indexed memories: id -> {status, type, lengths, files}
+   */
+  get memories() {
+    return this.data.memories;
+  }
+
+  /**
+   * Term counts per layer of the memories containing a term: id -> [title/keywords, summary, conversation]
+   * @param {string} term
+   */
+  postings(term) {
+    return Object.prototype.hasOwnProperty.call(this.data.postings, term) ? this.data.postings[term] : {};
+  }
+
+  /**
+   * Number of distinct terms
+   */
+  get termCount() {
+    return Object.keys(this.data.postings).length;
+  }
+
+  /**
+   * Every indexed term
+   * @returns {string[]}
+   */
+  get vocabulary() {
+    return Object.keys(this.data.postings);
+  }
+
+  /**
+   * Drop every memory
+   */
+  clear() {
+    this.data = emptyIndex(this.tokenizer);
+  }
+
+  /**
+   * Remove a memory from the index
+   */
+  remove(id) {
+    const entry = this.data.memories[id];
+    if (!entry) {
+      return;
+    }
+    for (const term of entry.terms) {
+      const postings = this.data.postings[term];
+      if (postings) {
+        delete postings[id];
+        if (Object.keys(postings).length === 0) {
+          delete this.data.postings[term];
+        }
+      }
+    }
+    delete this.data.memories[id];
+  }
+
+  /**
+   * Index a memory from its record and file contents
+   * @param {Object} memory - Memory record (MemoryStore#readMemory)
+   * @param {Object} contents - File name -> content (undefined when missing)
+   * @param {Object} files - File name -> {mtime, size, hash} or null
+   */
+  add(memory, contents, files) {
+    this.remove(memory.id);
+    const counts = countLayerTerms(readDocument(memory, contents, this.tokenizer));
+    for (const [term, tf] of counts.terms) {
+      if (!Object.prototype.hasOwnProperty.call(this.data.postings, term)) {
+        this.data.postings[term] = {};
+      }
+      this.data.postings[term][memory.id] = tf;
+    }
+    this.data.memories[memory.id] = {
+      status: memory.status,
+      type: memory.type,
+      lengths: counts.lengths,
+      files,
+      terms: [...counts.terms.keys()]
+    };
+  }
+
+  /**
+   * Bring the index up to date with a store's memory directories
+   * @param {MemoryStore} store
+   * @returns {{added: number, updated: number, removed: number}}
+   */
+  sync(store) {
+    const changes = { added: 0, updated: 0, removed: 0 };
+    const seen = new Set();
+
+    // Memories in cold storage are compared with their manifest record, and
+    // only read (from their bundle) when the index does not hold them
+    for (const memory of store.scan()) {
+      const { id, status } = memory;
+      seen.add(id);
+      const entry = this.data.memories[id];
+      const stats = statFiles(store, memory);
+      if (entry && INDEXED_FILES.every(name => sameFile(entry.files[name], stats[name]))) {
+        if (entry.status !== status) {
+          entry.status = status;
+          changes.updated++;
+        }
+        continue;
+      }
+
+      const contents = {};
+      const files = {};
+      for (const name of INDEXED_FILES) {
+        if (stats[name]) {
+          contents[name] = store.readFile(memory, name);
+          files[name] = { ...stats[name], hash: hashContent(contents[name]) };
+        } else {
+          files[name] = null;
+        }
+      }
+
+      // Touched but unchanged (e.g. copied or saved again): keep the postings
+      if (entry && INDEXED_FILES.every(name => sameFile(entry.files[name], files[name], 'hash'))) {
+        entry.files = files;
+        entry.status = status;
+        changes.updated++;
+        continue;
+      }
+
+      this.add(store.readMemory(id, status, memory.path, memory.bundle), contents, files);
+      changes[entry ? 'updated' : 'added']++;
+    }
+
+    for (const id of Object.keys(this.data.memories)) {
+      if (!seen.has(id)) {
+        this.remove(id);
+        changes.removed++;
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Write the index (through a temporary file, so readers never see half of it)
+   */
+  save() {
+    const tempFile = `${this.file}.tmp-${process.pid}`;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    try {
+      fs.writeFileSync(tempFile, JSON.stringify(this.data), 'utf8');
+      fs.renameSync(tempFile, this.file);
+    } catch (err) {
+      fs.rmSync(tempFile, { force: true });
+      throw err;
+    }
+  }
+}
+
+module.exports = {
+  SEARCH_INDEX_VERSION,
+  SearchIndex
+};
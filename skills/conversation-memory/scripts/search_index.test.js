@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SearchIndex } = require('./search_index');
+const { MemoryStore } = require('./memory_store');
+
+function createStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-index-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = new MemoryStore({ memoriesDir: path.join(dir, 'memories'), skillFile: null, locale: 'en' });
+  store.createFromInput({ topic: 'Redis session store', keywords: ['redis'], summary: 'Sessions move to redis.' },
+    { id: 'mem-20260111-143000' });
+  store.createFromInput({ topic: 'Release checklist', keywords: ['release'], summary: 'Steps before tagging.' },
+    { id: 'mem-20260112-090000' });
+  return store;
+}
+
+const ids = results => results.map(result => result.id);
+
+test('the index is written on first use and left alone while nothing changes', t => {
+  const store = createStore(t);
+
+  assert.deepEqual(ids(store.search('redis')), ['mem-20260111-143000']);
+  assert.ok(fs.existsSync(store.searchIndexFile));
+  const written = fs.statSync(store.searchIndexFile).mtimeMs;
+
+  const update = store.updateSearchIndex();
+  assert.deepEqual([update.added, update.updated, update.removed], [0, 0, 0]);
+  assert.equal(fs.statSync(store.searchIndexFile).mtimeMs, written);
+  assert.deepEqual(Object.keys(new SearchIndex(store.searchIndexFile, store.tokenizer).memories).sort(),
+    ['mem-20260111-143000', 'mem-20260112-090000']);
+});
+
+test('edited, moved and deleted memories are updated incrementally', t => {
+  const store = createStore(t);
+  store.updateSearchIndex();
+
+  const summary = path.join(store.get('mem-20260112-090000').path, 'summary.md');
+  fs.writeFileSync(summary, fs.readFileSync(summary, 'utf8').replace('Steps before tagging.', 'Bump the kubernetes chart.'));
+  let update = store.updateSearchIndex();
+  assert.deepEqual([update.added, update.updated, update.removed], [0, 1, 0]);
+  assert.deepEqual(ids(store.search('kubernetes')), ['mem-20260112-090000']);
+  assert.deepEqual(ids(store.search('tagging')), []);
+
+  store.archive('mem-20260111-143000');
+  update = store.updateSearchIndex();
+  assert.equal(update.index.memories['mem-20260111-143000'].status, 'archive');
+  assert.deepEqual(ids(store.search('redis', { status: 'active' })), []);
+
+  store.delete('mem-20260111-143000');
+  update = store.updateSearchIndex();
+  assert.deepEqual([update.added, update.updated, update.removed], [0, 0, 1]);
+  assert.deepEqual(update.index.postings('redis'), {});
+});
+
+test('files touched without a content change keep their postings', t => {
+  const store = createStore(t);
+  const before = store.updateSearchIndex().index.postings('redis');
+
+  const summary = path.join(store.get('mem-20260111-143000').path, 'summary.md');
+  fs.utimesSync(summary, new Date(2030, 0, 1), new Date(2030, 0, 1));
+  const update = store.updateSearchIndex();
+
+  assert.equal(update.updated, 1);
+  assert.deepEqual(update.index.postings('redis'), before);
+});
+
+test('an unreadable, outdated or other dictionary\'s index is rebuilt', t => {
+  const store = createStore(t);
+  fs.writeFileSync(store.searchIndexFile, '{"version": 0, "memories": {}, "postings": {}}');
+  assert.equal(store.updateSearchIndex().added, 2);
+
+  fs.writeFileSync(store.searchIndexFile, '{not json');
+  assert.deepEqual(ids(store.search('release')), ['mem-20260112-090000']);
+  assert.equal(store.updateSearchIndex({ rebuild: true }).added, 2);
+
+  fs.writeFileSync(store.dictionaryFile, 'redis session\n');
+  const withDictionary = new MemoryStore({ memoriesDir: store.memoriesDir, skillFile: null, locale: 'en' });
+  assert.equal(withDictionary.updateSearchIndex().added, 2);
+  assert.deepEqual(Object.keys(withDictionary.updateSearchIndex().index.postings('redis session')), ['mem-20260111-143000']);
+});
@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+
+/**
+ * sections.js - Read the standard sections of summary.md
+ *
+ * Key Decisions, Important Conclusions, TODOs and Related Files are found by
+ * their heading in any locale, including the variants of the type templates
+ * (e.g. "Action Items" in meeting memories), see headings.sections in the
+ * locale packs. Each list item or paragraph line of a section is one item:
+ *
+ *   {kind: 'todos', text: 'Write docs', line: 24, done: false, state: 'open'}
+ *
+ * Template placeholders left unfilled ({Decision 1}, ...) and hint lines in
+ * parentheses are skipped.
+ *
+ * collectSections() gathers one kind of item across memories, for the
+ * decisions, conclusions, todos and files commands. markTodo() rewrites the
+ * checkbox of a TODO in place (- [ ] -> - [x] or - [-]).
+ */
+
+const path = require('path');
+const { parseFrontmatter } = require('./frontmatter');
+const { allLocales } = require('./i18n');
+const { normalize } = require('./tokenizer');
+const { memoryDate } = require('./query');
+
+// Section kinds, in summary order
+const SECTION_KINDS = ['decisions', 'conclusions', 'todos', 'files'];
+
+// Checkbox mark -> TODO state
+const TODO_STATES = {
+  ' ': 'open',
+  x: 'done',
+  X: 'done',
+  '-': 'cancelled',
+  '~': 'cancelled'
+};
+
+// TODO state -> checkbox mark written by markTodo()
+const TODO_MARKS = {
+  open: ' ',
+  done: 'x',
+  cancelled: '-'
+};
+
+// Milliseconds per day, for item age
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Section kind of a heading ('Key Decisions' -> 'decisions'), null for other sections
+ */
+function sectionKind(heading) {
+  const key = heading.trim().toLowerCase();
+  for (const locale of allLocales()) {
+    for (const kind of SECTION_KINDS) {
+      if (locale.headings.sections[kind].some(name => name.toLowerCase() === key)) {
+        return kind;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a line is only template placeholders or a hint
+ */
+function isPlaceholder(text) {
+  if (/^[(（].*[)）]$/.test(text) || /^\.{3}$|^…$/.test(text)) {
+    return true;
+  }
+  return !/[\p{L}\p{N}]/u.test(text.replace(/\{[^}]*\}/g, '').replace(/[`*_]/g, ''));
+}
+
+/**
+ * Read one line of a section as an item, null for lines that are not one
+ */
+function parseItem(kind, raw, line) {
+  let text = raw.trim();
+  if (!text || /^<!--.*-->$/.test(text)) {
+    return null;
+  }
+  text = text.replace(/^(?:[-*+]|\d+[.)])\s+/, '');
+  const item = { kind, text, line };
+
+  const checkbox = text.match(/^\[([ xX~-])\]\s*(.*)$/);
+  if (checkbox) {
+    item.text = checkbox[2].trim();
+    if (kind === 'todos') {
+      item.state = TODO_STATES[checkbox[1]];
+      item.done = item.state !== 'open';
+    }
+  } else if (kind === 'todos') {
+    item.state = 'open';
+    item.done = false;
+  }
+  if (kind === 'files') {
+    const file = item.text.match(/^`([^`]+)`\s*(?:[-–—:：]\s*(.*))?$/);
+    item.path = file ? file[1] : item.text;
+    item.description = file && file[2] ? file[2].trim() : '';
+  }
+  return item.text && !isPlaceholder(item.text) ? item : null;
+}
+
+/**
+ * Items of the standard sections of a summary
+ * Indented lines under a list item continue it.
+ * @param {string} content - summary.md content
+ * @returns {{decisions: Object[], conclusions: Object[], todos: Object[], files: Object[]}}
+ *   Items with kind, text, line (1-based in the file), heading; TODOs also have
+ *   state (open, done, cancelled) and done, files path and description
+ */
+function parseSections(content) {
+  const result = Object.fromEntries(SECTION_KINDS.map(kind => [kind, []]));
+  const { data, body } = parseFrontmatter(content);
+  const lines = content.split('\n');
+  // Line number of the body's first line
+  const offset = data ? lines.length - body.split('\n').length : 0;
+  let kind = null;
+  let heading = null;
+  let inFence = false;
+  let last = null;
+
+  body.split('\n').forEach((raw, i) => {
+    if (/^\s*(```|~~~)/.test(raw)) {
+      inFence = !inFence;
+      return;
+    }
+    const title = inFence ? null : raw.match(/^#{1,6}\s+(.*?)\s*#*\s*$/);
+    if (title) {
+      heading = title[1];
+      kind = sectionKind(heading);
+      last = null;
+      return;
+    }
+    if (!kind || inFence) {
+      return;
+    }
+    if (last && /^\s{2,}\S/.test(raw) && !/^\s*(?:[-*+]|\d+[.)])\s/.test(raw)) {
+      last.text += ` ${raw.trim()}`;
+      return;
+    }
+    const item = parseItem(kind, raw, offset + i + 1);
+    if (item) {
+      item.heading = heading;
+      result[kind].push(item);
+    }
+    last = item;
+  });
+  return result;
+}
+
+/**
+ * Set the state of the TODO on a line, other lines are kept as they are
+ * A TODO written without a checkbox gets one.
+ * @param {string} content - summary.md content
+ * @param {number} line - 1-based line of the TODO (parseSections() item line)
+ * @param {string} state - open, done or cancelled
+ * @returns {{content: string, item: Object}|null} New content and the TODO as it
+ *   was, null when there is no TODO on that line
+ */
+function markTodo(content, line, state) {
+  const item = parseSections(content).todos.find(todo => todo.line === line);
+  if (!item) {
+    return null;
+  }
+  const lines = content.split('\n');
+  lines[line - 1] = lines[line - 1].replace(/^(\s*)((?:[-*+]|\d+[.)])\s+)?(?:\[[ xX~-]\]\s*)?/,
+    (match, indent, bullet) => `${indent}${bullet || '- '}[${TODO_MARKS[state]}] `);
+  return { content: lines.join('\n'), item };
+}
+
+/**
+ * Whether a memory or one of its items mentions a keyword
+ * Synonyms and translations of the keyword count (synonyms.js, translations.js)
+ */
+function mentions(store, keyword) {
+  const words = [keyword, ...store.synonyms.alternatives(keyword), ...store.translations.alternatives(keyword)]
+    .map(word => normalize(word).trim())
+    .filter(Boolean);
+  return text => {
+    const normalized = normalize(String(text || ''));
+    return words.some(word => normalized.includes(word));
+  };
+}
+
+/**
+ * Items of one section kind across memories, newest memory first, in
+ * summary order within a memory
+ * @param {MemoryStore} store
+ * @param {string} kind - One of SECTION_KINDS
+ * @param {Object} [options]
+ * @param {'active'|'archive'|'all'} [options.status='all']
+ * @param {string} [options.type] - Only memories of this type
+ * @param {string} [options.keyword] - Only items mentioning it, or all items of
+ *   memories with it in their title or keywords
+ * @param {string} [options.since] - 'YYYY-MM-DD', memories created on or after this day
+ * @param {string} [options.until] - 'YYYY-MM-DD', memories created on or before this day
+ * @returns {Object[]} parseSections() items with the memory's id, status, type, topic,
+ *   date ('YYYY-MM-DD') and age (whole days since it was created), and file (its summary.md)
+ */
+function collectSections(store, kind, options = {}) {
+  const { status = 'all', type = 'all', keyword, since, until } = options;
+  const matches = keyword ? mentions(store, keyword) : null;
+  const items = [];
+
+  const memories = store.list({ status, type })
+    .filter(memory => memory.hasSummary)
+    .map(memory => ({ memory, date: memoryDate(memory) }))
+    .filter(({ date }) => !(since && date < since) && !(until && date > until))
+    .sort((a, b) => b.date.localeCompare(a.date) || b.memory.id.localeCompare(a.memory.id));
+  for (const { memory, date } of memories) {
+    const file = path.join(memory.path, 'summary.md');
+    const age = Math.max(0, Math.floor((Date.now() - (memory.created || memory.mtime)) / DAY_MS));
+    const memoryMatches = !matches || matches(memory.topic) || memory.keywords.some(matches);
+    // Through the store: memories in cold storage are read from the manifest
+    for (const item of parseSections(store.readFile(memory, 'summary.md'))[kind]) {
+      if (memoryMatches || matches(item.text) || (item.path && matches(item.path))) {
+        items.push({ ...item, id: memory.id, status: memory.status, type: memory.type, topic: memory.topic, date, age, file });
+      }
+    }
+  }
+  return items;
+}
+
+module.exports = {
+  SECTION_KINDS,
+  TODO_STATES,
+  TODO_MARKS,
+  sectionKind,
+  isPlaceholder,
+  parseSections,
+  markTodo,
+  collectSections
+};
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseSections, markTodo } = require('./sections');
+const { MemoryStore } = require('./memory_store');
+
+const SUMMARY = `---
+version: 1
+id: mem-20260111-143000
+---
+
+# Conversation Memory: Release
+
+## Key Decisions
+
+1. Ship on Friday
+2. {Decision 2}
+
+## TODOs
+
+- [ ] Write docs
+  for the CLI
+- [x] Tag v1
+- Announce it
+* [~] Old idea
+- [ ] {Todo 2}
+
+(Delete this section if no TODOs)
+
+## Related Files
+
+- \`scripts/memory.js\` - CLI
+`;
+
+test('sections list their items without template placeholders', () => {
+  const sections = parseSections(SUMMARY);
+
+  assert.deepEqual(sections.decisions.map(item => item.text), ['Ship on Friday']);
+  assert.deepEqual(sections.todos.map(({ text, state, line }) => ({ text, state, line })), [
+    { text: 'Write docs for the CLI', state: 'open', line: 15 },
+    { text: 'Tag v1', state: 'done', line: 17 },
+    { text: 'Announce it', state: 'open', line: 18 },
+    { text: 'Old idea', state: 'cancelled', line: 19 }
+  ]);
+  assert.deepEqual(sections.files.map(({ path, description }) => ({ path, description })),
+    [{ path: 'scripts/memory.js', description: 'CLI' }]);
+});
+
+test('items are collected across memories, newest first, by keyword and date', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sections-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = new MemoryStore({ memoriesDir: path.join(dir, 'memories'), skillFile: null, locale: 'en' });
+  store.createFromInput({ topic: 'Cache layer', keywords: ['redis'], decisions: ['Use redis', 'Expire after 1h'] },
+    { id: 'mem-20260111-143000' });
+  store.createFromInput({ topic: 'Deploys', decisions: ['Deploy with helm'], todos: ['Move redis config to helm'] },
+    { id: 'mem-20260201-090000' });
+  store.updateMetadata('mem-20260111-143000', { created: '2026-01-11T14:30:00' });
+  store.updateMetadata('mem-20260201-090000', { created: '2026-02-01T09:00:00' });
+  store.archive('mem-20260111-143000');
+
+  const text = items => items.map(item => `${item.id} ${item.text}`);
+  assert.deepEqual(text(store.sections('decisions')), [
+    'mem-20260201-090000 Deploy with helm',
+    'mem-20260111-143000 Use redis',
+    'mem-20260111-143000 Expire after 1h'
+  ]);
+  assert.deepEqual(text(store.sections('decisions', { keyword: 'redis' })),
+    ['mem-20260111-143000 Use redis', 'mem-20260111-143000 Expire after 1h']);
+  assert.deepEqual(text(store.sections('todos', { keyword: 'redis' })), ['mem-20260201-090000 Move redis config to helm']);
+  assert.deepEqual(text(store.sections('decisions', { status: 'active', since: '2026-02-01' })),
+    ['mem-20260201-090000 Deploy with helm']);
+  assert.deepEqual(store.sections('decisions', { until: '2026-01-31' }).map(item => item.status), ['archive', 'archive']);
+});
+
+test('markTodo changes only the checkbox of its line', () => {
+  const { content, item } = markTodo(SUMMARY, 15, 'done');
+  const lines = content.split('\n');
+
+  assert.equal(item.state, 'open');
+  assert.equal(lines[14], '- [x] Write docs');
+  assert.equal(lines[15], '  for the CLI');
+  assert.deepEqual(lines.filter((_, i) => i !== 14), SUMMARY.split('\n').filter((_, i) => i !== 14));
+});
+
+test('markTodo keeps the bullet and adds a missing checkbox', () => {
+  assert.equal(markTodo(SUMMARY, 17, 'open').content.split('\n')[16], '- [ ] Tag v1');
+  assert.equal(markTodo(SUMMARY, 18, 'cancelled').content.split('\n')[17], '- [-] Announce it');
+  assert.equal(markTodo(SUMMARY, 19, 'done').content.split('\n')[18], '* [x] Old idea');
+});
+
+test('markTodo finds no TODO on other lines', () => {
+  assert.equal(markTodo(SUMMARY, 10, 'done'), null);
+  assert.equal(markTodo(SUMMARY, 16, 'done'), null);
+  assert.equal(markTodo(SUMMARY, 20, 'done'), null);
+});
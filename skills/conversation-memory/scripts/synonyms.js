@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * synonyms.js - Words that stand for each other
+ *
+ * synonyms.txt in the data directory has one group per line, separated by
+ * commas, preferred form first (# starts a comment):
+ *
+ *   authentication, auth, login, sign-in
+ *   postgres, postgresql, pg
+ *
+ * Each word of a group stands for the others:
+ *
+ * - search: "authentication" also finds memories about "auth" or "login"
+ * - recall: a prompt mentioning "login" recalls a memory keyed "auth"
+ * - keywords: index.md and SKILL.md list a group once, under its preferred form
+ *
+ * Words of more than one term (e.g. "single sign-on", or Chinese words of
+ * more than two characters) match when all their terms are found.
+ */
+
+const fs = require('fs');
+const { normalize, isCjkTerm, defaultTokenizer } = require('./tokenizer');
+
+/**
+ * Key a word is looked up by: full-width folded, lowercase, single spaces
+ */
+function aliasKey(text) {
+  return normalize(text).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Language of a word for cross-language groups: CJK or not
+ */
+function script(terms) {
+  return terms.some(isCjkTerm) ? 'cjk' : 'latin';
+}
+
+/**
+ * Parse synonym groups, one per line
+ * @returns {string[][]} Groups of two or more words
+ */
+function parseSynonyms(content) {
+  return content.split('\n')
+    .map(line => line.replace(/#.*$/, '').split(/[,，、]/).map(word => word.trim()).filter(Boolean))
+    .filter(group => group.length > 1);
+}
+
+/**
+ * Read a synonym file, no groups when it does not exist
+ */
+function loadSynonyms(file) {
+  return file && fs.existsSync(file) ? parseSynonyms(fs.readFileSync(file, 'utf8')) : [];
+}
+
+/**
+ * Build lookups for synonym groups
+ * @param {string[][]} groups - parseSynonyms() result
+ * @param {Object} [tokenizer] - tokenizer.js createTokenizer() result
+ * @param {Object} [options]
+ * @param {boolean} [options.crossLanguage] - A word only stands for the words of
+ *   the group in the other script (CJK or latin), for translations.js
+ * @returns {{groups: Object[], preferred: Function, alternatives: Function, expand: Function}}
+ */
+function createSynonyms(groups, tokenizer = defaultTokenizer, { crossLanguage = false } = {}) {
+  const built = groups.map(words => ({
+    aliases: words.map(text => {
+      const terms = tokenizer.tokenize(text);
+      return { text, key: aliasKey(text), terms, script: script(terms) };
+    }).filter(alias => alias.key && alias.terms.length > 0)
+  })).filter(group => group.aliases.length > 1);
+  // Whether one word of a group stands for another
+  const standsFor = (alias, other) => other.key !== alias.key && (!crossLanguage || other.script !== alias.script);
+  built.forEach(group => {
+    group.preferred = group.aliases[0].text;
+  });
+
+  const byKey = new Map();
+  for (const group of built) {
+    for (const alias of group.aliases) {
+      if (!byKey.has(alias.key)) {
+        byKey.set(alias.key, []);
+      }
+      byKey.get(alias.key).push(group);
+    }
+  }
+
+  return {
+    groups: built,
+
+    /**
+     * Preferred form of a word's group, null when it has none
+     */
+    preferred(text) {
+      const found = byKey.get(aliasKey(text));
+      return found ? found[0].preferred : null;
+    },
+
+    /**
+     * The other words of every group a word is in
+     * @returns {string[]}
+     */
+    alternatives(text) {
+      const key = aliasKey(text);
+      const result = new Set();
+      for (const group of byKey.get(key) || []) {
+        const self = group.aliases.find(alias => alias.key === key);
+        group.aliases.filter(alias => standsFor(self, alias)).forEach(alias => result.add(alias.text));
+      }
+      return [...result];
+    },
+
+    /**
+     * Words of a query that have synonyms
+     * @param {Iterable<string>} queryTerms - Terms of the query
+     * @returns {Array<{text: string, terms: string[], alternatives: Array<{text: string, terms: string[]}>}>}
+     *   The word found in the query (all its terms are there) and what it stands for
+     */
+    expand(queryTerms) {
+      const present = new Set(queryTerms);
+      const result = [];
+      const seen = new Set();
+      for (const group of built) {
+        for (const alias of group.aliases) {
+          if (seen.has(alias.key) || !alias.terms.every(term => present.has(term))) {
+            continue;
+          }
+          seen.add(alias.key);
+          const alternatives = (byKey.get(alias.key) || [])
+            .flatMap(g => g.aliases)
+            .filter(other => standsFor(alias, other))
+            .map(other => ({ text: other.text, terms: other.terms }));
+          result.push({ text: alias.text, terms: alias.terms, alternatives });
+        }
+      }
+      return result;
+    }
+  };
+}
+
+module.exports = {
+  parseSynonyms,
+  loadSynonyms,
+  createSynonyms
+};
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+/**
+ * templates.js - Memory file templates
+ *
+ * summary.md and conversation.md are rendered from template files, first
+ * match wins:
+ *
+ * Typed memories (save --type bug) use the template named after their type
+ * (bug.md, bug_template.md) instead of summary.
+ *
+ *   1. <data>/templates/<locale>/<name>.md   Project override for one language
+ *   2. <data>/templates/<name>.md            Project override
+ *   3. <skill>/references/<name>_template.md The ```markdown block of the
+ *                                            bundled reference (skill language only)
+ *   4. Locale pack built-in                  When no file is available
+ *
+ * Overrides live in the data directory so they survive skill upgrades.
+ *
+ * {{name}} variables are replaced when rendering (see templateVariables);
+ * unknown variables and {placeholders} for Claude to fill are left as is.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// Template name -> bundled reference file
+const TEMPLATE_FILES = {
+  summary: 'summary_template.md',
+  conversation: 'conversation_template.md',
+  decision: 'decision_template.md',
+  bug: 'bug_template.md',
+  'how-to': 'how-to_template.md',
+  meeting: 'meeting_template.md',
+  research: 'research_template.md'
+};
+
+// First ```markdown block of a reference file
+const REFERENCE_BLOCK_PATTERN = /^```markdown\r?\n([\s\S]*?)^```[ \t]*$/m;
+
+/**
+ * Template names
+ */
+function templateNames() {
+  return Object.keys(TEMPLATE_FILES);
+}
+
+/**
+ * Extract the template from a reference file (its first ```markdown block)
+ * @returns {string|null}
+ */
+function extractReferenceTemplate(content) {
+  const match = content.match(REFERENCE_BLOCK_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * Find template for a memory file
+ * @param {string} name - 'summary' | 'conversation'
+ * @param {Object} options
+ * @param {Object} options.locale - Locale pack
+ * @param {string} [options.templatesDir] - Project override directory
+ * @param {string} [options.referencesDir] - Bundled references directory
+ * @param {string} [options.referencesLocale] - Language of the bundled references
+ * @returns {{name: string, source: string, path: string|null, content: string}}
+ *   source is 'override', 'reference' or 'builtin'
+ */
+function loadTemplate(name, { locale, templatesDir, referencesDir, referencesLocale }) {
+  if (templatesDir) {
+    for (const file of [path.join(templatesDir, locale.code, `${name}.md`), path.join(templatesDir, `${name}.md`)]) {
+      if (fs.existsSync(file)) {
+        return { name, source: 'override', path: file, content: fs.readFileSync(file, 'utf8') };
+      }
+    }
+  }
+
+  if (referencesDir && referencesLocale === locale.code) {
+    const file = path.join(referencesDir, TEMPLATE_FILES[name]);
+    const content = fs.existsSync(file) ? extractReferenceTemplate(fs.readFileSync(file, 'utf8')) : null;
+    if (content) {
+      return { name, source: 'reference', path: file, content };
+    }
+  }
+
+  return { name, source: 'builtin', path: null, content: locale.templates[name] };
+}
+
+/**
+ * Run git and return trimmed stdout, '' on any failure
+ */
+function git(args, cwd) {
+  try {
+    return execFileSync('git', args, {
+      cwd,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      timeout: 2000
+    }).trim();
+  } catch (err) {
+    return '';
+  }
+}
+
+/**
+ * Author name: GIT_AUTHOR_NAME, git user.name, then the OS user
+ */
+function getAuthor(cwd) {
+  if (process.env.GIT_AUTHOR_NAME) {
+    return process.env.GIT_AUTHOR_NAME;
+  }
+  const name = git(['config', 'user.name'], cwd);
+  if (name) {
+    return name;
+  }
+  try {
+    return os.userInfo().username;
+  } catch (err) {
+    return '';
+  }
+}
+
+/**
+ * Current git branch of the project, '' outside a repository or when detached
+ */
+function getBranch(cwd) {
+  return git(['symbolic-ref', '--short', '-q', 'HEAD'], cwd);
+}
+
+/**
+ * Variables available to templates
+ * author and branch are functions so git only runs when a template uses them
+ * @param {Object} options
+ * @param {string} options.id - Memory id
+ * @param {string} [options.type] - Memory type
+ * @param {Date} options.now - Creation time
+ * @param {Object} options.locale - Locale pack
+ * @param {string} [options.workDir] - Project directory for git lookups
+ */
+function templateVariables({ id, type = 'general', now, locale, workDir }) {
+  const pad = n => String(n).padStart(2, '0');
+  const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  const time = `${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`;
+  const cwd = workDir || process.cwd();
+
+  return {
+    id,
+    type,
+    title: locale.templates.titlePlaceholder,
+    date,
+    time: `${date} ${time}`,
+    created: now.toISOString(),
+    language: locale.code,
+    author: () => getAuthor(cwd),
+    branch: () => getBranch(cwd)
+  };
+}
+
+/**
+ * Replace {{name}} template variables
+ * Function values are called once, on first use
+ */
+function renderTemplate(template, vars) {
+  const cache = {};
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+    if (vars[name] === undefined) {
+      return match;
+    }
+    if (!(name in cache)) {
+      cache[name] = typeof vars[name] === 'function' ? vars[name]() : vars[name];
+    }
+    return String(cache[name]);
+  });
+}
+
+module.exports = {
+  templateNames,
+  extractReferenceTemplate,
+  loadTemplate,
+  templateVariables,
+  renderTemplate,
+  getAuthor,
+  getBranch
+};
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getLocale } = require('./i18n');
+const { extractReferenceTemplate, loadTemplate, renderTemplate } = require('./templates');
+const { MemoryStore, parseSummary } = require('./memory_store');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('variables are replaced once, unknown ones and placeholders are kept', () => {
+  let calls = 0;
+  const vars = { id: 'mem-1', author: () => { calls++; return 'Ada'; } };
+
+  assert.equal(renderTemplate('{{id}} {{author}} {{author}} {{branch}} {Topic}', vars),
+    'mem-1 Ada Ada {{branch}} {Topic}');
+  assert.equal(calls, 1);
+});
+
+test('references provide the first markdown block', () => {
+  assert.equal(extractReferenceTemplate('# Reference\n\n```markdown\n# {{title}}\n```\n\n```markdown\nsecond\n```\n'),
+    '# {{title}}\n');
+  assert.equal(extractReferenceTemplate('# No block'), null);
+});
+
+test('a locale override wins over the project override, references and built-ins', t => {
+  const dir = tempDir(t);
+  const templatesDir = path.join(dir, 'templates');
+  const referencesDir = path.join(dir, 'references');
+  fs.mkdirSync(path.join(templatesDir, 'zh'), { recursive: true });
+  fs.mkdirSync(referencesDir);
+  fs.writeFileSync(path.join(referencesDir, 'summary_template.md'), '```markdown\nreference\n```\n');
+  const sources = { templatesDir, referencesDir, referencesLocale: 'en' };
+  const load = code => loadTemplate('summary', { ...sources, locale: getLocale(code) });
+
+  assert.equal(load('en').source, 'reference');
+  assert.equal(load('zh').source, 'builtin');
+
+  fs.writeFileSync(path.join(templatesDir, 'summary.md'), 'project');
+  assert.equal(load('en').content, 'project');
+
+  fs.writeFileSync(path.join(templatesDir, 'zh', 'summary.md'), 'project zh');
+  assert.equal(load('zh').content, 'project zh');
+  assert.equal(load('en').content, 'project');
+});
+
+test('new memories use the override, keeping the fields the script owns', t => {
+  const dir = tempDir(t);
+  const store = new MemoryStore({ memoriesDir: path.join(dir, 'memories'), skillFile: null, locale: 'en' });
+  fs.mkdirSync(store.templatesDir, { recursive: true });
+  fs.writeFileSync(path.join(store.templatesDir, 'summary.md'),
+    '---\nid: other\ntitle: Standup {{date}}\nteam: platform\nowner:\n---\n\n# {{id}}\n');
+
+  const memory = store.create('mem-20260111-143000');
+  const summary = fs.readFileSync(path.join(memory.path, 'summary.md'), 'utf8');
+  const { meta } = parseSummary(summary);
+
+  assert.equal(meta.id, 'mem-20260111-143000');
+  assert.match(meta.title, /^Standup \d{4}-\d{2}-\d{2}$/);
+  assert.equal(meta.team, 'platform');
+  assert.equal('owner' in meta, false);
+  assert.match(summary, /^# mem-20260111-143000$/m);
+});
+
+test('typed memories use their type\'s template and can be listed by type', t => {
+  const dir = tempDir(t);
+  const store = new MemoryStore({ memoriesDir: path.join(dir, 'memories'), skillFile: null, locale: 'en' });
+  const bug = store.create('mem-20260111-143000', { type: 'bug' });
+  store.create('mem-20260111-150000');
+  store.reindex();
+
+  const summary = fs.readFileSync(path.join(bug.path, 'summary.md'), 'utf8');
+  assert.equal(parseSummary(summary).type, 'bug');
+  assert.match(summary, /^## Root Cause$/m);
+  assert.deepEqual(store.list({ type: 'bug' }).map(m => m.id), ['mem-20260111-143000']);
+  assert.deepEqual(store.list({ type: 'general' }).map(m => m.id), ['mem-20260111-150000']);
+  assert.deepEqual(store.stats().types, { general: 1, bug: 1 });
+  assert.match(fs.readFileSync(store.indexFile, 'utf8'), /^\| mem-20260111-143000 \| bug \|/m);
+  assert.throws(() => store.create('mem-20260111-160000', { type: 'incident' }), { code: 'INVALID_TYPE' });
+});
+
+test('typed input is laid out by its type\'s template', t => {
+  const dir = tempDir(t);
+  const store = new MemoryStore({ memoriesDir: path.join(dir, 'memories'), skillFile: null, locale: 'en' });
+  const bug = store.createFromInput({
+    topic: 'Login loop',
+    type: 'bug',
+    summary: 'Users were sent back to the login page.',
+    sections: { fix: 'Keep the session cookie.', 'root cause': 'The cookie path was wrong.', Notes: 'Seen on staging only.' },
+    files: ['auth.js']
+  });
+  const meeting = store.createFromInput({ topic: 'Planning', type: 'meeting', decisions: ['Ship on Friday'], todos: ['Write docs'] });
+
+  const headings = memory => fs.readFileSync(path.join(memory.path, 'summary.md'), 'utf8').match(/^## .*$/gm);
+  assert.deepEqual(headings(bug),
+    ['## Topic Summary', '## Root Cause', '## Fix', '## Notes', '## Related Files', '## Tracing']);
+  assert.deepEqual(headings(meeting), ['## Decisions', '## Action Items', '## Tracing']);
+});
+
+test('summaries without a type are general', () => {
+  assert.equal(parseSummary('---\nversion: 1\ntitle: Old\n---\n').type, 'general');
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTokenizer, loadDictionary, normalize, tokenize, tokenSpans } = require('./tokenizer');
+const { MemoryStore, collectAllKeywords } = require('./memory_store');
+
+test('CJK runs become overlapping bigrams, single characters stay whole', () => {
+  assert.deepEqual(tokenize('缓存方案'), ['缓存', '存方', '方案']);
+  assert.deepEqual(tokenize('用 redis 的锁'), ['用', 'redis', '的锁']);
+  assert.deepEqual(tokenize('API接口'), ['api', '接口']);
+  assert.deepEqual(tokenize("follow-up api_v2 don't"), ['follow-up', 'api_v2', "don't"]);
+});
+
+test('full-width letters, digits and punctuation fold to half-width', () => {
+  assert.equal(normalize('Ｒｅｄｉｓ６，ＡＰＩ'), 'redis6,api');
+  assert.deepEqual(tokenize('Ｒｅｄｉｓ缓存'), ['redis', '缓存']);
+});
+
+test('spans point into the original text', () => {
+  const text = 'Ｒｅｄｉｓ 缓存';
+  const spans = tokenSpans(text);
+
+  assert.deepEqual(spans.map(span => text.slice(span.start, span.end)), ['Ｒｅｄｉｓ', '缓存']);
+});
+
+test('dictionary words are terms too, but never inside a latin word', () => {
+  const tokenizer = createTokenizer(['Vue3组件', 'java']);
+
+  assert.deepEqual(tokenizer.tokenize('vue3组件'), ['vue3组件', 'vue3', '组件']);
+  assert.deepEqual(tokenizer.tokenize('java 与 javascript'), ['java', '与', 'javascript']);
+  assert.notEqual(tokenizer.signature, createTokenizer().signature);
+  assert.equal(createTokenizer(['java', 'vue3组件']).signature, tokenizer.signature);
+});
+
+test('dictionary files skip comments and blank lines', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokenizer-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'dictionary.txt');
+  fs.writeFileSync(file, '# project words\nnode.js\n\n  向量检索  \n');
+
+  assert.deepEqual(loadDictionary(file), ['node.js', '向量检索']);
+  assert.deepEqual(loadDictionary(path.join(dir, 'missing.txt')), []);
+});
+
+test('Chinese text is found by any of its words, full-width spellings included', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokenizer-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = new MemoryStore({ memoriesDir: path.join(dir, 'memories'), skillFile: null, locale: 'zh' });
+  store.createFromInput({ topic: '缓存方案设计', keywords: ['Ｒｅｄｉｓ'], summary: '决定使用分布式锁。' },
+    { id: 'mem-20260111-143000' });
+
+  for (const query of ['方案', '分布式', 'redis', 'ＲＥＤＩＳ']) {
+    assert.deepEqual(store.search(query).map(result => result.id), ['mem-20260111-143000'], query);
+  }
+  assert.deepEqual(collectAllKeywords([{ keywords: ['Ｒｅｄｉｓ', 'redis', '缓存'] }]), ['Ｒｅｄｉｓ', '缓存']);
+});
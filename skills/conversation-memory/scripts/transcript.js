@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+
+/**
+ * transcript.js - Read Claude Code session transcripts
+ *
+ * Claude Code writes every session to
+ * ~/.claude/projects/<project>/<session-id>.jsonl, one record per line:
+ *
+ *   {"type": "user", "timestamp": "...", "message": {"role": "user", "content": "..."}}
+ *   {"type": "assistant", "timestamp": "...", "message": {"content": [{"type": "text", ...}]}}
+ *
+ * parseTranscript turns those records into the turns of memory_input.js,
+ * so conversation.md is rendered from the real session instead of retyped:
+ *
+ * - One assistant turn per user prompt (tool round trips are merged into it)
+ * - Tool calls are kept as {name, input} summaries, tool results are left out
+ * - Images and documents sent by the user become attachments
+ * - Meta records, sidechains (subagents) and thinking blocks are skipped
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Tool input fields that describe a call best, first match wins
+const TOOL_INPUT_FIELDS = ['command', 'file_path', 'notebook_path', 'path', 'pattern', 'url', 'query', 'description', 'prompt'];
+
+// Longest tool input summary kept in conversation.md
+const MAX_TOOL_INPUT = 200;
+
+/**
+ * Directory holding a project's transcripts
+ * Claude Code names it after the project path with every other character
+ * than letters and digits replaced by '-'
+ * @param {string} workDir - Project directory
+ * @param {string} [home] - Home directory
+ */
+function getTranscriptsDir(workDir, home = os.homedir()) {
+  return path.join(home, '.claude', 'projects', path.resolve(workDir).replace(/[^a-zA-Z0-9]/g, '-'));
+}
+
+/**
+ * Most recently modified transcript of a project
+ * @returns {string|null} Transcript path, null when there is none
+ */
+function findLatestTranscript(workDir, home) {
+  const dir = getTranscriptsDir(workDir, home);
+  if (!fs.existsSync(dir)) {
+    return null;
+  }
+  const files = fs.readdirSync(dir)
+    .filter(name => name.endsWith('.jsonl'))
+    .map(name => path.join(dir, name))
+    .map(file => ({ file, mtime: fs.statSync(file).mtimeMs }))
+    .sort((a, b) => b.mtime - a.mtime);
+  return files.length > 0 ? files[0].file : null;
+}
+
+/**
+ * Summarize tool input on one line
+ */
+function summarizeToolInput(input) {
+  if (!input || typeof input !== 'object') {
+    return '';
+  }
+  const field = TOOL_INPUT_FIELDS.find(name => typeof input[name] === 'string' && input[name]);
+  const text = (field ? input[field] : JSON.stringify(input)).replace(/\s+/g, ' ').trim();
+  return text.length > MAX_TOOL_INPUT ? text.substring(0, MAX_TOOL_INPUT) + '...' : text;
+}
+
+/**
+ * Describe an image or document block sent by the user
+ */
+function describeAttachment(block) {
+  const source = block.source || {};
+  if (block.type === 'image') {
+    return source.media_type ? `image (${source.media_type})` : 'image';
+  }
+  return block.title || source.media_type || 'document';
+}
+
+/**
+ * Rewrite slash command records (<command-name>/foo</command-name>) as typed
+ * @returns {string|null} Command line, null when the text is not a command
+ */
+function parseCommand(text) {
+  const name = text.match(/<command-name>([\s\S]*?)<\/command-name>/);
+  if (!name) {
+    return null;
+  }
+  const args = text.match(/<command-args>([\s\S]*?)<\/command-args>/);
+  return [name[1].trim(), args ? args[1].trim() : ''].filter(Boolean).join(' ');
+}
+
+/**
+ * Split message content into text, tool calls, attachments and tool results
+ */
+function readContent(content) {
+  const blocks = typeof content === 'string' ? [{ type: 'text', text: content }] : (content || []);
+  const result = { text: [], tools: [], attachments: [], toolResults: 0 };
+
+  for (const block of blocks) {
+    if (!block) {
+      continue;
+    }
+    if (block.type === 'text' && block.text) {
+      result.text.push(block.text);
+    } else if (block.type === 'tool_use') {
+      result.tools.push({ name: block.name, input: summarizeToolInput(block.input) });
+    } else if (block.type === 'tool_result') {
+      result.toolResults++;
+    } else if (block.type === 'image' || block.type === 'document') {
+      result.attachments.push(describeAttachment(block));
+    }
+  }
+  return result;
+}
+
+/**
+ * Parse transcript JSONL into conversation turns
+ * Lines that are not valid JSON (e.g. a partially written last line) are skipped
+ * @param {string} text - Transcript content
+ * @returns {{sessionId: string|null, endTime: string, turns: Array<{role: string, content: string, time: string, tools: Array, attachments: string[]}>}}
+ *   endTime is the last record's timestamp (tool results included)
+ */
+function parseTranscript(text) {
+  const turns = [];
+  let sessionId = null;
+  let endTime = '';
+
+  for (const line of text.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      continue;
+    }
+    if (!record || (record.type !== 'user' && record.type !== 'assistant') || !record.message) {
+      continue;
+    }
+    if (record.isMeta || record.isSidechain) {
+      continue;
+    }
+    sessionId = sessionId || record.sessionId || null;
+    endTime = record.timestamp || endTime;
+
+    const content = readContent(record.message.content);
+    const time = record.timestamp || '';
+    const last = turns[turns.length - 1];
+
+    if (record.type === 'assistant') {
+      if (content.text.length === 0 && content.tools.length === 0) {
+        continue;
+      }
+      if (last && last.role === 'assistant') {
+        last.content = [last.content, ...content.text].filter(Boolean).join('\n\n');
+        last.tools.push(...content.tools);
+      } else {
+        turns.push({ role: 'assistant', content: content.text.join('\n\n'), time, tools: content.tools, attachments: [] });
+      }
+      continue;
+    }
+
+    // Tool results come back as user records, they belong to the assistant turn
+    if (content.toolResults > 0 && content.text.length === 0 && content.attachments.length === 0) {
+      continue;
+    }
+    let userText = content.text.join('\n\n');
+    if (/^<local-command-(stdout|stderr)>/.test(userText.trim())) {
+      continue;
+    }
+    userText = parseCommand(userText) || userText;
+    if (!userText.trim() && content.attachments.length === 0) {
+      continue;
+    }
+    turns.push({ role: 'user', content: userText.trim(), time, tools: [], attachments: content.attachments });
+  }
+
+  return { sessionId, endTime, turns: turns.map(turn => ({ ...turn, content: turn.content.trim() })) };
+}
+
+/**
+ * Read and parse a transcript file
+ */
+function readTranscript(file) {
+  return parseTranscript(fs.readFileSync(file, 'utf8'));
+}
+
+module.exports = {
+  getTranscriptsDir,
+  findLatestTranscript,
+  parseTranscript,
+  readTranscript
+};
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findLatestTranscript, getTranscriptsDir, parseTranscript } = require('./transcript');
+const { MemoryStore } = require('./memory_store');
+
+const RECORDS = [
+  { type: 'summary', summary: 'Session title' },
+  { type: 'user', sessionId: 'abc', timestamp: '2026-01-11T06:30:00.000Z', message: { role: 'user', content: 'Why does the build fail?' } },
+  { type: 'assistant', timestamp: '2026-01-11T06:30:05.000Z', message: { content: [
+    { type: 'thinking', thinking: 'hidden' },
+    { type: 'text', text: 'Let me run the tests.' },
+    { type: 'tool_use', name: 'Bash', input: { command: 'npm   test', description: 'Run tests' } }
+  ] } },
+  { type: 'user', timestamp: '2026-01-11T06:30:10.000Z', message: { content: [{ type: 'tool_result', content: 'FAIL' }] } },
+  { type: 'assistant', timestamp: '2026-01-11T06:30:20.000Z', message: { content: [{ type: 'text', text: 'The lockfile is stale.' }] } },
+  { type: 'user', isMeta: true, timestamp: '2026-01-11T06:31:00.000Z', message: { content: 'Caveat: meta' } },
+  { type: 'assistant', isSidechain: true, timestamp: '2026-01-11T06:31:05.000Z', message: { content: 'subagent' } },
+  { type: 'user', timestamp: '2026-01-11T06:32:00.000Z', message: { content: [
+    { type: 'text', text: '<command-name>/review</command-name>\n<command-args>src</command-args>' },
+    { type: 'image', source: { media_type: 'image/png' } }
+  ] } }
+];
+
+function jsonl(records) {
+  return records.map(record => JSON.stringify(record)).join('\n') + '\n{"type": "user", "mess';
+}
+
+test('transcripts become one turn per prompt and answer', () => {
+  const { sessionId, endTime, turns } = parseTranscript(jsonl(RECORDS));
+
+  assert.equal(sessionId, 'abc');
+  assert.equal(endTime, '2026-01-11T06:32:00.000Z');
+  assert.deepEqual(turns.map(turn => [turn.role, turn.content]), [
+    ['user', 'Why does the build fail?'],
+    ['assistant', 'Let me run the tests.\n\nThe lockfile is stale.'],
+    ['user', '/review src']
+  ]);
+  assert.deepEqual(turns[1].tools, [{ name: 'Bash', input: 'npm test' }]);
+  assert.deepEqual(turns[2].attachments, ['image (image/png)']);
+});
+
+test('the latest transcript is found in the project\'s directory', t => {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'transcript-'));
+  t.after(() => fs.rmSync(home, { recursive: true, force: true }));
+  const dir = getTranscriptsDir('/work/my.project', home);
+
+  assert.equal(dir, path.join(home, '.claude', 'projects', '-work-my-project'));
+  assert.equal(findLatestTranscript('/work/my.project', home), null);
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'old.jsonl'), '');
+  fs.writeFileSync(path.join(dir, 'new.jsonl'), '');
+  fs.writeFileSync(path.join(dir, 'notes.txt'), '');
+  fs.utimesSync(path.join(dir, 'old.jsonl'), new Date(2026, 0, 1), new Date(2026, 0, 1));
+
+  assert.equal(findLatestTranscript('/work/my.project', home), path.join(dir, 'new.jsonl'));
+});
+
+test('importing a transcript rewrites conversation.md', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcript-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = new MemoryStore({ memoriesDir: path.join(dir, 'memories'), skillFile: null, locale: 'en' });
+  const file = path.join(dir, 'session.jsonl');
+  fs.writeFileSync(file, jsonl(RECORDS));
+  const memory = store.create('mem-20260111-143000');
+
+  store.importTranscript(memory.id, file);
+  const conversation = fs.readFileSync(path.join(memory.path, 'conversation.md'), 'utf8');
+
+  assert.match(conversation, /Why does the build fail\?/);
+  assert.match(conversation, /The lockfile is stale\./);
+  assert.match(conversation, /Bash `npm test`/);
+  assert.doesNotMatch(conversation, /hidden|subagent|Caveat/);
+  assert.deepEqual(fs.readdirSync(memory.path).sort(), ['conversation.md', 'summary.md']);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTranslator } = require('./i18n');
+const { recall } = require('./recall');
+const { MemoryStore } = require('./memory_store');
+
+function createStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-translations-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new MemoryStore({ memoriesDir: path.join(dir, 'memories'), skillFile: null, locale: 'en' });
+}
+
+test('a word finds memories written in the other language', t => {
+  const store = createStore(t);
+  store.createFromInput({ topic: '缓存设计', keywords: ['缓存', '性能'], summary: '缓存失效策略。', language: 'zh' },
+    { id: 'mem-20260102-100000' });
+  store.createFromInput({ topic: 'Database migration', keywords: ['database'], summary: 'Move to the new schema.' },
+    { id: 'mem-20260103-100000' });
+
+  assert.deepEqual(store.search('cache').map(r => r.id), ['mem-20260102-100000']);
+  assert.deepEqual(store.search('数据库').map(r => r.id), ['mem-20260103-100000']);
+  assert.deepEqual(recall(store, createTranslator('en'), 'How is cache performance?').injected.map(entry => entry.id),
+    ['mem-20260102-100000']);
+});
+
+test('translations.txt adds terms to the built-in ones', t => {
+  const store = createStore(t);
+  fs.writeFileSync(store.translationsFile, '# term, translations\nfeature flag, 功能开关\n');
+  store.createFromInput({ topic: '功能开关', keywords: ['功能开关'], summary: '灰度发布。', language: 'zh' },
+    { id: 'mem-20260102-100000' });
+
+  assert.deepEqual(store.search('feature flag').map(r => r.id), ['mem-20260102-100000']);
+});
+
+test('template headings do not match through their translation', t => {
+  const store = createStore(t);
+  store.create('mem-20260101-100000', { locale: 'en' });
+  store.create('mem-20260102-100000', { locale: 'zh' });
+
+  for (const query of ['summary', 'decision', 'conclusion', 'file', 'memory', '摘要', '决策', '结论', '文件', '记忆']) {
+    assert.deepEqual(store.search(query, { track: false }).map(r => r.id), [], query);
+  }
+});
+
+test('a translated word finds written text, not the template beside it', t => {
+  const store = createStore(t);
+  store.create('mem-20260101-100000', { locale: 'zh' });
+  store.createFromInput({ topic: '缓存设计', summary: '会议摘要：缓存失效策略。', language: 'zh' }, { id: 'mem-20260102-100000' });
+
+  const results = store.search('summary', { track: false });
+  assert.deepEqual(results.map(r => r.id), ['mem-20260102-100000']);
+  assert.deepEqual(store.search('cache', { track: false }).map(r => r.id), ['mem-20260102-100000']);
+});
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * sync-variants.js - Keep skill variants on one codebase
+ *
+ * skills/conversation-memory/scripts is the canonical source. Other variants
+ * (conversation-memory-zh) ship identical copies and differ only in SKILL.md,
+ * references/ and the locale selected from their directory name.
+ *
+ * Tests (*.test.js) stay with the canonical copy only.
+ *
+ * Also verifies that the built-in templates in the locale packs match each
+ * variant's references/ (they are the fallback when the files are missing).
+ *
+ * Usage:
+ *   node tools/sync-variants.js           Copy canonical scripts to variants
+ *   node tools/sync-variants.js --check   Exit 1 if any variant is out of sync
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SKILLS_DIR = path.join(__dirname, '..', 'skills');
+const CANONICAL = 'conversation-memory';
+const VARIANTS = ['conversation-memory-zh'];
+
+// Skill -> language of its references/
+const REFERENCE_LOCALES = {
+  'conversation-memory': 'en',
+  'conversation-memory-zh': 'zh'
+};
+
+/**
+ * Whether a file is a test, which variants do not ship
+ */
+function isTestFile(file) {
+  return file.endsWith('.test.js');
+}
+
+/**
+ * List files under a directory (relative paths), without tests
+ */
+function listFiles(dir, prefix = '') {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const rel = path.join(prefix, entry.name);
+    if (entry.isDirectory()) {
+      return listFiles(path.join(dir, entry.name), rel);
+    }
+    return isTestFile(rel) ? [] : [rel];
+  });
+}
+
+/**
+ * Compare a variant's scripts against the canonical copy
+ * @returns {string[]} Differing relative paths
+ */
+function diffVariant(sourceDir, targetDir) {
+  const files = new Set([...listFiles(sourceDir), ...listFiles(targetDir)]);
+  return [...files].sort().filter(file => {
+    const source = path.join(sourceDir, file);
+    const target = path.join(targetDir, file);
+    return !fs.existsSync(source) || !fs.existsSync(target) ||
+      !fs.readFileSync(source).equals(fs.readFileSync(target));
+  });
+}
+
+/**
+ * Compare locale pack built-in templates with a skill's references
+ * @returns {string[]} Template names that differ
+ */
+function diffBuiltinTemplates(skill) {
+  const scriptsDir = path.join(SKILLS_DIR, CANONICAL, 'scripts');
+  const { getLocale } = require(path.join(scriptsDir, 'i18n'));
+  const { templateNames, loadTemplate } = require(path.join(scriptsDir, 'templates'));
+  const locale = getLocale(REFERENCE_LOCALES[skill]);
+  const sources = { locale, referencesDir: path.join(SKILLS_DIR, skill, 'references'), referencesLocale: locale.code };
+
+  return templateNames().filter(name => {
+    const template = loadTemplate(name, sources);
+    return template.source !== 'reference' || template.content !== locale.templates[name];
+  });
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+  const sourceDir = path.join(SKILLS_DIR, CANONICAL, 'scripts');
+  let outOfSync = 0;
+
+  for (const variant of VARIANTS) {
+    const targetDir = path.join(SKILLS_DIR, variant, 'scripts');
+    const changed = diffVariant(sourceDir, targetDir);
+    if (changed.length === 0) {
+      continue;
+    }
+
+    if (check) {
+      outOfSync += changed.length;
+      changed.forEach(file => console.error(`${variant}/scripts/${file} differs from ${CANONICAL}`));
+      continue;
+    }
+
+    fs.rmSync(targetDir, { recursive: true, force: true });
+    fs.cpSync(sourceDir, targetDir, { recursive: true, filter: source => !isTestFile(source) });
+    console.log(`✓ ${variant}: ${changed.length} file(s) synced`);
+  }
+
+  if (outOfSync > 0) {
+    console.error('Run: node tools/sync-variants.js');
+    process.exitCode = 1;
+  }
+
+  for (const skill of Object.keys(REFERENCE_LOCALES)) {
+    const changed = diffBuiltinTemplates(skill);
+    changed.forEach(name => {
+      console.error(`${skill}: built-in "${name}" template in locales/${REFERENCE_LOCALES[skill]}.js differs from references/`);
+    });
+    if (changed.length > 0) {
+      process.exitCode = 1;
+    }
+  }
+}
+
+main();